@@ -0,0 +1,40 @@
+using System.Text.Json.Serialization;
+
+namespace VIOVNL.Flowy.Blazor.Models;
+
+/// <summary>
+/// Options for a flow that fans out from a node to its descendants (or gathers from them),
+/// started with FlowyCanvasEditor.BroadcastFlowAsync or StartBroadcastFlowAsync.
+/// </summary>
+/// <remarks>
+/// DropletCount is the number of waves and defaults to 1. Collapsed subtrees are skipped,
+/// and in graph mode each node is reached once.
+/// </remarks>
+public class FlowyBroadcastOptions : FlowyFlowOptions
+{
+    /// <summary>
+    /// Creates broadcast options that send a single wave
+    /// </summary>
+    public FlowyBroadcastOptions()
+    {
+        DropletCount = 1;
+    }
+
+    /// <summary>
+    /// Run from every leaf up to the node instead of down from it. Branches are timed
+    /// to meet at each fork (default: false)
+    /// </summary>
+    public bool Gather { get; set; }
+
+    /// <summary>
+    /// Number of levels below the node the flow reaches (default: 0, unlimited)
+    /// </summary>
+    public int MaxDepth { get; set; }
+
+    /// <summary>
+    /// Only flow into nodes of these components; other nodes and their subtrees are skipped
+    /// (default: null, all components)
+    /// </summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public List<string>? ComponentIds { get; set; }
+}
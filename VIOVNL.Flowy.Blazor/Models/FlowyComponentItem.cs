@@ -52,6 +52,11 @@ public class FlowyComponentItem
     /// </summary>
     public bool CanHaveChildren { get; set; } = true;
 
+    /// <summary>
+    /// Named outputs for branching nodes (e.g. "Yes"/"No"). Empty for the single default output.
+    /// </summary>
+    public List<FlowyPort> Ports { get; set; } = new();
+
     /// <summary>
     /// Whether this component is enabled in the toolbox
     /// </summary>
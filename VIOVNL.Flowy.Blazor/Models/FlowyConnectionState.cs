@@ -0,0 +1,51 @@
+namespace VIOVNL.Flowy.Blazor.Models;
+
+/// <summary>
+/// Visual state of a parent/child connection, e.g. while a workflow runs.
+/// </summary>
+/// <remarks>
+/// States are visual only: they are not exported and they are cleared by ResetAsync.
+/// Custom states are added with FlowyCanvasEditor.RegisterConnectionStateAsync.
+/// </remarks>
+public class FlowyConnectionState
+{
+    /// <summary>
+    /// Running: green marching-ants dashes
+    /// </summary>
+    public const string Active = "active";
+
+    /// <summary>
+    /// Pulsing line that draws attention
+    /// </summary>
+    public const string Pulse = "pulse";
+
+    /// <summary>
+    /// Completed: solid green line
+    /// </summary>
+    public const string Success = "success";
+
+    /// <summary>
+    /// Failed: red line with a red glow
+    /// </summary>
+    public const string Error = "error";
+
+    /// <summary>
+    /// Skipped: greyed-out dashed line
+    /// </summary>
+    public const string Disabled = "disabled";
+
+    /// <summary>
+    /// Parent node ID
+    /// </summary>
+    public Guid FromId { get; set; }
+
+    /// <summary>
+    /// Child node ID
+    /// </summary>
+    public Guid ToId { get; set; }
+
+    /// <summary>
+    /// State name (one of the constants or a registered custom state), or null to clear the state
+    /// </summary>
+    public string? State { get; set; }
+}
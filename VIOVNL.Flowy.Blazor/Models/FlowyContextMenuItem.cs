@@ -0,0 +1,68 @@
+namespace VIOVNL.Flowy.Blazor.Models;
+
+/// <summary>
+/// A custom entry in the canvas right-click menu.
+/// </summary>
+/// <remarks>
+/// Items are evaluated each time the menu opens, so IsVisible and IsEnabled
+/// can depend on the right-clicked node. Choosing an item raises
+/// FlowyCanvasEditor.OnContextMenuAction with the item Id.
+/// </remarks>
+/// <example>
+/// <code>
+/// new FlowyContextMenuItem
+/// {
+///     Id = "add-spouse",
+///     Label = "Add spouse",
+///     Icon = "💍",
+///     IsEnabled = node => node?.CanHaveChildren == true
+/// }
+/// </code>
+/// </example>
+public class FlowyContextMenuItem
+{
+    /// <summary>
+    /// Identifier reported back in FlowyContextMenuActionEventArgs.ItemId
+    /// </summary>
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Text shown in the menu
+    /// </summary>
+    public string Label { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Optional icon shown before the label (plain text or emoji)
+    /// </summary>
+    public string? Icon { get; set; }
+
+    /// <summary>
+    /// Optional shortcut hint shown on the right (display only, e.g. "Ctrl+E")
+    /// </summary>
+    public string? Shortcut { get; set; }
+
+    /// <summary>
+    /// Where the item appears: on nodes, on empty canvas, or both
+    /// </summary>
+    public FlowyContextMenuTarget Target { get; set; } = FlowyContextMenuTarget.Node;
+
+    /// <summary>
+    /// Decides per node whether the item is shown (node is null on empty canvas). Null shows it always.
+    /// </summary>
+    public Func<FlowyNode?, bool>? IsVisible { get; set; }
+
+    /// <summary>
+    /// Decides per node whether the item can be chosen (node is null on empty canvas). Null enables it always.
+    /// </summary>
+    public Func<FlowyNode?, bool>? IsEnabled { get; set; }
+}
+
+/// <summary>
+/// Where a context menu item is offered
+/// </summary>
+public enum FlowyContextMenuTarget
+{
+    Node,
+    Canvas,
+    Both
+}
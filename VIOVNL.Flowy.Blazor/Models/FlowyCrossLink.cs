@@ -0,0 +1,34 @@
+using System.Text.Json.Serialization;
+
+namespace VIOVNL.Flowy.Blazor.Models;
+
+/// <summary>
+/// A reference link between two nodes outside the hierarchy (e.g. "escalates to", "depends on").
+/// </summary>
+/// <remarks>
+/// Cross-links are drawn as dashed arrows and exported with the tree, but they do not
+/// change ParentId/ChildrenIds and do not take part in the layout.
+/// </remarks>
+public class FlowyCrossLink
+{
+    /// <summary>
+    /// Unique identifier of the link
+    /// </summary>
+    public Guid Id { get; set; } = Guid.NewGuid();
+
+    /// <summary>
+    /// Node the link starts at
+    /// </summary>
+    public Guid FromId { get; set; }
+
+    /// <summary>
+    /// Node the arrow points to
+    /// </summary>
+    public Guid ToId { get; set; }
+
+    /// <summary>
+    /// Optional relationship type (shown as the link's tooltip and exposed as data-link-type for styling)
+    /// </summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? Type { get; set; }
+}
@@ -0,0 +1,76 @@
+using System.Text.Json.Serialization;
+
+namespace VIOVNL.Flowy.Blazor.Models;
+
+/// <summary>
+/// Look of the droplets of a flow: color, size, shape and an optional label badge
+/// (e.g. an amount or a message type) that travels with every droplet.
+/// </summary>
+/// <remarks>
+/// Flows without a Color get one from a palette that no other running flow uses,
+/// so concurrent flows can be told apart.
+/// </remarks>
+public class FlowyDropletSpec
+{
+    /// <summary>
+    /// Any CSS color, e.g. "#10b981" or "var(--my-color)" (default: next free palette color)
+    /// </summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? Color { get; set; }
+
+    /// <summary>
+    /// Droplet radius in pixels; squares and icons are twice this wide (default: 6)
+    /// </summary>
+    public double Radius { get; set; } = 6;
+
+    /// <summary>
+    /// A FlowyDropletShape value (default: FlowyDropletShape.Icon when Icon is set, Circle otherwise)
+    /// </summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? Shape { get; set; }
+
+    /// <summary>
+    /// Icon for the FlowyDropletShape.Icon shape: a reference to an SVG &lt;symbol&gt; on the page ("#my-symbol")
+    /// or SVG path data in a 24x24 box
+    /// </summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? Icon { get; set; }
+
+    /// <summary>
+    /// Short text shown in a badge above each droplet, e.g. "€250" or "order" (default: none)
+    /// </summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? Label { get; set; }
+
+    /// <summary>
+    /// Surround the droplet with a glow (default: true)
+    /// </summary>
+    public bool Glow { get; set; } = true;
+
+    /// <summary>
+    /// Glow color (default: the droplet color)
+    /// </summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? GlowColor { get; set; }
+}
+
+/// <summary>
+/// Droplet shapes for FlowyDropletSpec.Shape.
+/// </summary>
+public static class FlowyDropletShape
+{
+    /// <summary>
+    /// Round droplet (default)
+    /// </summary>
+    public const string Circle = "circle";
+
+    /// <summary>
+    /// Square droplet with rounded corners
+    /// </summary>
+    public const string Square = "square";
+
+    /// <summary>
+    /// Droplet drawn with FlowyDropletSpec.Icon
+    /// </summary>
+    public const string Icon = "icon";
+}
@@ -0,0 +1,35 @@
+using System.Text.Json.Serialization;
+
+namespace VIOVNL.Flowy.Blazor.Models;
+
+/// <summary>
+/// A parent-to-child edge in exported tree data.
+/// </summary>
+/// <remarks>
+/// FlowyTreeData.Edges lists every edge explicitly. Each node has one edge from its
+/// ParentId. In graph mode it also has one edge from each of its AdditionalParentIds.
+/// </remarks>
+public class FlowyEdge
+{
+    /// <summary>
+    /// Parent node ID
+    /// </summary>
+    public Guid FromId { get; set; }
+
+    /// <summary>
+    /// Child node ID
+    /// </summary>
+    public Guid ToId { get; set; }
+
+    /// <summary>
+    /// Output port of the parent the edge leaves from (null for edges from an additional parent, or when the parent has no ports)
+    /// </summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? PortId { get; set; }
+
+    /// <summary>
+    /// Text shown at the midpoint of the connection (null when the connection has no label)
+    /// </summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? Label { get; set; }
+}
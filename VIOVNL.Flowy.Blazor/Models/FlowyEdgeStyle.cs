@@ -0,0 +1,78 @@
+namespace VIOVNL.Flowy.Blazor.Models;
+
+/// <summary>
+/// How a connection travels from the parent's bottom edge to the child's top edge
+/// (or between the facing edges when the tree has another orientation)
+/// </summary>
+public enum FlowyEdgeRouting
+{
+    /// <summary>
+    /// Smooth S-curve (default)
+    /// </summary>
+    Bezier,
+
+    /// <summary>
+    /// Direct line between the two nodes
+    /// </summary>
+    Straight,
+
+    /// <summary>
+    /// Down, across at the midpoint between the nodes, then down (step lines with rounded corners)
+    /// </summary>
+    Orthogonal,
+
+    /// <summary>
+    /// Short vertical stubs at both nodes joined by a straight diagonal
+    /// </summary>
+    Elbow
+}
+
+/// <summary>
+/// Routing and stroke of the parent/child connection lines.
+/// </summary>
+/// <remarks>
+/// Droplets from FlowDropletsAsync and StartFlowAsync follow the same route as the line they travel along.
+/// </remarks>
+public class FlowyEdgeStyle
+{
+    /// <summary>
+    /// Stroke value that colors each connection like its parent node
+    /// </summary>
+    public const string ParentColor = "parent";
+
+    /// <summary>
+    /// Stroke value that colors each connection like its child node
+    /// </summary>
+    public const string ChildColor = "child";
+
+    /// <summary>
+    /// How connections are routed (default: Bezier)
+    /// </summary>
+    public FlowyEdgeRouting Routing { get; set; } = FlowyEdgeRouting.Bezier;
+
+    /// <summary>
+    /// Line color: ParentColor, ChildColor or any CSS color, including var(...) references
+    /// (default: the --colorConnectionStroke theme variable)
+    /// </summary>
+    public string Stroke { get; set; } = "var(--colorConnectionStroke)";
+
+    /// <summary>
+    /// Line width in pixels (default: 3)
+    /// </summary>
+    public double Width { get; set; } = 3;
+
+    /// <summary>
+    /// Optional SVG stroke-dasharray, e.g. "6 4" for a dashed line (default: solid)
+    /// </summary>
+    public string? DashPattern { get; set; }
+
+    /// <summary>
+    /// Draw an arrowhead where each connection meets the child node (default: false)
+    /// </summary>
+    public bool ShowArrowheads { get; set; }
+
+    /// <summary>
+    /// Radius of the rounded corners of orthogonal routes in pixels (default: 10)
+    /// </summary>
+    public double CornerRadius { get; set; } = 10;
+}
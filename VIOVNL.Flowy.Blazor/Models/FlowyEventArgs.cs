@@ -19,6 +19,14 @@ public class FlowyNodeDroppedEventArgs : EventArgs
     public FlowyNode? TargetNode { get; set; }
     public DropPosition Position { get; set; }
     public bool IsNewNode { get; set; }
+    /// <summary>
+    /// Index of the node among its new siblings (-1 for a root node)
+    /// </summary>
+    public int Index { get; set; } = -1;
+    /// <summary>
+    /// Output port of the new parent the node hangs from (null when the parent has no ports)
+    /// </summary>
+    public string? PortId { get; set; }
 }
 
 /// <summary>
@@ -46,6 +54,18 @@ public class FlowyNodeMovedEventArgs : EventArgs
 {
     public Guid NodeId { get; set; }
     public Guid? NewParentId { get; set; }
+    /// <summary>
+    /// Under when dropped on the new parent, Before/After when dropped next to a sibling
+    /// </summary>
+    public DropPosition Position { get; set; }
+    /// <summary>
+    /// Index of the node among the new parent's children
+    /// </summary>
+    public int Index { get; set; } = -1;
+    /// <summary>
+    /// Output port of the new parent the node hangs from (null when the parent has no ports)
+    /// </summary>
+    public string? PortId { get; set; }
 }
 
 /// <summary>
@@ -53,10 +73,109 @@ public class FlowyNodeMovedEventArgs : EventArgs
 /// </summary>
 public class FlowyTreeRestructuredEventArgs : EventArgs
 {
-    public string OperationType { get; set; } = string.Empty; // "promote" or "demote"
+    public string OperationType { get; set; } = string.Empty; // "promote", "demote", "undo", "redo" or "remove parent"
     public Guid AffectedNodeId { get; set; }
 }
 
+/// <summary>
+/// Event arguments for undo/redo availability changes
+/// </summary>
+public class FlowyHistoryChangedEventArgs : EventArgs
+{
+    public bool CanUndo { get; set; }
+    public bool CanRedo { get; set; }
+}
+
+/// <summary>
+/// Event arguments for multi-selection changes (click, Shift/Ctrl-click, marquee)
+/// </summary>
+public class FlowySelectionChangedEventArgs : EventArgs
+{
+    public IReadOnlyList<FlowyNode> Nodes { get; set; } = Array.Empty<FlowyNode>();
+}
+
+/// <summary>
+/// Event arguments for collapse/expand of subtrees
+/// </summary>
+public class FlowyCollapsedChangedEventArgs : EventArgs
+{
+    public IReadOnlyList<FlowyNode> Nodes { get; set; } = Array.Empty<FlowyNode>();
+    public bool IsCollapsed { get; set; }
+}
+
+/// <summary>
+/// Event arguments for inline node renaming.
+/// Set IsValid to false to reject the new name.
+/// </summary>
+public class FlowyNodeRenamedEventArgs : EventArgs
+{
+    public FlowyNode Node { get; set; } = null!;
+    public string OldName { get; set; } = string.Empty;
+    public string NewName { get; set; } = string.Empty;
+    public bool IsValid { get; set; } = true;
+}
+
+/// <summary>
+/// Event arguments for a chosen context menu item
+/// </summary>
+public class FlowyContextMenuActionEventArgs : EventArgs
+{
+    /// <summary>
+    /// Id of the chosen item (a FlowyContextMenuItem.Id or a built-in id such as "delete")
+    /// </summary>
+    public string ItemId { get; set; } = string.Empty;
+    /// <summary>
+    /// Right-clicked node, or null for empty canvas
+    /// </summary>
+    public FlowyNode? Node { get; set; }
+    /// <summary>
+    /// Right-click position in canvas coordinates (independent of zoom and pan)
+    /// </summary>
+    public double CanvasX { get; set; }
+    public double CanvasY { get; set; }
+    /// <summary>
+    /// True for built-in items, which the canvas executes right after this event
+    /// </summary>
+    public bool IsBuiltIn { get; set; }
+}
+
+/// <summary>
+/// Event arguments for a connection clicked on the canvas
+/// </summary>
+public class FlowyConnectionSelectedEventArgs : EventArgs
+{
+    /// <summary>
+    /// Parent node of the selected connection (null when the connection selection was cleared)
+    /// </summary>
+    public FlowyNode? FromNode { get; set; }
+    /// <summary>
+    /// Child node of the selected connection (null when the connection selection was cleared)
+    /// </summary>
+    public FlowyNode? ToNode { get; set; }
+}
+
+/// <summary>
+/// Event arguments for a connection label edited on the canvas
+/// </summary>
+public class FlowyConnectionLabelChangedEventArgs : EventArgs
+{
+    public Guid FromId { get; set; }
+    public Guid ToId { get; set; }
+    public string? OldLabel { get; set; }
+    /// <summary>
+    /// New label text, or null when the label was cleared
+    /// </summary>
+    public string? NewLabel { get; set; }
+}
+
+/// <summary>
+/// Event arguments for a cross-link added or removed on the canvas
+/// </summary>
+public class FlowyCrossLinkEventArgs : EventArgs
+{
+    public FlowyCrossLink Link { get; set; } = null!;
+}
+
 /// <summary>
 /// Event arguments for validation
 /// </summary>
@@ -65,6 +184,10 @@ public class FlowyValidationEventArgs : EventArgs
     public FlowyNode Node { get; set; } = null!;
     public FlowyNode? TargetNode { get; set; }
     public DropPosition Position { get; set; }
+    /// <summary>
+    /// Output port of the receiving parent (null when it has no ports)
+    /// </summary>
+    public string? PortId { get; set; }
     public bool IsValid { get; set; } = true;
     public string? ValidationMessage { get; set; }
 }
@@ -76,5 +199,44 @@ public enum DropPosition
 {
     Under,
     Left,
-    Right
+    Right,
+    /// <summary>Inserted as a sibling directly before the target node</summary>
+    Before,
+    /// <summary>Inserted as a sibling directly after the target node</summary>
+    After
+}
+
+/// <summary>
+/// Event arguments for trace playback progress (every visit, play/pause/seek/step, and a few times per second while playing)
+/// </summary>
+public class FlowyTraceProgressEventArgs : EventArgs
+{
+    /// <summary>
+    /// Player state: "playing", "paused" or "ended"
+    /// </summary>
+    public string State { get; set; } = string.Empty;
+    /// <summary>
+    /// Position of the cursor since the first visit
+    /// </summary>
+    public TimeSpan Time { get; set; }
+    /// <summary>
+    /// Time between the first and the last visit
+    /// </summary>
+    public TimeSpan Duration { get; set; }
+    /// <summary>
+    /// Number of visits replayed so far
+    /// </summary>
+    public int VisitIndex { get; set; }
+    /// <summary>
+    /// Number of visits in the trace
+    /// </summary>
+    public int VisitCount { get; set; }
+    /// <summary>
+    /// Node of the last replayed visit (null before the first visit)
+    /// </summary>
+    public FlowyNode? Node { get; set; }
+    /// <summary>
+    /// Status of the last replayed visit
+    /// </summary>
+    public string? Status { get; set; }
 }
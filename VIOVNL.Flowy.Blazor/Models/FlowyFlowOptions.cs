@@ -0,0 +1,52 @@
+using System.Text.Json.Serialization;
+
+namespace VIOVNL.Flowy.Blazor.Models;
+
+/// <summary>
+/// Options for a droplet flow started with FlowyCanvasEditor.StartFlowAsync.
+/// </summary>
+public class FlowyFlowOptions
+{
+    /// <summary>
+    /// Duration in milliseconds for each segment animation (default: 800)
+    /// </summary>
+    public int Duration { get; set; } = 800;
+
+    /// <summary>
+    /// Number of droplets to send; ignored when Loop is true (default: 5)
+    /// </summary>
+    public int DropletCount { get; set; } = 5;
+
+    /// <summary>
+    /// Delay in milliseconds between droplet starts; ignored when Rate is set (default: 150)
+    /// </summary>
+    public int DropletDelay { get; set; } = 150;
+
+    /// <summary>
+    /// Distance spacing (0.0-1.0) between droplets along the path (default: 0, spawns together)
+    /// </summary>
+    public double DropletDistance { get; set; }
+
+    /// <summary>
+    /// Easing function: linear, easeIn, easeOut, easeInOut, easeInQuad, easeOutQuad, easeInOutQuad, easeInCubic (default: easeInOut)
+    /// </summary>
+    public string Easing { get; set; } = "easeInOut";
+
+    /// <summary>
+    /// Keep emitting droplets until the flow is stopped (default: false).
+    /// A looping flow also stops when its path no longer exists.
+    /// </summary>
+    public bool Loop { get; set; }
+
+    /// <summary>
+    /// Droplets per second, replacing DropletDelay (at most 30; default: null)
+    /// </summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public double? Rate { get; set; }
+
+    /// <summary>
+    /// Look of the droplets (default: glowing circles in the next free palette color)
+    /// </summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public FlowyDropletSpec? Droplet { get; set; }
+}
@@ -0,0 +1,18 @@
+namespace VIOVNL.Flowy.Blazor.Models;
+
+/// <summary>
+/// How the tree layout spreads sibling subtrees
+/// </summary>
+public enum FlowyLayoutMode
+{
+    /// <summary>
+    /// Every subtree gets a slot as wide as its widest level (default)
+    /// </summary>
+    Simple,
+
+    /// <summary>
+    /// Subtrees are pushed together level by level (Reingold-Tilford contour merging),
+    /// so deep narrow branches tuck under wide shallow neighbours without overlapping
+    /// </summary>
+    Compact
+}
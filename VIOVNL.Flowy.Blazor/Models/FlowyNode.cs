@@ -6,7 +6,8 @@ namespace VIOVNL.Flowy.Blazor.Models;
 /// Represents a node in the Flowy tree structure.
 /// 
 /// Nodes maintain parent-child relationships via ParentId and ChildrenIds.
-/// The tree structure is acyclic - circular references are prevented by validation.
+/// In graph mode a node can also have AdditionalParentIds (a DAG).
+/// The structure is acyclic - circular references are prevented by validation.
 /// </summary>
 /// <remarks>
 /// Serialization notes:
@@ -52,6 +53,16 @@ public class FlowyNode
     /// </remarks>
     public List<Guid> ChildrenIds { get; set; } = new();
 
+    /// <summary>
+    /// Parents besides ParentId (graph mode only)
+    /// </summary>
+    /// <remarks>
+    /// The node is still owned by ParentId: it moves, collapses and is removed with that subtree.
+    /// Not serialized on the node - exported and imported through FlowyTreeData.Edges.
+    /// </remarks>
+    [JsonIgnore]
+    public List<Guid> AdditionalParentIds { get; set; } = new();
+
     /// <summary>
     /// Custom data associated with the node
     /// </summary>
@@ -68,6 +79,17 @@ public class FlowyNode
     /// </summary>
     public bool CanHaveChildren { get; set; } = true;
 
+    /// <summary>
+    /// Whether this node's descendants are hidden on the canvas (shown as a "+N" badge)
+    /// </summary>
+    public bool IsCollapsed { get; set; }
+
+    /// <summary>
+    /// Output port of the parent this node hangs from (null when the parent has no ports)
+    /// </summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? PortId { get; set; }
+
     /// <summary>
     /// Position in parent's children list
     /// </summary>
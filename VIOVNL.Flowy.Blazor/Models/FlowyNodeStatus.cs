@@ -0,0 +1,66 @@
+namespace VIOVNL.Flowy.Blazor.Models;
+
+/// <summary>
+/// Runtime status of a node, e.g. while a workflow runs: a corner badge and a border color,
+/// with an optional progress bar and a tooltip message on the badge.
+/// </summary>
+/// <remarks>
+/// Statuses are visual only: they are not exported and they are cleared by ResetAsync.
+/// </remarks>
+public class FlowyNodeStatus
+{
+    /// <summary>
+    /// Not started: hollow grey badge
+    /// </summary>
+    public const string Idle = "idle";
+
+    /// <summary>
+    /// Waiting to run: grey badge
+    /// </summary>
+    public const string Queued = "queued";
+
+    /// <summary>
+    /// Running: blue badge with a spinner
+    /// </summary>
+    public const string Running = "running";
+
+    /// <summary>
+    /// Completed: green badge with a check mark
+    /// </summary>
+    public const string Success = "success";
+
+    /// <summary>
+    /// Completed with warnings: orange badge
+    /// </summary>
+    public const string Warning = "warning";
+
+    /// <summary>
+    /// Failed: red badge and border
+    /// </summary>
+    public const string Error = "error";
+
+    /// <summary>
+    /// Not run: greyed-out node
+    /// </summary>
+    public const string Skipped = "skipped";
+
+    /// <summary>
+    /// Node ID
+    /// </summary>
+    public Guid NodeId { get; set; }
+
+    /// <summary>
+    /// Status (one of the constants), or null to clear the status
+    /// </summary>
+    public string? Status { get; set; }
+
+    /// <summary>
+    /// Progress from 0 to 100 shown as a bar along the bottom of the node, or null for no bar
+    /// </summary>
+    public double? Progress { get; set; }
+
+    /// <summary>
+    /// Tooltip shown when hovering the badge (default: the status name)
+    /// </summary>
+    public string? Message { get; set; }
+}
@@ -0,0 +1,27 @@
+namespace VIOVNL.Flowy.Blazor.Models;
+
+/// <summary>
+/// Direction in which the tree grows from a parent to its children
+/// </summary>
+public enum FlowyOrientation
+{
+    /// <summary>
+    /// Root at the top, children below their parent (default)
+    /// </summary>
+    TopDown,
+
+    /// <summary>
+    /// Root at the bottom, children above their parent
+    /// </summary>
+    BottomUp,
+
+    /// <summary>
+    /// Root on the left, children to the right of their parent
+    /// </summary>
+    LeftRight,
+
+    /// <summary>
+    /// Root on the right, children to the left of their parent
+    /// </summary>
+    RightLeft
+}
@@ -0,0 +1,22 @@
+namespace VIOVNL.Flowy.Blazor.Models;
+
+/// <summary>
+/// A named output of a branching component (e.g. "Yes"/"No").
+/// </summary>
+/// <remarks>
+/// Ports are listed in FlowyComponentItem.Ports and drawn left-to-right along the
+/// bottom edge of the node. Each child hangs from one port (FlowyNode.PortId) and
+/// the layout groups children by port in the same order.
+/// </remarks>
+public class FlowyPort
+{
+    /// <summary>
+    /// Identifier stored in FlowyNode.PortId of the children on this port (unique per component)
+    /// </summary>
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Text shown on the node above the connector (defaults to Id when empty)
+    /// </summary>
+    public string Label { get; set; } = string.Empty;
+}
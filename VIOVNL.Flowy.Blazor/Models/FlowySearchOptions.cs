@@ -0,0 +1,27 @@
+namespace VIOVNL.Flowy.Blazor.Models;
+
+/// <summary>
+/// Controls which node fields FlowyCanvasEditor.SearchAsync looks at and how it matches.
+/// </summary>
+public class FlowySearchOptions
+{
+    /// <summary>
+    /// Also match the text of the rendered node body (default: false)
+    /// </summary>
+    public bool IncludeBody { get; set; }
+
+    /// <summary>
+    /// Match upper and lower case exactly (default: false)
+    /// </summary>
+    public bool CaseSensitive { get; set; }
+
+    /// <summary>
+    /// Also match the node's ComponentId (default: true)
+    /// </summary>
+    public bool MatchComponentId { get; set; } = true;
+
+    /// <summary>
+    /// Fly to the first match right away (default: true)
+    /// </summary>
+    public bool FocusFirst { get; set; } = true;
+}
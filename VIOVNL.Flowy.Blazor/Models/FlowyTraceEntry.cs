@@ -0,0 +1,22 @@
+namespace VIOVNL.Flowy.Blazor.Models;
+
+/// <summary>
+/// One node visit of a recorded workflow execution, replayed with FlowyCanvasEditor.LoadTraceAsync.
+/// </summary>
+public class FlowyTraceEntry
+{
+    /// <summary>
+    /// Visited node ID
+    /// </summary>
+    public Guid NodeId { get; set; }
+
+    /// <summary>
+    /// When the node was visited. Visits are replayed in timestamp order, with their real spacing.
+    /// </summary>
+    public DateTimeOffset Timestamp { get; set; }
+
+    /// <summary>
+    /// Outcome of the visit; success, warning, error and skipped are colored (default: null)
+    /// </summary>
+    public string? Status { get; set; }
+}
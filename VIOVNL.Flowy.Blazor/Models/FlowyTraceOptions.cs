@@ -0,0 +1,26 @@
+using System.Text.Json.Serialization;
+
+namespace VIOVNL.Flowy.Blazor.Models;
+
+/// <summary>
+/// Playback options for FlowyCanvasEditor.LoadTraceAsync.
+/// </summary>
+public class FlowyTraceOptions
+{
+    /// <summary>
+    /// Playback speed multiplier, e.g. 0.5 for half speed or 10 for ten times faster (default: 1)
+    /// </summary>
+    public double Speed { get; set; } = 1;
+
+    /// <summary>
+    /// Longest time in milliseconds a droplet takes between two visits, so long gaps
+    /// in the trace do not crawl (default: 2000)
+    /// </summary>
+    public int MaxTravelTime { get; set; } = 2000;
+
+    /// <summary>
+    /// Look of the droplets between visits (default: glowing circles in the next free palette color)
+    /// </summary>
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public FlowyDropletSpec? Droplet { get; set; }
+}
@@ -25,6 +25,16 @@ public class FlowyTreeData
     /// </summary>
     public List<FlowyNode> Nodes { get; set; } = new();
 
+    /// <summary>
+    /// Every parent-to-child edge, including edges from additional parents in graph mode
+    /// </summary>
+    public List<FlowyEdge> Edges { get; set; } = new();
+
+    /// <summary>
+    /// Reference links between nodes that are not part of the hierarchy
+    /// </summary>
+    public List<FlowyCrossLink> CrossLinks { get; set; } = new();
+
     /// <summary>
     /// Custom metadata
     /// </summary>
@@ -8,6 +8,10 @@ namespace VIOVNL.Flowy.Blazor.Services;
 internal class FlowyTreeService : IDisposable
 {
     private readonly List<FlowyNode> _nodes = new();
+    private readonly List<FlowyCrossLink> _crossLinks = new();
+    private readonly Dictionary<(Guid FromId, Guid ToId), string> _connectionLabels = new();
+    // Removed nodes by id, so an undo on the canvas brings back the original instance (with its Data)
+    private readonly Dictionary<Guid, FlowyNode> _removedNodes = new();
     private FlowyNode? _rootNode;
     private bool _disposed = false;
 
@@ -23,6 +27,11 @@ internal class FlowyTreeService : IDisposable
     /// </summary>
     public FlowyNode? RootNode => _rootNode;
 
+    /// <summary>
+    /// Gets the reference links between nodes
+    /// </summary>
+    public IReadOnlyList<FlowyCrossLink> CrossLinks => _crossLinks.AsReadOnly();
+
     /// <summary>
     /// Adds a new node to the tree
     /// </summary>
@@ -81,14 +90,22 @@ internal class FlowyTreeService : IDisposable
     /// </summary>
     /// <param name="node">The node to add</param>
     /// <param name="parent">Parent node, or null to create root node</param>
-    public void AddExistingNode(FlowyNode node, FlowyNode? parent = null)
+    /// <param name="position">Index among the parent's children (-1 to append)</param>
+    public void AddExistingNode(FlowyNode node, FlowyNode? parent = null, int position = -1)
     {
         node.ParentId = parent?.Id;
         _nodes.Add(node);
 
         if (parent != null)
         {
-            parent.ChildrenIds.Add(node.Id);
+            if (position >= 0 && position < parent.ChildrenIds.Count)
+            {
+                parent.ChildrenIds.Insert(position, node.Id);
+            }
+            else
+            {
+                parent.ChildrenIds.Add(node.Id);
+            }
         }
         else if (_rootNode == null)
         {
@@ -118,6 +135,19 @@ internal class FlowyTreeService : IDisposable
         foreach (var descendant in descendants)
         {
             _nodes.Remove(descendant);
+            _removedNodes[descendant.Id] = descendant;
+        }
+
+        // Drop graph-mode edges from removed nodes to nodes that stay
+        var removedIds = descendants.Select(d => d.Id).Append(nodeId).ToHashSet();
+        foreach (var remaining in _nodes)
+        {
+            remaining.AdditionalParentIds.RemoveAll(removedIds.Contains);
+        }
+        _crossLinks.RemoveAll(link => removedIds.Contains(link.FromId) || removedIds.Contains(link.ToId));
+        foreach (var edge in _connectionLabels.Keys.Where(edge => removedIds.Contains(edge.FromId) || removedIds.Contains(edge.ToId)).ToList())
+        {
+            _connectionLabels.Remove(edge);
         }
 
         // Remove from parent's children
@@ -132,6 +162,7 @@ internal class FlowyTreeService : IDisposable
         }
 
         _nodes.Remove(node);
+        _removedNodes[node.Id] = node;
         TreeChanged?.Invoke(this, EventArgs.Empty);
         return true;
     }
@@ -263,39 +294,41 @@ internal class FlowyTreeService : IDisposable
     /// <param name="node">Node to check</param>
     /// <returns>True if node is a descendant of ancestor</returns>
     /// <remarks>
-    /// Algorithm: Walks up parent chain from 'node' checking for 'ancestor'.
+    /// Algorithm: Walks up every parent edge from 'node' (ParentId and, in graph mode,
+    /// AdditionalParentIds) checking for 'ancestor'.
     /// 
-    /// Time complexity: O(h) where h is tree height (depth of node).
+    /// Time complexity: O(n) where n is the number of ancestors of node.
     /// 
-    /// Includes circular reference detection - if corrupted data causes a cycle,
-    /// returns false and logs error to prevent infinite loop.
+    /// Each ancestor is visited once, so corrupted data with a cycle cannot cause
+    /// an infinite loop.
     /// </remarks>
     public bool IsDescendant(FlowyNode ancestor, FlowyNode node)
     {
-        var current = node;
-        // Track visited nodes to detect cycles (should never happen in valid data)
-        var visited = new HashSet<Guid> { ancestor.Id };
+        // Track visited nodes - in a graph the same ancestor can be reached along several paths
+        var visited = new HashSet<Guid>();
+        var pending = new Stack<FlowyNode>();
+        pending.Push(node);
         
-        // Walk up the parent chain from node toward root
-        while (current.ParentId.HasValue)
+        // Walk up all parent edges from node toward the root
+        while (pending.Count > 0)
         {
-            // Found ancestor in the parent chain
-            if (current.ParentId == ancestor.Id) return true;
+            var current = pending.Pop();
+            var parentIds = current.ParentId.HasValue
+                ? current.AdditionalParentIds.Prepend(current.ParentId.Value)
+                : current.AdditionalParentIds;
             
-            // Protection against circular references in corrupted data
-            // If we've already visited this parent, there's a cycle
-            if (visited.Contains(current.ParentId.Value))
+            foreach (var parentId in parentIds)
             {
-                Console.Error.WriteLine($"[Flowy] Circular reference detected in tree at node {current.Id}");
-                return false;
+                // Found ancestor among the parents
+                if (parentId == ancestor.Id) return true;
+                if (!visited.Add(parentId)) continue;
+                
+                var parent = GetNodeById(parentId);
+                if (parent != null) pending.Push(parent); // Skip orphaned references
             }
-            
-            visited.Add(current.ParentId.Value);
-            current = GetNodeById(current.ParentId.Value);
-            if (current == null) break; // Parent not found (orphaned node)
         }
         
-        // Reached root without finding ancestor
+        // Reached the root on every path without finding ancestor
         return false;
     }
 
@@ -428,12 +461,71 @@ internal class FlowyTreeService : IDisposable
         return true;
     }
 
+    /// <summary>
+    /// Adds a reference link between two nodes
+    /// </summary>
+    /// <param name="link">Link to add</param>
+    /// <returns>False if a node does not exist, the link points at its own start, or the same link (ID or endpoints) exists</returns>
+    public bool AddCrossLink(FlowyCrossLink link)
+    {
+        if (link.FromId == link.ToId) return false;
+        if (GetNodeById(link.FromId) == null || GetNodeById(link.ToId) == null) return false;
+        if (_crossLinks.Any(l => l.Id == link.Id || (l.FromId == link.FromId && l.ToId == link.ToId))) return false;
+
+        _crossLinks.Add(link);
+        TreeChanged?.Invoke(this, EventArgs.Empty);
+        return true;
+    }
+
+    /// <summary>
+    /// Removes a reference link
+    /// </summary>
+    /// <returns>False if the link does not exist</returns>
+    public bool RemoveCrossLink(Guid linkId)
+    {
+        if (_crossLinks.RemoveAll(l => l.Id == linkId) == 0) return false;
+
+        TreeChanged?.Invoke(this, EventArgs.Empty);
+        return true;
+    }
+
+    /// <summary>
+    /// Gets the label of the connection from a parent to a child
+    /// </summary>
+    /// <returns>The label, or null if the connection has none</returns>
+    public string? GetConnectionLabel(Guid fromId, Guid toId)
+    {
+        return _connectionLabels.TryGetValue((fromId, toId), out var label) ? label : null;
+    }
+
+    /// <summary>
+    /// Sets or removes the label of the connection from a parent to a child
+    /// </summary>
+    /// <param name="fromId">Parent node ID</param>
+    /// <param name="toId">Child node ID</param>
+    /// <param name="label">Label text (null or empty removes the label)</param>
+    public void SetConnectionLabel(Guid fromId, Guid toId, string? label)
+    {
+        if (string.IsNullOrWhiteSpace(label))
+        {
+            _connectionLabels.Remove((fromId, toId));
+        }
+        else
+        {
+            _connectionLabels[(fromId, toId)] = label.Trim();
+        }
+        TreeChanged?.Invoke(this, EventArgs.Empty);
+    }
+
     /// <summary>
     /// Clears the entire tree
     /// </summary>
     public void Clear()
     {
         _nodes.Clear();
+        _crossLinks.Clear();
+        _connectionLabels.Clear();
+        _removedNodes.Clear();
         _rootNode = null;
         TreeChanged?.Invoke(this, EventArgs.Empty);
     }
@@ -445,6 +537,8 @@ internal class FlowyTreeService : IDisposable
     {
         Clear();
         _nodes.AddRange(data.Nodes);
+        ApplyEdges(data.Edges);
+        ApplyCrossLinks(data.CrossLinks);
         if (data.RootNodeId.HasValue)
         {
             _rootNode = GetNodeById(data.RootNodeId.Value);
@@ -452,19 +546,125 @@ internal class FlowyTreeService : IDisposable
         TreeChanged?.Invoke(this, EventArgs.Empty);
     }
 
+    /// <summary>
+    /// Applies the parent/child structure of another tree snapshot (used after undo/redo on the canvas)
+    /// </summary>
+    /// <param name="data">Tree structure exported from the canvas</param>
+    /// <remarks>
+    /// Existing node instances are kept and only their ParentId/ChildrenIds/AdditionalParentIds are updated
+    /// (cross-links are replaced by the snapshot's links),
+    /// so custom Data survives the sync. Nodes missing from the snapshot are removed,
+    /// nodes only present in the snapshot are added - as the instance removed earlier when there is one,
+    /// so undoing a removal restores the node's Data.
+    /// TreeChanged event fires once after the structure has been applied.
+    /// </remarks>
+    /// <returns>The nodes the sync removed and the nodes it added</returns>
+    public (List<FlowyNode> Removed, List<FlowyNode> Added) SyncStructure(FlowyTreeData data)
+    {
+        var incomingIds = data.Nodes.Select(n => n.Id).ToHashSet();
+        var removedNodes = _nodes.Where(n => !incomingIds.Contains(n.Id)).ToList();
+        var addedNodes = new List<FlowyNode>();
+        foreach (var removed in removedNodes)
+        {
+            _removedNodes[removed.Id] = removed;
+        }
+        _nodes.RemoveAll(n => !incomingIds.Contains(n.Id));
+
+        foreach (var incoming in data.Nodes)
+        {
+            var node = GetNodeById(incoming.Id);
+            if (node == null)
+            {
+                if (!_removedNodes.Remove(incoming.Id, out node))
+                {
+                    _nodes.Add(incoming);
+                    addedNodes.Add(incoming);
+                    continue;
+                }
+                _nodes.Add(node);
+                addedNodes.Add(node);
+            }
+
+            node.Name = incoming.Name;
+            node.ParentId = incoming.ParentId;
+            node.ChildrenIds = new List<Guid>(incoming.ChildrenIds);
+            node.IsCollapsed = incoming.IsCollapsed;
+            node.PortId = incoming.PortId;
+        }
+
+        ApplyEdges(data.Edges);
+        ApplyCrossLinks(data.CrossLinks);
+
+        _rootNode = data.RootNodeId.HasValue ? GetNodeById(data.RootNodeId.Value) : null;
+        TreeChanged?.Invoke(this, EventArgs.Empty);
+        return (removedNodes, addedNodes);
+    }
+
     /// <summary>
     /// Exports tree to data format
     /// </summary>
     public FlowyTreeData ExportToData()
     {
+        var edges = new List<FlowyEdge>();
+        foreach (var node in _nodes)
+        {
+            if (node.ParentId.HasValue)
+            {
+                edges.Add(new FlowyEdge { FromId = node.ParentId.Value, ToId = node.Id, PortId = node.PortId, Label = GetConnectionLabel(node.ParentId.Value, node.Id) });
+            }
+            edges.AddRange(node.AdditionalParentIds.Select(parentId => new FlowyEdge { FromId = parentId, ToId = node.Id, Label = GetConnectionLabel(parentId, node.Id) }));
+        }
+
         return new FlowyTreeData
         {
             RootNodeId = _rootNode?.Id,
             Nodes = new List<FlowyNode>(_nodes),
+            Edges = edges,
+            CrossLinks = new List<FlowyCrossLink>(_crossLinks),
             CreatedAt = DateTime.UtcNow
         };
     }
 
+    /// <summary>
+    /// Rebuilds AdditionalParentIds and the connection labels from an explicit edge list
+    /// </summary>
+    /// <remarks>
+    /// Edges from a node's ParentId are already covered by ParentId/ChildrenIds and are skipped,
+    /// as are edges that refer to unknown nodes.
+    /// </remarks>
+    private void ApplyEdges(List<FlowyEdge>? edges)
+    {
+        // Imported JSON may carry an explicit "Edges": null
+        edges ??= [];
+        _connectionLabels.Clear();
+        foreach (var edge in edges.Where(e => !string.IsNullOrEmpty(e.Label)))
+        {
+            _connectionLabels[(edge.FromId, edge.ToId)] = edge.Label!;
+        }
+
+        var nodeIds = _nodes.Select(n => n.Id).ToHashSet();
+        var incoming = edges.Where(e => nodeIds.Contains(e.FromId)).ToLookup(e => e.ToId);
+        foreach (var node in _nodes)
+        {
+            node.AdditionalParentIds = incoming[node.Id]
+                .Select(e => e.FromId)
+                .Where(parentId => parentId != node.ParentId)
+                .Distinct()
+                .ToList();
+        }
+    }
+
+    /// <summary>
+    /// Replaces the cross-links, skipping links that refer to unknown nodes
+    /// </summary>
+    private void ApplyCrossLinks(List<FlowyCrossLink>? crossLinks)
+    {
+        crossLinks ??= [];
+        var nodeIds = _nodes.Select(n => n.Id).ToHashSet();
+        _crossLinks.Clear();
+        _crossLinks.AddRange(crossLinks.Where(link => nodeIds.Contains(link.FromId) && nodeIds.Contains(link.ToId)));
+    }
+
     /// <summary>
     /// Disposes the service and cleans up event handlers
     /// </summary>
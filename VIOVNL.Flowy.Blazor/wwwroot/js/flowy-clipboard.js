@@ -0,0 +1,61 @@
+/**
+ * VIOVNL.Flowy.Blazor - Interactive Hierarchical Tree Builder
+ * Copyright (C) 2025 VIOVNL
+ * 
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * For commercial licensing, visit: https://viov.nl
+ */
+
+
+// Flowy Blazor Component - Subtree Clipboard
+
+/**
+ * Page-wide clipboard for copied subtrees.
+ *
+ * Module state is shared by every canvas instance on the page, so a branch
+ * copied in one canvas can be pasted into another. Entries are plain
+ * serializeSubtree() snapshots - node IDs are replaced when pasting.
+ */
+let clipboardEntry = null;
+
+export const FlowyClipboard = {
+    /**
+     * Stores copies of the given subtrees, replacing previous content
+     * @param {string} sourceCanvasId - Canvas the subtrees were copied from
+     * @param {Array<Object>} subtrees - Snapshots from serializeSubtree()
+     */
+    write(sourceCanvasId, subtrees) {
+        clipboardEntry = {
+            sourceCanvasId,
+            subtrees: JSON.parse(JSON.stringify(subtrees))
+        };
+    },
+
+    /**
+     * Returns a fresh copy of the clipboard subtrees (safe to modify)
+     * @returns {Array<Object>} Snapshots, or an empty array if nothing was copied
+     */
+    read() {
+        return clipboardEntry ? JSON.parse(JSON.stringify(clipboardEntry.subtrees)) : [];
+    },
+
+    hasContent() {
+        return clipboardEntry !== null && clipboardEntry.subtrees.length > 0;
+    },
+
+    clear() {
+        clipboardEntry = null;
+    }
+};
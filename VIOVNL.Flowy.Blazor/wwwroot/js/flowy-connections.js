@@ -20,6 +20,8 @@
 
 // Flowy Blazor Component - Connection Management
 
+import { FlowyFlow } from './flowy-flow.js';
+
 /**
  * Manages SVG connections between nodes in the Flowy canvas
  */
@@ -28,29 +30,245 @@ export class FlowyConnections {
      * Creates a new FlowyConnections instance
      * @param {string} canvasId - The ID of the canvas element
      * @param {Object} config - Configuration object
+     * @param {FlowyUtils} utils - Utility functions instance
      * @param {Object} treeConfig - Tree layout configuration
      * @param {FlowyConsole} console - Debug console instance
      */
-    constructor(canvasId, config, treeConfig, console) {
+    constructor(canvasId, config, utils, treeConfig, console) {
         this.canvasId = canvasId;
         this.config = config;
+        this.utils = utils;
         this.TREE_CONFIG = treeConfig;
         this.console = console;
         this.connections = [];
+        this.crossLinks = []; // { link, group, line } - rendered reference links
+        
+        // Cross-link routing
+        this.CROSS_LINK_MARGIN = 16; // clearance kept around nodes
+        this.CROSS_LINK_STUB = 24; // straight run out of / into a node side before the first bend
+        this.CROSS_LINK_CORNER = 10; // corner rounding radius
+        this.CROSS_LINK_BEND_COST = 40; // route length added per bend when comparing routes
+        this.CROSS_LINK_BLOCK_COST = 10000; // route length added per node a route passes through
+        this.crossLinkLayoutKey = null; // node boxes the cross-links were last routed around
+        
+        // Returns the visible nodes cross-links are routed around (set by FlowyInstance)
+        this.getObstacleNodes = () => [];
+        
+        // Returns the label text of the edge between two nodes, or null (set by FlowyInstance)
+        this.getConnectionLabel = () => null;
+        
+        // Returns all nodes of the tree, used to find flow paths (set by FlowyInstance)
+        this.getAllNodes = () => [];
+        
+        // Droplet flows
+        this.flows = new Map(); // flow ID -> FlowyFlow
+        this.MAX_FLOW_RATE = 30; // droplets per second
+        this.DROPLET_SHAPES = ['circle', 'square', 'icon'];
+        // Flows without a droplet color take the first one not used by another running flow
+        this.DROPLET_COLORS = ['#667eea', '#f59e0b', '#10b981', '#ef4444', '#06b6d4', '#ec4899', '#8b5cf6'];
+        this.dropletGlowFilters = new Map(); // glow color -> filter ID
+        
+        // Edge routing and stroke
+        this.EDGE_ROUTINGS = ['bezier', 'straight', 'orthogonal', 'elbow'];
+        this.DEFAULT_EDGE_STROKE = 'var(--colorConnectionStroke, #667eea)';
+        this.ELBOW_STUB = 24; // vertical run out of the parent and into the child for elbow routing
+        this.CURVE_SAMPLES = 8; // chords per curved segment when measuring path length
+        this.edgeStyle = this.normalizeEdgeStyle(config.edgeStyle);
+        this.edgeArrowMarkers = new Map(); // stroke -> marker ID
+        
+        // Visual connection states (live execution) - state name -> CSS class on the line
+        this.connectionStateClasses = new Map([
+            ['active', 'connection-line--active'],     // marching ants
+            ['pulse', 'connection-line--pulse'],
+            ['success', 'connection-line--success'],
+            ['error', 'connection-line--error'],
+            ['disabled', 'connection-line--disabled']
+        ]);
+        this.connectionStates = new Map(); // "fromId>toId" -> state name, kept while connections are redrawn
+        this.selectedConnectionKey = null; // "fromId>toId" of the selected connection
+    }
+
+    /**
+     * Fill in defaults for an edge style
+     * @param {Object|null} style - { routing, stroke, width, dash, arrowhead, cornerRadius }
+     * @returns {Object} Complete edge style
+     */
+    normalizeEdgeStyle(style) {
+        const edgeStyle = style || {};
+        return {
+            routing: this.EDGE_ROUTINGS.includes(edgeStyle.routing) ? edgeStyle.routing : 'bezier',
+            stroke: edgeStyle.stroke || this.DEFAULT_EDGE_STROKE, // 'parent', 'child' or any CSS color (including var(...))
+            width: typeof edgeStyle.width === 'number' && edgeStyle.width > 0 ? edgeStyle.width : 3,
+            dash: edgeStyle.dash || null,
+            arrowhead: edgeStyle.arrowhead === true,
+            cornerRadius: typeof edgeStyle.cornerRadius === 'number' && edgeStyle.cornerRadius >= 0 ? edgeStyle.cornerRadius : 10
+        };
+    }
+
+    /**
+     * Change the routing and stroke of all connections
+     * @param {Object} style - Edge style (missing options fall back to the defaults)
+     */
+    setEdgeStyle(style) {
+        this.edgeStyle = this.normalizeEdgeStyle(style);
+        this.console.log('CONNECTIONS', `Edge style changed`, this.edgeStyle);
+        this.updateAllConnections();
     }
 
     createConnection(fromNode, toNode) {
         const svg = this.getOrCreateSvg();
         
+        // Wide transparent path under the line that catches hover and clicks
+        const hit = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        hit.classList.add('connection-hit');
+        hit.dataset.fromNode = fromNode.id;
+        hit.dataset.toNode = toNode.id;
+        
         const line = document.createElementNS('http://www.w3.org/2000/svg', 'path');
         line.classList.add('connection-line');
         line.dataset.fromNode = fromNode.id;
         line.dataset.toNode = toNode.id;
         
-        this.updateConnectionLine(line, fromNode.element, toNode.element);
-        
+        svg.appendChild(hit);
         svg.appendChild(line);
-        this.connections.push({ line, fromNode, toNode });
+        const conn = { line, hit, label: null, fromNode, toNode };
+        this.connections.push(conn);
+        this.setConnectionLabel(conn, this.getConnectionLabel(fromNode, toNode));
+        this.applyConnectionState(conn);
+        this.applyConnectionSelection(conn);
+        this.updateConnection(conn);
+    }
+
+    updateConnection(conn) {
+        const midpoint = this.updateConnectionLine(conn.line, conn.fromNode, conn.toNode);
+        conn.hit.setAttribute('d', conn.line.getAttribute('d'));
+        if (conn.label) {
+            conn.label.style.left = `${midpoint.x}px`;
+            conn.label.style.top = `${midpoint.y}px`;
+        }
+    }
+
+    findConnection(fromNode, toNode) {
+        return this.connections.find(conn => conn.fromNode === fromNode && conn.toNode === toNode) || null;
+    }
+
+    /**
+     * Show, change or remove the label pill at the midpoint of a connection.
+     * Labels are HTML elements in the transform wrapper (not SVG) so they can hold an inline editor.
+     * @param {Object} conn - Connection { line, label, fromNode, toNode }
+     * @param {string|null} text - Label text (empty or null removes the label)
+     */
+    setConnectionLabel(conn, text) {
+        if (!text) {
+            conn.label?.remove();
+            conn.label = null;
+            return;
+        }
+        
+        if (!conn.label) {
+            conn.label = document.createElement('div');
+            conn.label.className = 'connection-label';
+            conn.label.dataset.fromNode = conn.fromNode.id;
+            conn.label.dataset.toNode = conn.toNode.id;
+            conn.label.classList.toggle('connection-label--hidden', conn.line.classList.contains('connection-line--hidden'));
+            // Directly after the SVG: above the lines, below the nodes
+            this.getOrCreateSvg().after(conn.label);
+        }
+        conn.label.textContent = text;
+        conn.label.title = text;
+        this.updateConnection(conn);
+    }
+
+    /**
+     * Add a custom connection state, or change the class of an existing one
+     * @param {string} state - State name used with setConnectionState
+     * @param {string} className - CSS class added to the connection line while it is in this state
+     * @returns {boolean} False if the name or class is empty
+     */
+    registerConnectionState(state, className) {
+        if (!state || !className) return false;
+        
+        const oldClassName = this.connectionStateClasses.get(state);
+        if (oldClassName) this.connections.forEach(conn => conn.line.classList.remove(oldClassName));
+        this.connectionStateClasses.set(state, className);
+        this.console.log('CONNECTIONS', `Connection state registered: ${state}`, { className });
+        this.connections.forEach(conn => this.applyConnectionState(conn));
+        return true;
+    }
+
+    /**
+     * Put a connection in a visual state (active, pulse, success, error, disabled or a registered custom state)
+     * @param {Object} fromNode - Parent node
+     * @param {Object} toNode - Child node
+     * @param {string|null} state - State name (null clears the state)
+     * @returns {boolean} False if there is no connection between the nodes or the state is unknown
+     */
+    setConnectionState(fromNode, toNode, state) {
+        const conn = this.findConnection(fromNode, toNode);
+        if (!conn) return false;
+        if (state && !this.connectionStateClasses.has(state)) {
+            this.console.log('CONNECTIONS', `Unknown connection state: ${state}`);
+            return false;
+        }
+        
+        const key = this.getConnectionStateKey(fromNode, toNode);
+        if (state) {
+            this.connectionStates.set(key, state);
+        } else {
+            this.connectionStates.delete(key);
+        }
+        this.applyConnectionState(conn);
+        return true;
+    }
+
+    getConnectionState(fromNode, toNode) {
+        return this.connectionStates.get(this.getConnectionStateKey(fromNode, toNode)) || null;
+    }
+
+    /**
+     * Highlight the selected connection (null clears the highlight)
+     * @param {Object|null} fromNode - Parent node
+     * @param {Object|null} toNode - Child node
+     */
+    setSelectedConnection(fromNode, toNode) {
+        this.selectedConnectionKey = fromNode && toNode ? this.getConnectionStateKey(fromNode, toNode) : null;
+        this.connections.forEach(conn => this.applyConnectionSelection(conn));
+    }
+
+    applyConnectionSelection(conn) {
+        const selected = this.getConnectionStateKey(conn.fromNode, conn.toNode) === this.selectedConnectionKey;
+        conn.line.classList.toggle('connection-line--selected', selected);
+        conn.hit.classList.toggle('connection-hit--selected', selected);
+    }
+
+    // Forget all connection states (the tree was cleared)
+    clearConnectionStates() {
+        this.connectionStates.clear();
+        this.connections.forEach(conn => this.applyConnectionState(conn));
+    }
+
+    getConnectionStateKey(fromNode, toNode) {
+        return `${fromNode.id}>${toNode.id}`;
+    }
+
+    // Swap the line's state class for the one of its current state
+    applyConnectionState(conn) {
+        const state = this.getConnectionState(conn.fromNode, conn.toNode);
+        this.connectionStateClasses.forEach(className => conn.line.classList.remove(className));
+        if (state) {
+            conn.line.classList.add(this.connectionStateClasses.get(state));
+            conn.line.dataset.state = state;
+        } else {
+            delete conn.line.dataset.state;
+        }
+    }
+
+    /**
+     * Output port a connection leaves from - only the tree parent edge uses the child's port,
+     * edges from additional parents (graph mode) leave from the bottom center
+     */
+    getConnectionPortId(fromNode, toNode) {
+        return toNode.parent === fromNode ? toNode.portId : null;
     }
 
     getOrCreateSvg() {
@@ -68,112 +286,769 @@ export class FlowyConnections {
         return svg;
     }
 
-    updateConnectionLine(line, fromElement, toElement) {
-        // Calculate center positions (1px offset corrects for visual alignment with node connectors)
-        const fromX = parseFloat(fromElement.style.left) + this.TREE_CONFIG.nodeWidth / 2;
-        const fromNodeHeight = fromElement.offsetHeight || this.TREE_CONFIG.nodeHeight;
-        const fromY = parseFloat(fromElement.style.top) + fromNodeHeight;
-        const toX = parseFloat(toElement.style.left) + this.TREE_CONFIG.nodeWidth / 2;
-        const toY = parseFloat(toElement.style.top);
+    /**
+     * Draw the connection from the parent's output connector to the child's input connector
+     * in the current edge style
+     * @param {SVGPathElement} line - Connection path
+     * @param {Object} fromNode - Parent node
+     * @param {Object} toNode - Child node
+     * @returns {{x: number, y: number}} Midpoint of the connection (where its label sits)
+     */
+    updateConnectionLine(line, fromNode, toNode) {
+        const segments = this.getConnectionSegments(fromNode, toNode);
+        const { width, dash, arrowhead } = this.edgeStyle;
+        const stroke = this.getConnectionStroke(fromNode, toNode);
+        
+        line.setAttribute('d', this.segmentsToPath(segments));
+        line.style.stroke = stroke;
+        line.setAttribute('stroke-width', width);
+        line.setAttribute('fill', 'none');
+        line.setAttribute('stroke-linecap', 'round');
+        line.setAttribute('stroke-linejoin', 'round');
+        if (dash) {
+            line.setAttribute('stroke-dasharray', dash);
+        } else {
+            line.removeAttribute('stroke-dasharray');
+        }
+        if (arrowhead) {
+            line.setAttribute('marker-end', `url(#${this.ensureEdgeArrowMarker(stroke)})`);
+        } else {
+            line.removeAttribute('marker-end');
+        }
+        
+        return this.getPointOnSegments(segments, 0.5);
+    }
+
+    /**
+     * Stroke of a connection: the parent's or child's node color, or the configured CSS color
+     */
+    getConnectionStroke(fromNode, toNode) {
+        const { stroke } = this.edgeStyle;
+        if (stroke === 'parent') return fromNode.color || this.DEFAULT_EDGE_STROKE;
+        if (stroke === 'child') return toNode.color || this.DEFAULT_EDGE_STROKE;
+        return stroke;
+    }
+
+    /**
+     * Restyle the connections into and out of a node (after its color changed)
+     */
+    updateNodeConnections(node) {
+        this.connections
+            .filter(conn => conn.fromNode === node || conn.toNode === node)
+            .forEach(conn => this.updateConnection(conn));
+    }
+
+    /**
+     * Route of a connection as path segments, in the current routing style.
+     * Connection lines and droplets both follow these segments.
+     * @param {Object} fromNode - Parent node
+     * @param {Object} toNode - Child node
+     * @returns {Array<Object>} Segments { type: 'L' | 'Q' | 'C', points: [start, ...controls, end] }
+     */
+    getConnectionSegments(fromNode, toNode) {
+        const { start, end } = this.getConnectionEndpoints(fromNode, toNode);
         
-        const verticalDistance = toY - fromY;
-        const horizontalDistance = Math.abs(toX - fromX);
+        // Work in flow coordinates: main runs from parent to child, cross runs along the siblings
+        const horizontal = this.utils.isHorizontalOrientation();
+        const sign = this.utils.isReversedOrientation() ? -1 : 1;
+        const main = (p) => horizontal ? p.x : p.y;
+        const cross = (p) => horizontal ? p.y : p.x;
+        const point = (crossValue, mainValue) => horizontal ? { x: mainValue, y: crossValue } : { x: crossValue, y: mainValue };
+        const distance = (main(end) - main(start)) * sign;
         
-        const curveTension = Math.min(verticalDistance * 0.6, 120);
-        const horizontalOffset = Math.min(horizontalDistance * 0.3, 60);
+        switch (this.edgeStyle.routing) {
+            case 'straight':
+                return [{ type: 'L', points: [start, end] }];
+            
+            case 'orthogonal': {
+                // Out of the parent, across halfway, into the child
+                const midMain = (main(start) + main(end)) / 2;
+                return this.getRoundedSegments([start, point(cross(start), midMain), point(cross(end), midMain), end], this.edgeStyle.cornerRadius);
+            }
+            
+            case 'elbow': {
+                // Short runs out of the parent and into the child joined by a straight diagonal
+                const stub = Math.min(this.ELBOW_STUB, Math.max(distance, 0) / 3) * sign;
+                return this.getRoundedSegments([start, point(cross(start), main(start) + stub), point(cross(end), main(end) - stub), end], this.edgeStyle.cornerRadius);
+            }
+            
+            default: {
+                const crossDistance = Math.abs(cross(end) - cross(start));
+                
+                const curveTension = Math.min(distance * 0.6, 120) * sign;
+                const crossOffset = Math.min(crossDistance * 0.3, 60) * (cross(end) > cross(start) ? 1 : -1);
+                
+                const control1 = point(cross(start) + crossOffset, main(start) + curveTension);
+                const control2 = point(cross(end) - crossOffset, main(end) - curveTension);
+                
+                return [{ type: 'C', points: [start, control1, control2, end] }];
+            }
+        }
+    }
+
+    /**
+     * Where a connection leaves the parent (its output port) and enters the child (the center
+     * of the edge facing the parent). In the default top-down orientation that is the parent's
+     * bottom edge and the child's top edge.
+     * @returns {{start: {x: number, y: number}, end: {x: number, y: number}}}
+     */
+    getConnectionEndpoints(fromNode, toNode) {
+        const box = (element) => {
+            const left = parseFloat(element.style.left);
+            const top = parseFloat(element.style.top);
+            return { left, top, right: left + this.TREE_CONFIG.nodeWidth, bottom: top + (element.offsetHeight || this.TREE_CONFIG.nodeHeight) };
+        };
+        const from = box(fromNode.element);
+        const to = box(toNode.element);
+        const portOffset = this.utils.getPortOffset(fromNode.element, this.getConnectionPortId(fromNode, toNode));
+        const toCenterX = to.left + this.TREE_CONFIG.nodeWidth / 2;
+        const toCenterY = (to.top + to.bottom) / 2;
         
-        const controlY1 = fromY + curveTension;
-        const controlY2 = toY - curveTension;
+        switch (this.TREE_CONFIG.orientation) {
+            case 'bottom-up':
+                return { start: { x: from.left + portOffset, y: from.top }, end: { x: toCenterX, y: to.bottom } };
+            case 'left-right':
+                return { start: { x: from.right, y: from.top + portOffset }, end: { x: to.left, y: toCenterY } };
+            case 'right-left':
+                return { start: { x: from.left, y: from.top + portOffset }, end: { x: to.right, y: toCenterY } };
+            default:
+                return { start: { x: from.left + portOffset, y: from.bottom }, end: { x: toCenterX, y: to.top } };
+        }
+    }
+
+    /**
+     * Polyline as line segments joined by rounded (quadratic) corners
+     * @param {Array<{x: number, y: number}>} points - Polyline points
+     * @param {number} radius - Corner radius (limited to half of the shorter adjoining segment)
+     */
+    getRoundedSegments(points, radius) {
+        const segments = [];
+        let current = points[0];
+        for (let i = 1; i < points.length - 1; i++) {
+            const prev = points[i - 1];
+            const corner = points[i];
+            const next = points[i + 1];
+            const inLength = Math.hypot(corner.x - prev.x, corner.y - prev.y);
+            const outLength = Math.hypot(next.x - corner.x, next.y - corner.y);
+            const cornerRadius = Math.min(radius, inLength / 2, outLength / 2);
+            if (cornerRadius <= 0) continue;
+            
+            const before = { x: corner.x - (corner.x - prev.x) / inLength * cornerRadius, y: corner.y - (corner.y - prev.y) / inLength * cornerRadius };
+            const after = { x: corner.x + (next.x - corner.x) / outLength * cornerRadius, y: corner.y + (next.y - corner.y) / outLength * cornerRadius };
+            segments.push({ type: 'L', points: [current, before] });
+            segments.push({ type: 'Q', points: [before, corner, after] });
+            current = after;
+        }
+        segments.push({ type: 'L', points: [current, points[points.length - 1]] });
+        return segments;
+    }
+
+    segmentsToPath(segments) {
+        const start = segments[0].points[0];
+        return segments.reduce((path, { type, points }) => {
+            const [, ...rest] = points;
+            if (type === 'C') return `${path} C ${rest[0].x} ${rest[0].y}, ${rest[1].x} ${rest[1].y}, ${rest[2].x} ${rest[2].y}`;
+            return `${path} ${type} ${rest.map(p => `${p.x} ${p.y}`).join(' ')}`;
+        }, `M ${start.x} ${start.y}`);
+    }
+
+    /**
+     * Point on a single segment at parameter t (0-1)
+     */
+    getPointOnSegment({ type, points }, t) {
+        const invT = 1 - t;
+        const [p0, p1, p2, p3] = points;
+        if (type === 'L') {
+            return { x: p0.x + (p1.x - p0.x) * t, y: p0.y + (p1.y - p0.y) * t };
+        }
+        if (type === 'Q') {
+            return {
+                x: invT * invT * p0.x + 2 * invT * t * p1.x + t * t * p2.x,
+                y: invT * invT * p0.y + 2 * invT * t * p1.y + t * t * p2.y
+            };
+        }
+        return {
+            x: invT * invT * invT * p0.x + 3 * invT * invT * t * p1.x + 3 * invT * t * t * p2.x + t * t * t * p3.x,
+            y: invT * invT * invT * p0.y + 3 * invT * invT * t * p1.y + 3 * invT * t * t * p2.y + t * t * t * p3.y
+        };
+    }
+
+    getSegmentLength(segment) {
+        if (segment.type === 'L') {
+            const [a, b] = segment.points;
+            return Math.hypot(b.x - a.x, b.y - a.y);
+        }
+        let length = 0;
+        let prev = segment.points[0];
+        for (let i = 1; i <= this.CURVE_SAMPLES; i++) {
+            const point = this.getPointOnSegment(segment, i / this.CURVE_SAMPLES);
+            length += Math.hypot(point.x - prev.x, point.y - prev.y);
+            prev = point;
+        }
+        return length;
+    }
+
+    /**
+     * Point at progress t (0-1) along a route. Progress is spread over the segments
+     * by their length; a single segment uses its own curve parameter.
+     */
+    getPointOnSegments(segments, t) {
+        if (segments.length === 1) return this.getPointOnSegment(segments[0], t);
         
-        const controlX1 = fromX + (toX > fromX ? horizontalOffset : -horizontalOffset);
-        const controlX2 = toX - (toX > fromX ? horizontalOffset : -horizontalOffset);
+        const lengths = segments.map(segment => this.getSegmentLength(segment));
+        const total = lengths.reduce((sum, length) => sum + length, 0);
+        let remaining = t * total;
+        for (let i = 0; i < segments.length; i++) {
+            if (remaining <= lengths[i] || i === segments.length - 1) {
+                return this.getPointOnSegment(segments[i], lengths[i] > 0 ? Math.min(remaining / lengths[i], 1) : 1);
+            }
+            remaining -= lengths[i];
+        }
+    }
+
+    /**
+     * Arrowhead marker filled with a connection's stroke (markers do not inherit the line color)
+     * @returns {string} Marker ID
+     */
+    ensureEdgeArrowMarker(stroke) {
+        const svg = this.getOrCreateSvg();
+        let markerId = this.edgeArrowMarkers.get(stroke);
+        if (markerId && svg.querySelector(`#${markerId}`)) return markerId;
         
-        const path = `M ${fromX} ${fromY} C ${controlX1} ${controlY1}, ${controlX2} ${controlY2}, ${toX} ${toY}`;
+        markerId = markerId || `${this.canvasId}-edge-arrow-${this.edgeArrowMarkers.size + 1}`;
+        this.edgeArrowMarkers.set(stroke, markerId);
         
-        line.setAttribute('d', path);
-        line.setAttribute('stroke', '#667eea');
-        line.setAttribute('stroke-width', '3');
-        line.setAttribute('fill', 'none');
-        line.setAttribute('stroke-linecap', 'round');
-        line.setAttribute('stroke-linejoin', 'round');
+        const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+        defs.innerHTML = `
+            <marker id="${markerId}" class="connection-arrow" viewBox="0 0 10 10" refX="8" refY="5"
+                    markerWidth="4" markerHeight="4" orient="auto">
+                <path d="M 0 0 L 10 5 L 0 10 z"/>
+            </marker>
+        `;
+        defs.querySelector('path').style.fill = stroke;
+        svg.insertBefore(defs, svg.firstChild);
+        return markerId;
     }
 
     updateAllConnections() {
+        this.connections.forEach(conn => this.updateConnection(conn));
+        this.updateAllCrossLinks();
+    }
+
+    /**
+     * Hide connections leading into or out of nodes inside collapsed subtrees
+     * @param {Set<Object>} hiddenNodes - Nodes that are currently hidden
+     */
+    setHiddenNodes(hiddenNodes) {
         this.connections.forEach(conn => {
-            this.updateConnectionLine(conn.line, conn.fromNode.element, conn.toNode.element);
+            const hidden = hiddenNodes.has(conn.toNode) || hiddenNodes.has(conn.fromNode);
+            conn.line.classList.toggle('connection-line--hidden', hidden);
+            conn.hit.classList.toggle('connection-hit--hidden', hidden);
+            conn.label?.classList.toggle('connection-label--hidden', hidden);
+        });
+        this.crossLinks.forEach(({ link, group }) => {
+            group.classList.toggle('cross-link--hidden', hiddenNodes.has(link.toNode) || hiddenNodes.has(link.fromNode));
         });
     }
 
-    removeConnection(toNodeId) {
-        this.connections = this.connections.filter(conn => conn.toNode.id !== toNodeId);
-        const oldLine = document.querySelector(`.connection-line[data-to-node="${toNodeId}"]`);
-        if (oldLine) oldLine.remove();
+    /**
+     * Remove the connections leading into a node
+     * @param {string} toNodeId - Child node GUID
+     * @param {string|null} fromNodeId - Only remove the edge from this parent (null = every incoming edge)
+     * @param {boolean} keepState - The edge is redrawn right away: keep its connection state
+     */
+    removeConnection(toNodeId, fromNodeId = null, keepState = false) {
+        this.connections = this.connections.filter(conn => {
+            const matches = conn.toNode.id === toNodeId && (!fromNodeId || conn.fromNode.id === fromNodeId);
+            if (matches) {
+                conn.line.remove();
+                conn.hit.remove();
+                conn.label?.remove();
+                if (!keepState) this.connectionStates.delete(this.getConnectionStateKey(conn.fromNode, conn.toNode));
+            }
+            return !matches;
+        });
     }
 
     clearAll() {
         this.connections = [];
+        this.crossLinks = [];
+        this.crossLinkLayoutKey = null;
         const transformWrapper = document.getElementById(`${this.canvasId}-transform`);
         if (transformWrapper) {
             transformWrapper.querySelectorAll('.connection-line').forEach(el => el.remove());
+            transformWrapper.querySelectorAll('.connection-label').forEach(el => el.remove());
             transformWrapper.querySelectorAll('.connections-svg').forEach(el => el.remove());
             transformWrapper.querySelectorAll('.flow-droplet').forEach(el => el.remove());
         }
     }
 
+    /**
+     * Draw a cross-link: a dashed reference arrow between two nodes, outside the hierarchy.
+     * The group holds a wide transparent hit path (for clicking) and the visible line.
+     * @param {Object} link - Cross-link { id, fromNode, toNode, type }
+     */
+    createCrossLink(link) {
+        const svg = this.getOrCreateSvg();
+        this.ensureCrossLinkMarkers(svg);
+        
+        const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        group.classList.add('cross-link');
+        group.dataset.linkId = link.id;
+        group.dataset.fromNode = link.fromNode.id;
+        group.dataset.toNode = link.toNode.id;
+        group.classList.toggle('cross-link--hidden', link.fromNode.isHidden === true || link.toNode.isHidden === true);
+        if (link.type) {
+            group.dataset.linkType = link.type;
+            const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            title.textContent = link.type;
+            group.appendChild(title);
+        }
+        
+        const hit = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        hit.classList.add('cross-link-hit');
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+        line.classList.add('cross-link-line');
+        line.setAttribute('marker-end', `url(#${this.canvasId}-cross-link-arrow)`);
+        group.append(hit, line);
+        
+        svg.appendChild(group);
+        this.crossLinks.push({ link, group, line });
+        this.updateCrossLink(this.crossLinks[this.crossLinks.length - 1]);
+    }
+
+    removeCrossLink(linkId) {
+        this.crossLinks = this.crossLinks.filter(entry => {
+            if (entry.link.id !== linkId) return true;
+            entry.group.remove();
+            return false;
+        });
+    }
+
+    /**
+     * Mark one cross-link as selected (null clears the selection)
+     */
+    setSelectedCrossLink(linkId) {
+        this.crossLinks.forEach(({ link, group, line }) => {
+            const selected = link.id === linkId;
+            group.classList.toggle('cross-link--selected', selected);
+            line.setAttribute('marker-end', `url(#${this.canvasId}-cross-link-arrow${selected ? '-selected' : ''})`);
+        });
+    }
+
+    /**
+     * Re-route the cross-links, but only when a node box changed since the last routing -
+     * redraws that leave the nodes in place (e.g. while dragging) keep the current routes
+     */
+    updateAllCrossLinks() {
+        if (this.crossLinks.length === 0) return;
+        const obstacles = this.getObstacleNodes().map(node => this.getNodeBox(node.element, this.CROSS_LINK_MARGIN));
+        const layoutKey = obstacles.map(box => `${box.left},${box.top},${box.bottom}`).join(';');
+        if (layoutKey === this.crossLinkLayoutKey) return;
+        
+        this.crossLinkLayoutKey = layoutKey;
+        this.crossLinks.forEach(entry => this.updateCrossLink(entry, obstacles));
+    }
+
+    updateCrossLink(entry, obstacles = null) {
+        const boxes = obstacles || this.getObstacleNodes().map(node => this.getNodeBox(node.element, this.CROSS_LINK_MARGIN));
+        const points = this.routeCrossLink(entry.link.fromNode.element, entry.link.toNode.element, boxes);
+        const path = this.segmentsToPath(this.getRoundedSegments(points, this.CROSS_LINK_CORNER));
+        entry.group.querySelectorAll('path').forEach(p => p.setAttribute('d', path));
+    }
+
+    /**
+     * Node rectangle in canvas coordinates, optionally grown by a margin
+     */
+    getNodeBox(element, margin = 0) {
+        const left = parseFloat(element.style.left);
+        const top = parseFloat(element.style.top);
+        return {
+            element,
+            left: left - margin,
+            top: top - margin,
+            right: left + this.TREE_CONFIG.nodeWidth + margin,
+            bottom: top + (element.offsetHeight || this.TREE_CONFIG.nodeHeight) + margin
+        };
+    }
+
+    /**
+     * Orthogonal route between the sides of two nodes that avoids the other nodes.
+     * 
+     * Candidate routes leave the source from its left or right side and enter the
+     * target from its left or right side, either through a vertical channel
+     * (2 bends) or through a horizontal corridor above/below the nodes (4 bends).
+     * Channels are first placed next to the ends, then just past every node that
+     * blocks them. The shortest candidate wins; bends and blocked nodes add cost.
+     * 
+     * @param {HTMLElement} fromElement - Source node element
+     * @param {HTMLElement} toElement - Target node element
+     * @param {Array<Object>} obstacles - Node boxes (with margin) to route around
+     * @returns {Array<{x: number, y: number}>} Route points from source to target
+     */
+    routeCrossLink(fromElement, toElement, obstacles) {
+        const source = this.getNodeBox(fromElement);
+        const target = this.getNodeBox(toElement);
+        const blockers = obstacles.filter(box => box.element !== fromElement && box.element !== toElement);
+        const stub = this.CROSS_LINK_STUB;
+        const margin = this.CROSS_LINK_MARGIN;
+        
+        const sidePoint = (box, side) => ({ x: side === 'left' ? box.left : box.right, y: (box.top + box.bottom) / 2 });
+        const outward = (side) => side === 'left' ? -1 : 1;
+        
+        const candidates = [];
+        ['left', 'right'].forEach(fromSide => ['left', 'right'].forEach(toSide => {
+            const start = sidePoint(source, fromSide);
+            const end = sidePoint(target, toSide);
+            const startX = start.x + outward(fromSide) * stub;
+            const endX = end.x + outward(toSide) * stub;
+            
+            // Vertical channel: must lie outside both sides it connects
+            const channelAllowed = (x) => (x - startX) * outward(fromSide) >= 0 && (x - endX) * outward(toSide) >= 0;
+            const channel = (x) => [start, { x, y: start.y }, { x, y: end.y }, end];
+            const channelXs = [(startX + endX) / 2, startX, endX];
+            
+            // Horizontal corridor above or below the ends
+            const corridor = (y) => [start, { x: startX, y: start.y }, { x: startX, y }, { x: endX, y }, { x: endX, y: end.y }, end];
+            const corridorYs = [source.top - margin, source.bottom + margin, target.top - margin, target.bottom + margin];
+            
+            const tryRoute = (points) => {
+                const blocked = blockers.filter(box => this.routeHitsBox(points, box));
+                candidates.push({ points, cost: this.getRouteCost(points, blocked.length) });
+                return blocked;
+            };
+            
+            channelXs.filter(channelAllowed).forEach(x => {
+                // Step past whatever blocks the channel
+                tryRoute(channel(x)).forEach(box => {
+                    [box.left - 1, box.right + 1].filter(channelAllowed).forEach(detour => tryRoute(channel(detour)));
+                });
+            });
+            corridorYs.forEach(y => {
+                tryRoute(corridor(y)).forEach(box => {
+                    [box.top - 1, box.bottom + 1].forEach(detour => tryRoute(corridor(detour)));
+                });
+            });
+        }));
+        
+        return candidates.reduce((best, candidate) => candidate.cost < best.cost ? candidate : best).points;
+    }
+
+    getRouteCost(points, blockedCount) {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            length += Math.abs(points[i].x - points[i - 1].x) + Math.abs(points[i].y - points[i - 1].y);
+        }
+        return length + (points.length - 2) * this.CROSS_LINK_BEND_COST + blockedCount * this.CROSS_LINK_BLOCK_COST;
+    }
+
+    /**
+     * Whether any axis-aligned segment of a route passes through the inside of a box
+     */
+    routeHitsBox(points, box) {
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            if (Math.max(a.x, b.x) > box.left && Math.min(a.x, b.x) < box.right &&
+                Math.max(a.y, b.y) > box.top && Math.min(a.y, b.y) < box.bottom) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Ensures the arrowhead markers for cross-links exist in the SVG
+     * (a separate marker for the selected link, as markers do not inherit the line's color)
+     */
+    ensureCrossLinkMarkers(svg) {
+        if (svg.querySelector(`#${this.canvasId}-cross-link-arrow`)) return;
+        
+        const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+        defs.innerHTML = ['', '-selected'].map(suffix => `
+            <marker id="${this.canvasId}-cross-link-arrow${suffix}" class="cross-link-arrow${suffix ? ' cross-link-arrow--selected' : ''}"
+                    viewBox="0 0 10 10" refX="9" refY="5" markerUnits="userSpaceOnUse" markerWidth="12" markerHeight="12" orient="auto">
+                <path d="M 0 0 L 10 5 L 0 10 z"/>
+            </marker>
+        `).join('');
+        svg.insertBefore(defs, svg.firstChild);
+    }
+
     /**
      * Animates droplets flowing from startNodeId to endNodeId through the tree structure
      * @param {string} startNodeId - GUID of the starting node
      * @param {string} endNodeId - GUID of the destination node
-     * @param {Object} allNodes - Array of all nodes in the tree
      * @param {number} duration - Duration in ms for each segment animation (default: 800)
      * @param {number} dropletCount - Number of droplets to animate (default: 5)
      * @param {number} dropletDelay - Delay in ms between droplet starts (default: 150)
      * @param {number} dropletDistance - Distance offset (0-1) between droplets along path (default: 0, spawns together)
      * @param {string} easing - Easing function name: 'linear', 'easeIn', 'easeOut', 'easeInOut', 'easeInQuad', 'easeOutQuad', 'easeInOutQuad', 'easeInCubic' (default: 'easeInOut')
+     * @returns {Promise<boolean>} True when every droplet arrived, false if there is no path or the flow was stopped
      */
-    async flowDroplets(startNodeId, endNodeId, allNodes, duration = 800, dropletCount = 5, dropletDelay = 150, dropletDistance = 0, easing = 'easeInOut') {
-        this.console.log('FLOW', `Starting droplet animation`, { 
-            from: startNodeId, 
-            to: endNodeId,
-            dropletCount,
-            duration,
-            dropletDelay,
-            dropletDistance,
-            easing
-        });
+    async flowDroplets(startNodeId, endNodeId, duration = 800, dropletCount = 5, dropletDelay = 150, dropletDistance = 0, easing = 'easeInOut') {
+        const flow = this.startFlow(startNodeId, endNodeId, { duration, dropletCount, dropletDelay, dropletDistance, easing });
+        return flow ? await flow.done : false;
+    }
 
-        // Find the path from start to end
-        const path = this.findPath(startNodeId, endNodeId, allNodes);
-        
+    /**
+     * Start a droplet flow from startNodeId to endNodeId and return its handle right away
+     * @param {string} startNodeId - GUID of the starting node
+     * @param {string} endNodeId - GUID of the destination node
+     * @param {Object} options - { duration, dropletCount, dropletDelay, dropletDistance, easing, loop, rate, droplet }
+     *   loop keeps emitting droplets until the flow is stopped; rate (droplets per second) replaces dropletDelay;
+     *   droplet sets the droplets' look (see normalizeDropletSpec)
+     * @returns {FlowyFlow|null} The running flow, or null if there is no path between the nodes
+     */
+    startFlow(startNodeId, endNodeId, options = {}) {
+        let path = this.findPath(startNodeId, endNodeId, this.getAllNodes());
         if (!path || path.length < 2) {
             this.console.log('FLOW', `No valid path found between nodes`, { 
                 from: startNodeId, 
                 to: endNodeId 
             });
-            return false;
+            return null;
         }
 
-        this.console.log('FLOW', `Path found`, { 
+        const flow = this.createFlow(this.normalizeFlowOptions(options));
+        this.console.log('FLOW', `Starting droplet flow`, { 
+            flowId: flow.id,
             path: path.map(n => n.name),
-            segments: path.length - 1
+            ...flow.options
+        });
+        
+        const { duration, dropletDistance, easing, loop } = flow.options;
+        this.runFlow(flow, (i) => {
+            // A looping flow looks the path up again for every droplet - nodes may have moved or gone
+            if (loop && i > 0) path = this.findPath(startNodeId, endNodeId, this.getAllNodes());
+            if (!path || path.length < 2) return null;
+            return this.animateDropletAlongPath(flow, path, duration, loop ? 0 : i * dropletDistance, easing);
+        });
+        return flow;
+    }
+
+    /**
+     * Start a flow that spreads from a node to all its descendants, splitting into one droplet
+     * per branch at every fork - or, when gathering, runs from every leaf up to the node,
+     * timed so that branches meet at each fork
+     * @param {string} nodeId - GUID of the node the flow starts from (or converges to)
+     * @param {Object} options - Flow options plus { gather, maxDepth, componentIds }
+     *   maxDepth limits the number of levels below the node (0 = unlimited);
+     *   componentIds only lets the flow into nodes of these components (their subtrees are skipped otherwise)
+     * @returns {FlowyFlow|null} The running flow, or null if the node has no (matching) descendants
+     */
+    startBroadcastFlow(nodeId, options = {}) {
+        const node = this.getAllNodes().find(n => n.id === nodeId);
+        let branches = node ? this.getBroadcastBranches(node, options) : [];
+        if (branches.length === 0) {
+            this.console.log('FLOW', `No descendants to broadcast to`, { nodeId });
+            return null;
+        }
+        
+        const flow = this.createFlow(this.normalizeFlowOptions(options, 1));
+        const gather = options.gather === true;
+        this.console.log('FLOW', `Starting ${gather ? 'gather' : 'broadcast'} flow`, { 
+            flowId: flow.id,
+            node: node.name,
+            branches: branches.length,
+            ...flow.options
         });
+        
+        this.runFlow(flow, (i) => {
+            // A looping flow follows the current tree for every wave
+            if (flow.options.loop && i > 0) {
+                branches = this.getAllNodes().includes(node) ? this.getBroadcastBranches(node, options) : [];
+            }
+            if (branches.length === 0) return null;
+            
+            const height = Math.max(...branches.map(branch => branch.height)) + 1;
+            return gather
+                ? this.animateGather(flow, node, branches, height)
+                : this.animateBroadcast(flow, node, branches);
+        });
+        return flow;
+    }
+
+    /**
+     * Branches a broadcast follows below a node: { node, children, height } per child.
+     * Every node is reached once (graph mode nodes through their first parent, breadth-first);
+     * hidden nodes (collapsed subtrees) are skipped.
+     */
+    getBroadcastBranches(startNode, options) {
+        const maxDepth = options.maxDepth > 0 ? options.maxDepth : Infinity;
+        const componentIds = options.componentIds?.length > 0 ? new Set(options.componentIds) : null;
+        
+        const root = { node: startNode, children: [], height: 0 };
+        const visited = new Set([startNode]);
+        const queue = [{ branch: root, depth: 0 }];
+        const order = [];
+        while (queue.length > 0) {
+            const { branch, depth } = queue.shift();
+            order.push(branch);
+            if (depth >= maxDepth) continue;
+            
+            this.utils.getGraphChildren(branch.node).forEach(child => {
+                if (visited.has(child) || child.isHidden) return;
+                if (componentIds && !componentIds.has(child.componentId)) return;
+                visited.add(child);
+                const childBranch = { node: child, children: [], height: 0 };
+                branch.children.push(childBranch);
+                queue.push({ branch: childBranch, depth: depth + 1 });
+            });
+        }
+        
+        // Height in edges of each branch, deepest levels first
+        order.reverse().forEach(branch => {
+            branch.height = branch.children.length > 0 ? Math.max(...branch.children.map(child => child.height)) + 1 : 0;
+        });
+        return root.children;
+    }
+
+    // One droplet per edge, leaving the parent together and splitting at every fork
+    async animateBroadcast(flow, fromNode, branches) {
+        const { duration, easing } = flow.options;
+        await Promise.all(branches.map(async branch => {
+            await this.animateDropletAlongPath(flow, [fromNode, branch.node], duration, 0, easing);
+            if (!flow.isStopped) await this.animateBroadcast(flow, branch.node, branch.children);
+        }));
+    }
 
-        // Animate multiple droplets with staggered starts
+    /**
+     * One droplet per edge, travelling up. Shallow branches start later so that every
+     * branch of a fork reaches it at the same time; height is the fork's height in edges.
+     */
+    async animateGather(flow, toNode, branches, height) {
+        const { duration, easing } = flow.options;
+        await Promise.all(branches.map(async branch => {
+            await flow.wait((height - 1 - branch.height) * duration);
+            if (flow.isStopped) return;
+            await this.animateGather(flow, branch.node, branch.children, branch.height);
+            if (!flow.isStopped) await this.animateDropletAlongPath(flow, [branch.node, toNode], duration, 0, easing);
+        }));
+    }
+
+    // Register a new flow so it can be looked up, stopped and cleaned up
+    createFlow(options) {
+        const { droplet } = options;
+        droplet.color = droplet.color || this.pickDropletColor();
+        droplet.glowColor = droplet.glowColor || droplet.color;
+        
+        const flow = new FlowyFlow(crypto.randomUUID(), options);
+        this.flows.set(flow.id, flow);
+        flow.done.then(() => this.flows.delete(flow.id));
+        return flow;
+    }
+
+    /**
+     * Fill in defaults for flow options
+     */
+    normalizeFlowOptions(options, defaultDropletCount = 5) {
+        const flowOptions = options || {};
+        const number = (value, fallback) => typeof value === 'number' && value >= 0 ? value : fallback;
+        const rate = Math.min(number(flowOptions.rate, 0), this.MAX_FLOW_RATE);
+        const loop = flowOptions.loop === true;
+        const dropletDelay = rate > 0 ? 1000 / rate : number(flowOptions.dropletDelay, 150);
+        return {
+            duration: number(flowOptions.duration, 800),
+            dropletCount: number(flowOptions.dropletCount, defaultDropletCount),
+            // A looping flow never emits faster than MAX_FLOW_RATE
+            dropletDelay: loop ? Math.max(dropletDelay, 1000 / this.MAX_FLOW_RATE) : dropletDelay,
+            dropletDistance: number(flowOptions.dropletDistance, 0),
+            easing: flowOptions.easing || 'easeInOut',
+            loop,
+            droplet: this.normalizeDropletSpec(flowOptions.droplet)
+        };
+    }
+
+    /**
+     * Fill in defaults for a droplet spec: { color, radius, shape, icon, label, glow, glowColor }.
+     * The color stays null until the flow is created (see pickDropletColor).
+     */
+    normalizeDropletSpec(spec) {
+        const dropletSpec = spec || {};
+        const icon = dropletSpec.icon || null;
+        let shape = this.DROPLET_SHAPES.includes(dropletSpec.shape) ? dropletSpec.shape : (icon ? 'icon' : 'circle');
+        if (shape === 'icon' && !icon) shape = 'circle';
+        const label = dropletSpec.label ?? '';
+        
+        return {
+            color: dropletSpec.color || null,
+            radius: typeof dropletSpec.radius === 'number' && dropletSpec.radius > 0 ? dropletSpec.radius : 6,
+            shape,
+            icon,
+            label: label === '' ? null : String(label),
+            glow: dropletSpec.glow !== false,
+            glowColor: dropletSpec.glowColor || null
+        };
+    }
+
+    /**
+     * Droplet color for a new flow, so that concurrent flows are told apart
+     * @returns {string} First palette color no running flow uses (cycles once all are taken)
+     */
+    pickDropletColor() {
+        const inUse = new Set([...this.flows.values()].map(flow => flow.options.droplet.color));
+        return this.DROPLET_COLORS.find(color => !inUse.has(color))
+            || this.DROPLET_COLORS[this.flows.size % this.DROPLET_COLORS.length];
+    }
+
+    /**
+     * Emit the droplets (or droplet waves) of a flow: dropletCount of them dropletDelay apart,
+     * or one every dropletDelay until stopped when looping. The flow completes when all have arrived.
+     * @param {FlowyFlow} flow - Flow to run
+     * @param {Function} emit - (index) => Promise that resolves when the droplet arrived, or null to stop the flow
+     */
+    async runFlow(flow, emit) {
+        const { dropletCount, dropletDelay, loop } = flow.options;
         const animations = [];
-        for (let i = 0; i < dropletCount; i++) {
-            const delay = i * dropletDelay;
-            const distanceOffset = i * dropletDistance;
-            animations.push(
-                this.animateDropletAlongPath(path, duration, delay, distanceOffset, easing)
-            );
+        
+        for (let i = 0; loop || i < dropletCount; i++) {
+            if (i > 0) await flow.wait(dropletDelay);
+            if (flow.isStopped) break;
+            
+            const animation = emit(i);
+            if (!animation) {
+                this.console.log('FLOW', `Flow target no longer exists - stopping`, { flowId: flow.id });
+                this.stopFlow(flow.id);
+                break;
+            }
+            if (!loop) animations.push(animation);
         }
 
         await Promise.all(animations);
-        this.console.log('FLOW', `All droplets completed`, { 
-            from: startNodeId, 
-            to: endNodeId 
-        });
-        return true;
+        flow.complete();
+        if (!flow.isStopped) {
+            this.console.log('FLOW', `All droplets completed`, { flowId: flow.id });
+        }
+    }
+
+    getFlow(flowId) {
+        return this.flows.get(flowId) || null;
+    }
+
+    /**
+     * Stop a flow and remove its droplets
+     * @returns {boolean} False if there is no running or paused flow with this ID
+     */
+    stopFlow(flowId) {
+        const flow = this.getFlow(flowId);
+        if (!flow) return false;
+        this.console.log('FLOW', `Flow stopped`, { flowId });
+        this.flows.delete(flowId);
+        return flow.stop();
+    }
+
+    pauseFlow(flowId) {
+        return this.getFlow(flowId)?.pause() ?? false;
+    }
+
+    resumeFlow(flowId) {
+        return this.getFlow(flowId)?.resume() ?? false;
+    }
+
+    // Stop every flow (the canvas is reset or disposed)
+    stopAllFlows() {
+        [...this.flows.values()].forEach(flow => flow.stop());
+        this.flows.clear();
     }
 
     /**
@@ -203,21 +1078,14 @@ export class FlowyConnections {
                 return path;
             }
 
-            // Check children
-            if (currentNode.children) {
-                for (const child of currentNode.children) {
-                    if (!visited.has(child.id)) {
-                        visited.add(child.id);
-                        queue.push([...path, child]);
-                    }
+            // Check children and parents (including graph-mode links)
+            const neighbours = [...this.utils.getGraphChildren(currentNode), ...this.utils.getParents(currentNode)];
+            for (const neighbour of neighbours) {
+                if (!visited.has(neighbour.id)) {
+                    visited.add(neighbour.id);
+                    queue.push([...path, neighbour]);
                 }
             }
-
-            // Check parent
-            if (currentNode.parent && !visited.has(currentNode.parent.id)) {
-                visited.add(currentNode.parent.id);
-                queue.push([...path, currentNode.parent]);
-            }
         }
 
         return null; // No path found
@@ -225,85 +1093,61 @@ export class FlowyConnections {
 
     /**
      * Animates a single droplet along the path
+     * @param {FlowyFlow} flow - Flow the droplet belongs to (its clock drives the animation)
      * @param {Array} path - Array of nodes representing the path
      * @param {number} duration - Duration for each segment
-     * @param {number} initialDelay - Delay before starting this droplet
      * @param {number} distanceOffset - Progress offset (0-1) along the path for this droplet
      * @param {string} easing - Easing function name
      */
-    async animateDropletAlongPath(path, duration, initialDelay, distanceOffset = 0, easing = 'easeInOut') {
-        // Wait for initial delay
-        if (initialDelay > 0) {
-            this.console.log('FLOW', `Droplet starting with delay`, { delayMs: initialDelay });
-            await new Promise(resolve => setTimeout(resolve, initialDelay));
-        }
-
-        const svg = this.getOrCreateSvg();
-        
-        // Create droplet element
-        const droplet = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-        droplet.classList.add('flow-droplet');
-        droplet.setAttribute('r', '6');
-        droplet.setAttribute('fill', '#667eea');
-        droplet.setAttribute('filter', 'url(#droplet-glow)');
-        svg.appendChild(droplet);
-
-        // Create glow filter if it doesn't exist
-        this.ensureDropletFilter(svg);
+    async animateDropletAlongPath(flow, path, duration, distanceOffset = 0, easing = 'easeInOut') {
+        const droplet = this.createDroplet(flow.options.droplet);
+        droplet.dataset.flowId = flow.id;
+        this.appendDroplet(flow, droplet);
+        flow.addDroplet(droplet);
 
         // Animate through each segment of the path
-        for (let i = 0; i < path.length - 1; i++) {
+        for (let i = 0; i < path.length - 1 && !flow.isStopped; i++) {
             const fromNode = path[i];
             const toNode = path[i + 1];
             
             // Calculate segment-specific distance offset
             const segmentOffset = (i === 0) ? distanceOffset : 0;
-            await this.animateDropletSegment(droplet, fromNode, toNode, duration, segmentOffset, easing);
+            await this.animateDropletSegment(flow, droplet, fromNode, toNode, duration, segmentOffset, easing);
         }
 
         // Remove droplet after animation completes
-        droplet.remove();
+        flow.removeDroplet(droplet);
     }
 
     /**
      * Animates droplet along a single connection segment
-     * @param {SVGElement} droplet - The droplet circle element
+     * @param {FlowyFlow} flow - Flow the droplet belongs to (paused flows freeze the droplet, stopped flows end it)
+     * @param {SVGElement} droplet - The droplet group element
      * @param {Object} fromNode - Starting node
      * @param {Object} toNode - Ending node
      * @param {number} duration - Animation duration in ms
      * @param {number} startOffset - Starting progress offset (0-1) for this segment
      * @param {string} easing - Easing function name
      */
-    async animateDropletSegment(droplet, fromNode, toNode, duration, startOffset = 0, easing = 'easeInOut') {
-        const fromElement = fromNode.element;
-        const toElement = toNode.element;
-
-        // Calculate positions
-        const fromX = parseFloat(fromElement.style.left) + this.TREE_CONFIG.nodeWidth / 2;
-        const fromNodeHeight = fromElement.offsetHeight || this.TREE_CONFIG.nodeHeight;
-        const fromY = parseFloat(fromElement.style.top) + fromNodeHeight;
-        const toX = parseFloat(toElement.style.left) + this.TREE_CONFIG.nodeWidth / 2;
-        const toY = parseFloat(toElement.style.top);
-
-        // Calculate control points for Bézier curve (matching connection lines)
-        const verticalDistance = toY - fromY;
-        const horizontalDistance = Math.abs(toX - fromX);
-        
-        const curveTension = Math.min(verticalDistance * 0.6, 120);
-        const horizontalOffset = Math.min(horizontalDistance * 0.3, 60);
-        
-        const controlY1 = fromY + curveTension;
-        const controlY2 = toY - curveTension;
-        
-        const controlX1 = fromX + (toX > fromX ? horizontalOffset : -horizontalOffset);
-        const controlX2 = toX - (toX > fromX ? horizontalOffset : -horizontalOffset);
+    async animateDropletSegment(flow, droplet, fromNode, toNode, duration, startOffset = 0, easing = 'easeInOut') {
+        // Follow the connection's route - backwards when the droplet moves from a child up to its parent
+        const reversed = !this.findConnection(fromNode, toNode) && !!this.findConnection(toNode, fromNode);
+        const segments = reversed ? this.getConnectionSegments(toNode, fromNode) : this.getConnectionSegments(fromNode, toNode);
 
         // Animate along the curve
-        const startTime = performance.now();
+        const startTime = flow.now();
         
         return new Promise(resolve => {
-            const animate = (currentTime) => {
-                const elapsed = currentTime - startTime;
+            const animate = () => {
+                if (flow.isStopped) {
+                    resolve();
+                    return;
+                }
+                
+                // Connections were redrawn (new SVG) - move the droplet along
+                if (!droplet.isConnected) this.appendDroplet(flow, droplet);
+                
+                const elapsed = flow.now() - startTime;
                 let progress = Math.min(elapsed / duration, 1);
                 
                 // Apply easing function
@@ -312,22 +1156,9 @@ export class FlowyConnections {
                 // Apply starting offset (only affects first frame)
                 progress = startOffset + (progress * (1 - startOffset));
 
-                // Cubic bezier curve calculation
-                const t = progress;
-                const invT = 1 - t;
-                
-                const x = invT * invT * invT * fromX +
-                         3 * invT * invT * t * controlX1 +
-                         3 * invT * t * t * controlX2 +
-                         t * t * t * toX;
-                         
-                const y = invT * invT * invT * fromY +
-                         3 * invT * invT * t * controlY1 +
-                         3 * invT * t * t * controlY2 +
-                         t * t * t * toY;
-
-                droplet.setAttribute('cx', x);
-                droplet.setAttribute('cy', y);
+                const { x, y } = this.getPointOnSegments(segments, reversed ? 1 - progress : progress);
+
+                droplet.setAttribute('transform', `translate(${x} ${y})`);
 
                 if (progress < 1) {
                     requestAnimationFrame(animate);
@@ -341,23 +1172,120 @@ export class FlowyConnections {
     }
 
     /**
-     * Ensures the glow filter for droplets exists in the SVG
-     * @param {SVGElement} svg - The SVG container
+     * Builds a droplet: a group (moved with a transform) holding the shape and an optional label badge
+     * @param {Object} spec - Normalized droplet spec (see normalizeDropletSpec)
+     * @returns {SVGGElement} The droplet element
      */
-    ensureDropletFilter(svg) {
-        if (!svg.querySelector('#droplet-glow')) {
-            const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
-            defs.innerHTML = `
-                <filter id="droplet-glow" x="-50%" y="-50%" width="200%" height="200%">
-                    <feGaussianBlur stdDeviation="3" result="coloredBlur"/>
-                    <feMerge>
-                        <feMergeNode in="coloredBlur"/>
-                        <feMergeNode in="SourceGraphic"/>
-                    </feMerge>
-                </filter>
-            `;
-            svg.insertBefore(defs, svg.firstChild);
+    createDroplet(spec) {
+        const ns = 'http://www.w3.org/2000/svg';
+        const { radius, color } = spec;
+        const droplet = document.createElementNS(ns, 'g');
+        droplet.classList.add('flow-droplet', `flow-droplet--${spec.shape}`);
+        
+        let shape;
+        if (spec.shape === 'square') {
+            shape = document.createElementNS(ns, 'rect');
+            shape.setAttribute('x', -radius);
+            shape.setAttribute('y', -radius);
+            shape.setAttribute('width', radius * 2);
+            shape.setAttribute('height', radius * 2);
+            shape.setAttribute('rx', radius / 3);
+        } else if (spec.shape === 'icon' && spec.icon.startsWith('#')) {
+            // Reference to an SVG <symbol> on the page
+            shape = document.createElementNS(ns, 'use');
+            shape.setAttribute('href', spec.icon);
+        } else if (spec.shape === 'icon') {
+            // Path data drawn in a 24x24 box, like most icon sets
+            shape = document.createElementNS(ns, 'svg');
+            shape.setAttribute('viewBox', '0 0 24 24');
+            const path = document.createElementNS(ns, 'path');
+            path.setAttribute('d', spec.icon);
+            shape.appendChild(path);
+        } else {
+            shape = document.createElementNS(ns, 'circle');
+            shape.setAttribute('r', radius);
+        }
+        if (spec.shape === 'icon') {
+            shape.setAttribute('x', -radius);
+            shape.setAttribute('y', -radius);
+            shape.setAttribute('width', radius * 2);
+            shape.setAttribute('height', radius * 2);
         }
+        shape.classList.add('flow-droplet-shape');
+        shape.style.fill = color;
+        shape.style.color = color; // for icons drawn with currentColor
+        droplet.appendChild(shape);
+        
+        if (spec.label) {
+            // Badge above the droplet - SVG text cannot be measured before layout, so estimate its width
+            const width = spec.label.length * 6 + 8;
+            const badge = document.createElementNS(ns, 'g');
+            badge.classList.add('flow-droplet-badge');
+            badge.setAttribute('transform', `translate(0 ${-(radius + 9)})`);
+            
+            const background = document.createElementNS(ns, 'rect');
+            background.setAttribute('x', -width / 2);
+            background.setAttribute('y', -7);
+            background.setAttribute('width', width);
+            background.setAttribute('height', 14);
+            background.setAttribute('rx', 7);
+            background.style.fill = color;
+            
+            const text = document.createElementNS(ns, 'text');
+            text.setAttribute('text-anchor', 'middle');
+            text.setAttribute('dominant-baseline', 'central');
+            text.textContent = spec.label;
+            
+            badge.appendChild(background);
+            badge.appendChild(text);
+            droplet.appendChild(badge);
+        }
+        return droplet;
+    }
+
+    /**
+     * Adds a droplet to the current SVG, creating its glow filter there if needed
+     * @param {FlowyFlow} flow - Flow the droplet belongs to
+     * @param {SVGElement} droplet - The droplet element
+     */
+    appendDroplet(flow, droplet) {
+        const svg = this.getOrCreateSvg();
+        const { glow, glowColor } = flow.options.droplet;
+        if (glow) {
+            const filterId = this.ensureDropletFilter(svg, glowColor);
+            droplet.querySelector('.flow-droplet-shape').setAttribute('filter', `url(#${filterId})`);
+        }
+        svg.appendChild(droplet);
+    }
+
+    /**
+     * Ensures the glow filter for a droplet color exists in the SVG
+     * @param {SVGElement} svg - The SVG container
+     * @param {string} color - Glow color
+     * @returns {string} Filter ID
+     */
+    ensureDropletFilter(svg, color) {
+        let filterId = this.dropletGlowFilters.get(color);
+        if (filterId && svg.querySelector(`#${filterId}`)) return filterId;
+        
+        filterId = filterId || `${this.canvasId}-droplet-glow-${this.dropletGlowFilters.size + 1}`;
+        this.dropletGlowFilters.set(color, filterId);
+        
+        const defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+        defs.innerHTML = `
+            <filter id="${filterId}" class="droplet-glow" x="-50%" y="-50%" width="200%" height="200%">
+                <feGaussianBlur in="SourceAlpha" stdDeviation="3" result="blur"/>
+                <feFlood result="glowColor"/>
+                <feComposite in="glowColor" in2="blur" operator="in" result="coloredBlur"/>
+                <feMerge>
+                    <feMergeNode in="coloredBlur"/>
+                    <feMergeNode in="SourceGraphic"/>
+                </feMerge>
+            </filter>
+        `;
+        defs.querySelector('feFlood').style.floodColor = color;
+        svg.insertBefore(defs, svg.firstChild);
+        return filterId;
     }
 
     /**
@@ -0,0 +1,231 @@
+/**
+ * VIOVNL.Flowy.Blazor - Interactive Hierarchical Tree Builder
+ * Copyright (C) 2025 VIOVNL
+ * 
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * For commercial licensing, visit: https://viov.nl
+ */
+
+
+// Flowy Blazor Component - Context Menu
+
+/**
+ * Right-click menu for nodes and empty canvas.
+ *
+ * The menu is generic: the instance supplies the items for the node (or null
+ * for empty canvas) under the cursor and runs the chosen item. Items are plain
+ * objects: { id, label, icon, shortcut, enabled, builtIn } or { separator: true }.
+ *
+ * The menu is fixed-positioned on document.body so the viewport never clips it.
+ * It closes on Escape, outside click, wheel, window blur or resize.
+ * Arrow keys move between enabled items; Enter/Space activate the focused one.
+ *
+ * @example
+ * const contextMenu = new FlowyContextMenu(canvasId, utils, console);
+ * contextMenu.setup(
+ *   (e) => nodeUnderCursor(e),
+ *   async (node) => items,
+ *   (item, node, canvasPoint) => run(item, node, canvasPoint),
+ *   () => zoomPan
+ * );
+ */
+export class FlowyContextMenu {
+    /**
+     * Creates a new context menu handler
+     * @param {string} canvasId - The canvas grid element ID
+     * @param {FlowyUtils} utils - Utility functions instance
+     * @param {FlowyConsole} console - Debug console instance
+     */
+    constructor(canvasId, utils, console) {
+        this.canvasId = canvasId;
+        this.utils = utils;
+        this.console = console;
+
+        this.menuElement = null;
+        this.openRequest = 0; // Incremented per right-click so a slow item lookup cannot open a stale menu
+
+        this.WINDOW_MARGIN = 8; // pixels kept between the menu and the window edge
+
+        // Event listener cleanup
+        this.eventCleanupHandlers = [];
+    }
+
+    /**
+     * Wires the menu to the viewport
+     * @param {Function} resolveNode - Called with the contextmenu event; returns the target node or null for canvas
+     * @param {Function} getItems - Called with the target node (or null); returns (a promise of) menu items
+     * @param {Function} onSelect - Called with (item, node, canvasPoint) when an enabled item is chosen
+     * @param {Function} getZoomPan - Returns the FlowyZoomPan instance (pan and zoom state)
+     */
+    setup(resolveNode, getItems, onSelect, getZoomPan) {
+        const viewport = this.utils.getViewport(this.canvasId);
+        if (!viewport) return;
+
+        const contextmenuHandler = async (e) => {
+            // Keep the browser menu for text fields (e.g. the inline title editor)
+            if (e.target.closest('input, textarea, [contenteditable="true"]')) return;
+            e.preventDefault();
+
+            const request = ++this.openRequest;
+            this.close();
+
+            const node = resolveNode(e);
+            const bounds = viewport.getBoundingClientRect();
+            const zoomPan = getZoomPan();
+            const canvasPoint = this.utils.viewportToCanvas(
+                e.clientX - bounds.left, e.clientY - bounds.top, zoomPan.panX, zoomPan.panY, zoomPan.zoomLevel
+            );
+
+            const items = await getItems(node);
+            if (request !== this.openRequest || !items.some(item => !item.separator)) return;
+
+            this.console.log('MENU', `Context menu opened`, { nodeId: node?.id || null, items: items.length });
+            this.open(e.clientX, e.clientY, items, (item) => onSelect(item, node, canvasPoint));
+        };
+
+        const outsideMousedownHandler = (e) => {
+            if (this.menuElement && !this.menuElement.contains(e.target)) this.close();
+        };
+        const closeHandler = () => this.close();
+
+        viewport.addEventListener('contextmenu', contextmenuHandler);
+        viewport.addEventListener('wheel', closeHandler, { passive: true });
+        document.addEventListener('mousedown', outsideMousedownHandler, true);
+        window.addEventListener('blur', closeHandler);
+        window.addEventListener('resize', closeHandler);
+        this.eventCleanupHandlers.push(() => viewport.removeEventListener('contextmenu', contextmenuHandler));
+        this.eventCleanupHandlers.push(() => viewport.removeEventListener('wheel', closeHandler));
+        this.eventCleanupHandlers.push(() => document.removeEventListener('mousedown', outsideMousedownHandler, true));
+        this.eventCleanupHandlers.push(() => window.removeEventListener('blur', closeHandler));
+        this.eventCleanupHandlers.push(() => window.removeEventListener('resize', closeHandler));
+    }
+
+    /**
+     * Render the menu at a window position
+     * @param {number} clientX - Window X coordinate of the right-click
+     * @param {number} clientY - Window Y coordinate of the right-click
+     * @param {Array<Object>} items - Menu items and separators
+     * @param {Function} onSelect - Called with the chosen item
+     */
+    open(clientX, clientY, items, onSelect) {
+        const menu = document.createElement('div');
+        menu.className = 'flowy-context-menu';
+        menu.setAttribute('role', 'menu');
+        menu.tabIndex = -1;
+
+        items.forEach((item, index) => {
+            if (item.separator) {
+                // Skip separators at the edges or next to another separator
+                const previous = items[index - 1];
+                const next = items[index + 1];
+                if (previous && next && !previous.separator && !next.separator) {
+                    const separator = document.createElement('div');
+                    separator.className = 'flowy-context-menu-separator';
+                    separator.setAttribute('role', 'separator');
+                    menu.appendChild(separator);
+                }
+                return;
+            }
+            menu.appendChild(this.createItemElement(item, onSelect));
+        });
+
+        menu.addEventListener('keydown', (e) => this.handleKeydown(e));
+        menu.addEventListener('contextmenu', (e) => e.preventDefault());
+        document.body.appendChild(menu);
+
+        // Flip inside the window when the menu would overflow an edge
+        const bounds = menu.getBoundingClientRect();
+        const x = clientX + bounds.width + this.WINDOW_MARGIN > window.innerWidth ? clientX - bounds.width : clientX;
+        const y = clientY + bounds.height + this.WINDOW_MARGIN > window.innerHeight ? clientY - bounds.height : clientY;
+        menu.style.left = `${Math.max(this.WINDOW_MARGIN, x)}px`;
+        menu.style.top = `${Math.max(this.WINDOW_MARGIN, y)}px`;
+
+        this.menuElement = menu;
+        menu.focus({ preventScroll: true });
+    }
+
+    createItemElement(item, onSelect) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'flowy-context-menu-item';
+        button.setAttribute('role', 'menuitem');
+        button.dataset.itemId = item.id;
+        button.disabled = item.enabled === false;
+
+        // Text only - labels may come from C# and must not inject markup
+        const parts = [
+            ['flowy-context-menu-icon', item.icon],
+            ['flowy-context-menu-label', item.label],
+            ['flowy-context-menu-shortcut', item.shortcut]
+        ];
+        parts.forEach(([className, text]) => {
+            const span = document.createElement('span');
+            span.className = className;
+            span.textContent = text || '';
+            button.appendChild(span);
+        });
+
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.close();
+            this.console.log('MENU', `Context menu item chosen: ${item.id}`, { builtIn: item.builtIn === true });
+            onSelect(item);
+        });
+        return button;
+    }
+
+    handleKeydown(e) {
+        // The menu lives outside the viewport - keep keys away from page-level handlers
+        e.stopPropagation();
+
+        const buttons = [...this.menuElement.querySelectorAll('.flowy-context-menu-item:not(:disabled)')];
+        const index = buttons.indexOf(document.activeElement);
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                buttons[(index + 1) % buttons.length]?.focus();
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                buttons[index <= 0 ? buttons.length - 1 : index - 1]?.focus();
+                break;
+            case 'Escape':
+            case 'Tab':
+                e.preventDefault();
+                this.close();
+                this.utils.getViewport(this.canvasId)?.focus({ preventScroll: true });
+                break;
+        }
+    }
+
+    isOpen() {
+        return this.menuElement !== null;
+    }
+
+    close() {
+        if (this.menuElement) {
+            this.menuElement.remove();
+            this.menuElement = null;
+        }
+    }
+
+    cleanup() {
+        this.eventCleanupHandlers.forEach(cleanup => cleanup());
+        this.eventCleanupHandlers = [];
+        this.openRequest++;
+        this.close();
+    }
+}
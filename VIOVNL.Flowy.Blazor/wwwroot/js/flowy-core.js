@@ -23,8 +23,18 @@ import { FlowyUtils } from './flowy-utils.js';
 import { FlowyZoomPan } from './flowy-zoom-pan.js';
 import { FlowyConnections } from './flowy-connections.js';
 import { FlowyTreeLayout } from './flowy-tree-layout.js';
+import { FlowyGraphLayout } from './flowy-graph-layout.js';
 import { FlowyDragDrop } from './flowy-drag-drop.js';
 import { FlowyConsole } from './flowy-console.js';
+import { FlowyHistory } from './flowy-history.js';
+import { FlowyMarquee } from './flowy-marquee.js';
+import { FlowyKeyboard } from './flowy-keyboard.js';
+import { FlowyContextMenu } from './flowy-context-menu.js';
+import { FlowyClipboard } from './flowy-clipboard.js';
+import { FlowySearch } from './flowy-search.js';
+import { FlowyCrossLinks } from './flowy-cross-links.js';
+import { FlowyTracePlayer } from './flowy-trace-player.js';
+import { FlowyNodeStatus } from './flowy-node-status.js';
 
 /**
  * Core orchestrator class for Flowy canvas instances
@@ -44,12 +54,22 @@ export class FlowyInstance {
         this.nodes = [];
         this.nodeIdCounter = 1;
         this.rootNode = null;
-        this.selectedNode = null;
+        this.selectedNode = null; // Primary selection (last clicked) - reported via NotifyNodeSelected
+        this.selectedNodes = new Set(); // Full selection including Shift/Ctrl-click and marquee picks
         this.autoCenter = config.autoCenter === true;
+        this.graphMode = config.graphMode === true; // nodes may have additional parents (DAG)
+        this.crossLinks = []; // reference edges outside the hierarchy: { id, fromNode, toNode, type }
+        this.selectedCrossLink = null;
+        this.selectedConnection = null; // selected parent/child edge: { fromNode, toNode }
+        this.connectionLabels = new Map(); // "fromId>toId" -> label text, kept while the edge is gone so undo brings it back
+        
+        // Event listener cleanup
+        this.eventCleanupHandlers = [];
         
         // Performance and timing constants
         this.LAYOUT_RECALC_DELAY = 100; // ms delay for layout recalculation to batch DOM updates
         this.ROOT_NODE_Y_OFFSET = 300; // pixels above center for root node initial position
+        this.ROOT_NODE_X_OFFSET = 400; // pixels left of center for the root in a left-right tree
         
         // Tree configuration
         this.TREE_CONFIG = {
@@ -57,6 +77,9 @@ export class FlowyInstance {
             nodeHeight: 100,
             horizontalSpacing: 80,
             verticalSpacing: 180,
+            portGroupSpacing: 40, // extra gap between children of different output ports
+            orientation: 'top-down', // direction from parent to child: 'top-down', 'bottom-up', 'left-right', 'right-left'
+            layoutMode: 'simple', // 'simple' (a slot per subtree) or 'compact' (contour merging)
             rootX: 0, // Will be calculated dynamically based on viewport
             rootY: 0  // Will be calculated dynamically based on viewport
         };
@@ -64,10 +87,30 @@ export class FlowyInstance {
         // Initialize modules
         this.console = new FlowyConsole(canvasId, config.debug || false);
         this.utils = new FlowyUtils(config, this.TREE_CONFIG);
+        this.TREE_CONFIG.orientation = this.utils.normalizeOrientation(config.orientation);
+        this.TREE_CONFIG.layoutMode = config.layoutMode === 'compact' ? 'compact' : 'simple';
         this.zoomPan = new FlowyZoomPan(canvasId, config, this.utils, this.console);
-        this.connections = new FlowyConnections(canvasId, config, this.TREE_CONFIG, this.console);
-        this.treeLayout = new FlowyTreeLayout(this.TREE_CONFIG, this.console);
+        this.connections = new FlowyConnections(canvasId, config, this.utils, this.TREE_CONFIG, this.console);
+        this.treeLayout = new FlowyTreeLayout(this.TREE_CONFIG, this.utils, this.console);
+        this.graphLayout = new FlowyGraphLayout(this.TREE_CONFIG, this.utils, this.console);
         this.dragDrop = new FlowyDragDrop(canvasId, config, this.utils, this.TREE_CONFIG, this.console, dotNetRef);
+        this.history = new FlowyHistory(this.console);
+        this.marquee = new FlowyMarquee(canvasId, this.utils, this.TREE_CONFIG, this.console);
+        this.keyboard = new FlowyKeyboard(canvasId, this.utils, this.console);
+        this.contextMenu = new FlowyContextMenu(canvasId, this.utils, this.console);
+        this.nodeSearch = new FlowySearch(canvasId, this.console);
+        this.crossLinkInput = new FlowyCrossLinks(canvasId, this.utils, this.TREE_CONFIG, this.console);
+        this.tracePlayer = new FlowyTracePlayer(canvasId, this.connections, this.console);
+        this.nodeStatus = new FlowyNodeStatus(this.console);
+        
+        // Set up undo/redo availability notification callback
+        this.history.setChangedCallback(async (canUndo, canRedo) => {
+            try {
+                await this.dotNetRef.invokeMethodAsync('NotifyHistoryChanged', canUndo, canRedo);
+            } catch (error) {
+                // Silently ignore - component might be disposing
+            }
+        });
         
         // Set up zoom change notification callback
         this.zoomPan.setZoomChangedCallback(async (zoomLevel) => {
@@ -90,17 +133,25 @@ export class FlowyInstance {
         // Set up center viewport callback
         this.zoomPan.setCenterViewportCallback(() => {
             if (this.autoCenter) {
-                this.zoomPan.centerViewport(this.nodes);
+                this.zoomPan.centerViewport(this.getVisibleNodes());
             }
         });
 
+        // Shift+drag on empty canvas selects instead of panning
+        this.zoomPan.setMarqueeGestureCallback((e) => this.marquee.isMarqueeGesture(e));
+
         // Set up cross-module dependencies
-        this.dragDrop.getAllNodes = () => this.nodes;
+        this.dragDrop.getAllNodes = () => this.getVisibleNodes();
         this.dragDrop.getZoomPan = () => ({
             panX: this.zoomPan.panX,
             panY: this.zoomPan.panY,
             zoomLevel: this.zoomPan.zoomLevel
         });
+        this.connections.getObstacleNodes = () => this.getVisibleNodes();
+        this.connections.getConnectionLabel = (fromNode, toNode) => this.getConnectionLabel(fromNode.id, toNode.id);
+        this.connections.getAllNodes = () => this.nodes;
+        this.tracePlayer.findNode = (nodeId) => this.findNode(nodeId);
+        this.tracePlayer.onProgress = (progress) => this.notifyTraceProgress(progress);
 
         this.initialize();
     }
@@ -113,6 +164,7 @@ export class FlowyInstance {
             // Set initial root position to center of viewport
             this.TREE_CONFIG.rootX = viewportDims.width / 2;
             this.TREE_CONFIG.rootY = viewportDims.height / 2;
+            this.applyOrientationClass(viewport);
         }
         
         this.zoomPan.setupZoomAndPan(
@@ -123,13 +175,33 @@ export class FlowyInstance {
         if (this.config.enableDragDrop) {
             this.dragDrop.setupComponentDragging(
                 (component) => this.createRootNode(component),
-                (parent, component) => this.addChildToNode(parent, component),
+                (parent, component, dropTarget) => this.addChildToNode(parent, component, false, dropTarget),
                 () => this.dragDrop.getZoomPan()
             );
             // Setup global drag handlers once (not per node)
             this.dragDrop.setupGlobalNodeDragHandlers();
         }
         
+        this.marquee.setup(
+            () => this.zoomPan,
+            () => this.getVisibleNodes(),
+            (hits, additive) => this.setSelection(additive ? [...this.selectedNodes, ...hits] : hits)
+        );
+        
+        this.crossLinkInput.setup({
+            getZoomPan: () => this.dragDrop.getZoomPan(),
+            getSvg: () => this.connections.getOrCreateSvg(),
+            findNode: (nodeId) => this.findNode(nodeId),
+            onCreate: (fromNode, toNode) => this.addCrossLink({ fromId: fromNode.id, toId: toNode.id }),
+            onSelect: (linkId) => this.selectCrossLink(linkId)
+        }, this.config.enableCrossLinks === true);
+        
+        this.setupConnectionLabelEditing();
+        this.setupConnectionSelection();
+        this.setupKeyboardShortcuts();
+        if (this.config.enableContextMenu !== false) {
+            this.setupContextMenu();
+        }
         this.zoomPan.centerViewport(this.nodes);
     }
 
@@ -148,25 +220,10 @@ export class FlowyInstance {
             return false;
         }
         
-        const placeholder = transformWrapper.querySelector('.canvas-placeholder');
-        if (placeholder) {
-            placeholder.style.display = 'none';
-        }
-        
-        // Calculate root position dynamically based on viewport dimensions
-        const viewportDims = this.utils.getViewportDimensions(viewport);
-        const centerX = viewportDims.width / 2;
-        const centerY = viewportDims.height / 2;
-        
-        // Position root node: center horizontally, offset vertically to leave room for expansion downward
-        const rootX = centerX - this.TREE_CONFIG.nodeWidth / 2;
-        const rootY = centerY - this.ROOT_NODE_Y_OFFSET;
-        
-        // Update tree config root position for layout calculations
-        this.TREE_CONFIG.rootX = rootX + this.TREE_CONFIG.nodeWidth / 2;
-        this.TREE_CONFIG.rootY = rootY;
+        this.setPlaceholderVisible(false);
         
-        const node = this.createNode(component, rootX, rootY, null);
+        const rootPosition = this.calculateRootPosition(viewport);
+        const node = this.createNode(component, rootPosition.x, rootPosition.y, null);
         this.rootNode = node;
         this.nodes.push(node);
         transformWrapper.appendChild(node.element);
@@ -176,6 +233,7 @@ export class FlowyInstance {
         
         // Notify C# asynchronously - use setTimeout to avoid blocking return
         if (!skipNotification) {
+            this.recordAddition(node);
             setTimeout(() => {
                 this.notifyNodeDropped(node, null, 'under', true).catch(err => 
                     this.console.log('ERROR', `Error notifying node dropped`, { error: err.message, nodeId: node.id })
@@ -186,6 +244,53 @@ export class FlowyInstance {
         return true;
     }
 
+    /**
+     * Calculate the root node position from the viewport dimensions and
+     * store it in TREE_CONFIG for subsequent layout passes
+     */
+    calculateRootPosition(viewport) {
+        const viewportDims = this.utils.getViewportDimensions(viewport);
+        const centerX = viewportDims.width / 2;
+        const centerY = viewportDims.height / 2;
+        
+        // Position root node: centered across the tree, offset against the orientation
+        // to leave room for expansion (downward when top-down)
+        const { nodeWidth, nodeHeight } = this.TREE_CONFIG;
+        let rootX = centerX - nodeWidth / 2;
+        let rootY = centerY - this.ROOT_NODE_Y_OFFSET;
+        switch (this.TREE_CONFIG.orientation) {
+            case 'bottom-up':
+                rootY = centerY + this.ROOT_NODE_Y_OFFSET - nodeHeight;
+                break;
+            case 'left-right':
+                rootX = centerX - this.ROOT_NODE_X_OFFSET;
+                rootY = centerY - nodeHeight / 2;
+                break;
+            case 'right-left':
+                rootX = centerX + this.ROOT_NODE_X_OFFSET - nodeWidth;
+                rootY = centerY - nodeHeight / 2;
+                break;
+        }
+        
+        // Update tree config root position for layout calculations
+        // (vertical layouts are calculated from the root's horizontal center)
+        this.TREE_CONFIG.rootX = this.utils.isHorizontalOrientation() ? rootX : rootX + nodeWidth / 2;
+        this.TREE_CONFIG.rootY = rootY;
+        
+        return { x: rootX, y: rootY };
+    }
+
+    /**
+     * Show or hide the empty canvas placeholder
+     */
+    setPlaceholderVisible(visible) {
+        const transformWrapper = document.getElementById(`${this.canvasId}-transform`);
+        const placeholder = transformWrapper?.querySelector('.canvas-placeholder');
+        if (placeholder) {
+            placeholder.style.display = visible ? '' : 'none';
+        }
+    }
+
     /**
      * Sanitize HTML to prevent XSS attacks
      */
@@ -230,6 +335,8 @@ export class FlowyInstance {
             </div>
             ${parent ? '<div class="node-connector node-connector-in"></div>' : ''}
             <div class="node-connector node-connector-out"></div>
+            <button class="node-collapse-toggle" title="Collapse" data-action="toggle-collapse">−</button>
+            ${this.config.enableCrossLinks ? '<div class="node-link-handle" title="Drag to link to another node"></div>' : ''}
             <div class="node-reorder-arrows">
                 <button class="arrow-btn arrow-up" title="Promote to parent" data-action="promote">↑</button>
                 <button class="arrow-btn arrow-down" title="Demote to child" data-action="demote">↓</button>
@@ -245,12 +352,21 @@ export class FlowyInstance {
             color: component.color,
             isDraggable: component.isDraggable !== false,
             canHaveChildren: component.canHaveChildren !== false,
+            collapsed: component.collapsed === true,
+            ports: this.normalizePorts(component.ports ?? this.findComponentConfig(component.componentId)?.ports),
+            portId: this.resolvePortId(parent, component.portId),
             x,
             y,
             parent,
-            children: []
+            children: [],
+            additionalParents: [], // graph mode: parents linked besides the owning tree parent
+            additionalChildren: []
         };
         
+        if (nodeData.ports.length > 0) {
+            this.renderPorts(node, nodeData.ports);
+        }
+        
         // Apply CSS classes based on properties
         if (nodeData.isDraggable === false) {
             node.classList.add('not-draggable');
@@ -262,15 +378,29 @@ export class FlowyInstance {
         this.dragDrop.setupNodeDragging(
             node,
             nodeData,
-            (draggedNode, newParent) => this.moveNodeToParent(draggedNode, newParent)
+            (draggedNode, newParent, dropTarget) => this.selectedNodes.size > 1 && this.selectedNodes.has(draggedNode)
+                ? this.moveSelectionToParent(draggedNode, newParent, dropTarget)
+                : this.moveNodeToParent(draggedNode, newParent, dropTarget)
         );
         
         // Setup arrow button handlers
         this.setupArrowButtons(node, nodeData);
         
+        // Setup collapse/expand toggle
+        node.querySelector('.node-collapse-toggle').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.setCollapsed([nodeData], !nodeData.collapsed);
+        });
+        
         // Setup node selection click handler
         this.setupNodeClickHandler(node, nodeData);
         
+        // Setup inline rename on title double-click
+        node.querySelector('.node-title').addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            this.beginRename(nodeData);
+        });
+        
         return nodeData;
     }
 
@@ -341,275 +471,1070 @@ export class FlowyInstance {
      */
     setupNodeClickHandler(element, nodeData) {
         element.addEventListener('click', (e) => {
-            // Don't select if clicking on buttons or during drag
-            if (e.target.closest('button') || this.dragDrop.isDragging || this.dragDrop.isDraggingNode) {
+            // Don't select if clicking on buttons, the title editor, the link handle or during drag
+            if (e.target.closest('button, .node-title-input, .node-link-handle') || this.dragDrop.isDragging || this.dragDrop.isDraggingNode) {
                 return;
             }
-            this.selectNode(nodeData);
+            // Shift/Ctrl/Cmd-click adds or removes the node from a multi-selection
+            if (e.shiftKey || e.ctrlKey || e.metaKey) {
+                this.toggleNodeSelection(nodeData);
+            } else {
+                this.selectNode(nodeData);
+            }
         });
     }
 
     /**
-     * Select a node (visual highlight + notify C#)
+     * Replace a node's title with a text input for inline renaming.
+     * Enter or clicking elsewhere commits, Escape cancels.
      */
-    async selectNode(nodeData) {
-        const previousNode = this.selectedNode;
-        
-        // Deselect previous node if different
-        if (previousNode && previousNode !== nodeData) {
-            previousNode.element.classList.remove('flowy-node--selected');
-        }
+    beginRename(nodeData) {
+        const title = nodeData.element.querySelector('.node-title');
+        if (!title || title.querySelector('.node-title-input')) return;
+        
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'node-title-input';
+        input.value = nodeData.name;
+        title.textContent = '';
+        title.appendChild(input);
+        nodeData.element.classList.add('renaming');
+        
+        let finished = false;
+        const finish = (commit, refocusCanvas) => {
+            if (finished) return;
+            finished = true;
+            
+            const newName = input.value;
+            input.remove();
+            title.textContent = nodeData.name;
+            nodeData.element.classList.remove('renaming');
+            
+            // Keep keyboard shortcuts working after Enter/Escape
+            if (refocusCanvas) this.utils.getViewport(this.canvasId)?.focus({ preventScroll: true });
+            if (commit) this.renameNode(nodeData, newName);
+        };
         
-        // Select new node
-        this.selectedNode = nodeData;
-        nodeData.element.classList.add('flowy-node--selected');
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true, true);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                finish(false, true);
+            }
+        });
+        input.addEventListener('blur', () => finish(true, false));
         
-        // Notify C# (with previous node info)
-        try {
-            await this.dotNetRef.invokeMethodAsync('NotifyNodeSelected', 
-                nodeData.id, 
-                previousNode ? previousNode.id : null
-            );
-        } catch (error) {
-            this.console.log('ERROR', 'Failed to notify node selected', { error: error.message });
-        }
+        input.focus();
+        input.select();
+        this.console.log('ACTION', `Renaming node`, { nodeId: nodeData.id, name: nodeData.name });
     }
 
     /**
-     * Deselect the currently selected node
+     * Rename a node. Empty names are rejected; C# can veto through NotifyNodeRenamed.
+     * @returns {Promise<boolean>} True if the node was renamed
      */
-    deselectNode() {
-        if (this.selectedNode) {
-            const previousNode = this.selectedNode;
-            this.selectedNode.element.classList.remove('flowy-node--selected');
-            this.selectedNode = null;
-            
-            // Notify C# (null node, with previous node info)
-            try {
-                this.dotNetRef.invokeMethodAsync('NotifyNodeSelected', null, previousNode.id);
-            } catch (error) {
-                this.console.log('ERROR', 'Failed to notify node deselected', { error: error.message });
-            }
+    async renameNode(nodeData, newName) {
+        const name = (newName ?? '').trim();
+        if (!name) {
+            this.console.log('ACTION', `Rename rejected: name cannot be empty`, { nodeId: nodeData.id });
+            return false;
         }
-    }
-
-    async addChildToNode(parentNode, component, skipNotification = false) {
-        // Validate drop target before adding
-        if (this.dotNetRef && !skipNotification) {
+        if (name === nodeData.name) return false;
+        
+        if (this.dotNetRef) {
             try {
-                const isValid = await this.dotNetRef.invokeMethodAsync(
-                    'ValidateDropTarget',
-                    component.componentId, // Pass componentId instead of node ID
-                    parentNode.id,
-                    'under'
-                );
-                
-                if (!isValid) {
-                    this.console.log('DRAG', `Drop rejected by validation`, { 
-                        component: component.name, 
-                        target: parentNode.name 
-                    });
-                    return; // Abort the drop
+                const allowed = await this.dotNetRef.invokeMethodAsync('NotifyNodeRenamed', nodeData.id, name);
+                if (!allowed) {
+                    this.console.log('ACTION', `Rename rejected by validation`, { nodeId: nodeData.id, name });
+                    return false;
                 }
             } catch (error) {
-                this.console.log('ERROR', `Validation callback failed`, { error: error.message });
-                // Continue with drop if validation fails
+                this.console.log('ERROR', `Error notifying node renamed`, { error: error.message, nodeId: nodeData.id });
             }
         }
         
+        const nodeId = nodeData.id;
+        const oldName = nodeData.name;
+        this.setNodeName(nodeData, name);
+        this.history.record({
+            label: 'rename',
+            nodeId,
+            undo: () => this.withNode(nodeId, n => this.setNodeName(n, oldName)),
+            redo: () => this.withNode(nodeId, n => this.setNodeName(n, name))
+        });
+        return true;
+    }
+
+    /**
+     * Edit connection labels in place by double-clicking them
+     */
+    setupConnectionLabelEditing() {
         const transformWrapper = document.getElementById(`${this.canvasId}-transform`);
-        if (!transformWrapper) {
-            const error = `Transform wrapper not found: ${this.canvasId}`;
-            this.console.log('ERROR', error, { canvasId: this.canvasId });
-            throw new Error(error);
-        }
-        
-        const childIndex = parentNode.children.length;
-        const position = this.treeLayout.calculateChildPosition(parentNode, childIndex);
-        
-        const childNode = this.createNode(component, position.x, position.y, parentNode);
-        this.nodes.push(childNode);
-        parentNode.children.push(childNode);
-        transformWrapper.appendChild(childNode.element);
+        if (!transformWrapper) return;
         
-        this.connections.createConnection(parentNode, childNode);
-        this.recalculateTreeLayout();
-
-        if (!skipNotification) {
-            await this.notifyNodeDropped(childNode, parentNode, 'under', true);
-        }
+        const dblclickHandler = (e) => {
+            const label = e.target.closest('.connection-label');
+            if (!label || label.classList.contains('editing')) return;
+            e.stopPropagation();
+            this.beginConnectionLabelEdit(label);
+        };
+        transformWrapper.addEventListener('dblclick', dblclickHandler);
+        this.eventCleanupHandlers.push(() => transformWrapper.removeEventListener('dblclick', dblclickHandler));
     }
 
-    removeNode(nodeId) {
-        const node = this.nodes.find(n => n.id === nodeId);
-        if (!node) return false;
-
-        // Collect all descendants (including the node itself)
-        const nodesToRemove = [node];
-        const collectDescendants = (n) => {
-            n.children.forEach(child => {
-                nodesToRemove.push(child);
-                collectDescendants(child);
-            });
+    /**
+     * Clicking a connection's hit area selects it; mousedown anywhere else on the canvas clears it
+     */
+    setupConnectionSelection() {
+        const viewport = this.utils.getViewport(this.canvasId);
+        const transformWrapper = document.getElementById(`${this.canvasId}-transform`);
+        if (!viewport || !transformWrapper) return;
+        
+        // Registered on the transform wrapper so it runs before (and can stop) panning on the viewport
+        const mousedownHandler = (e) => {
+            const hit = e.button === 0 && e.target.closest('.connection-hit');
+            if (!hit) return;
+            e.stopPropagation();
+            this.selectConnection(hit.dataset.fromNode, hit.dataset.toNode);
         };
-        collectDescendants(node);
-
-        // Remove all nodes (descendants first, then parent)
-        nodesToRemove.forEach(n => {
-            // Clean up event listeners
-            this.dragDrop.cleanupNodeListeners(n.id);
-            
-            // Remove from DOM
-            n.element.remove();
-            
-            // Remove connections
-            this.connections.removeConnection(n.id);
-            
-            // Remove from nodes array
-            this.nodes = this.nodes.filter(existing => existing.id !== n.id);
-        });
-
-        // Update tree structure
-        if (node.parent) {
-            node.parent.children = node.parent.children.filter(c => c.id !== nodeId);
-        } else if (this.rootNode?.id === nodeId) {
-            this.rootNode = null;
-        }
-
-        this.recalculateTreeLayout();
-
-        // Notify C# to sync TreeService
-        if (this.dotNetRef) {
-            this.dotNetRef.invokeMethodAsync('NotifyNodeRemoved', nodeId).catch(error => {
-                this.console.log('ERROR', `Error notifying node removed`, { 
-                    error: error.message, 
-                    nodeId
-                });
-            });
-        }
-
-        return true;
+        const viewportMousedownHandler = () => this.selectConnection(null, null);
+        
+        transformWrapper.addEventListener('mousedown', mousedownHandler);
+        viewport.addEventListener('mousedown', viewportMousedownHandler);
+        this.eventCleanupHandlers.push(() => transformWrapper.removeEventListener('mousedown', mousedownHandler));
+        this.eventCleanupHandlers.push(() => viewport.removeEventListener('mousedown', viewportMousedownHandler));
     }
 
-    async moveNodeToParent(nodeToMove, newParent) {
-        if (nodeToMove.parent) {
-            const index = nodeToMove.parent.children.indexOf(nodeToMove);
-            if (index > -1) {
-                nodeToMove.parent.children.splice(index, 1);
-            }
-            this.connections.removeConnection(nodeToMove.id);
+    /**
+     * Select the connection from a parent to a child (clears the node and cross-link selection)
+     * @param {string|null} fromId - Parent node GUID (null clears the connection selection)
+     * @param {string|null} toId - Child node GUID
+     * @returns {boolean} True if a connection is selected afterwards
+     */
+    selectConnection(fromId, toId) {
+        const fromNode = fromId ? this.findNode(fromId) : null;
+        const toNode = toId ? this.findNode(toId) : null;
+        const connection = fromNode && toNode && this.connections.findConnection(fromNode, toNode)
+            ? { fromNode, toNode }
+            : null;
+        const previous = this.selectedConnection;
+        if (previous?.fromNode === connection?.fromNode && previous?.toNode === connection?.toNode) return !!connection;
+        
+        this.selectedConnection = connection;
+        this.connections.setSelectedConnection(connection?.fromNode ?? null, connection?.toNode ?? null);
+        if (connection) {
+            this.selectCrossLink(null);
+            this.deselectNode();
         }
-        
-        nodeToMove.parent = newParent;
-        newParent.children.push(nodeToMove);
-        this.connections.createConnection(newParent, nodeToMove);
-        
-        this.updateChildConnections(nodeToMove);
-        this.recalculateTreeLayout();
+        this.notifyConnectionSelected(connection);
+        return !!connection;
+    }
 
-        // Notify C# to sync TreeService
+    async notifyConnectionSelected(connection) {
         try {
-            await this.dotNetRef.invokeMethodAsync(
-                'NotifyNodeMoved',
-                nodeToMove.id,
-                newParent.id
-            );
+            await this.dotNetRef.invokeMethodAsync('NotifyConnectionSelected', connection?.fromNode.id ?? null, connection?.toNode.id ?? null);
         } catch (error) {
-            this.console.log('ERROR', `Error notifying node moved`, { 
-                error: error.message, 
-                nodeId: nodeToMove.id,
-                newParentId: newParent.id
-            });
+            this.console.log('ERROR', `Error notifying connection selected`, { error: error.message });
         }
     }
 
     /**
-     * Promote a node to become parent of its current parent
-     * Child becomes Parent, Parent becomes Child
+     * Delete the selected connection, detaching the child's subtree from the parent:
+     * - an edge from one of several parents (graph mode) is removed on its own
+     * - otherwise the subtree moves to the end of the root's children (the canvas has a
+     *   single root, so it cannot hold a parentless subtree); a subtree that already
+     *   hangs from the root is removed, like deleting the child
+     * The detach is checked like a drop on empty canvas (ValidateDropTarget without a
+     * target), and locked nodes stay put. Every case can be undone.
+     * @returns {Promise<boolean>} True if the connection was removed
      */
-    async promoteNode(node) {
-        if (!node.parent) {
-            this.console.log('TREE', `Cannot promote root node`, { nodeId: node.id, nodeName: node.name });
+    async removeSelectedConnection() {
+        const connection = this.selectedConnection;
+        if (!connection) return false;
+        
+        const { fromNode, toNode } = connection;
+        if (!this.connections.findConnection(fromNode, toNode)) {
+            this.selectConnection(null, null);
             return false;
         }
-
-        const oldParent = node.parent;
-        
-        // Prevent changing the root node position
-        if (!oldParent.parent) {
-            this.console.log('TREE', `Cannot promote node - would replace the root node`, { 
-                nodeId: node.id, 
-                nodeName: node.name,
-                parentName: oldParent.name 
-            });
+        if (toNode.isDraggable === false || !(await this.isDropAllowed(toNode.id, null))) {
+            this.console.log('TREE', `Connection removal rejected`, { fromId: fromNode.id, toId: toNode.id });
             return false;
         }
         
-        const grandParent = oldParent.parent;
-        
-        // Store the promoted node's existing children - they will become children of the demoted parent
-        const promotedNodeChildren = [...node.children];
-        
-        // Store the promoted node's siblings (other children of oldParent) - they become siblings of demoted parent
-        const promotedNodeSiblings = oldParent.children.filter(child => child.id !== node.id);
-        
-        // Clear old parent's children array
-        oldParent.children = [];
-        
-        // Replace old parent with promoted node in grandparent's children
-        const parentIndex = grandParent.children.indexOf(oldParent);
-        if (parentIndex > -1) {
-            grandParent.children[parentIndex] = node;
+        this.selectConnection(null, null);
+        if (this.utils.getParents(toNode).length > 1) {
+            if (!this.removeParent(toNode.id, fromNode.id)) return false;
+            await this.notifyParentRemoved(toNode.id, fromNode.id);
+        } else if (fromNode !== this.rootNode) {
+            await this.moveNodeToParent(toNode, this.rootNode);
+        } else {
+            this.removeNode(toNode.id);
         }
-        node.parent = grandParent;
-        
-        // Clear promoted node's children
-        node.children = [];
-        
-        // Old parent becomes child of promoted node
-        oldParent.parent = node;
-        node.children.push(oldParent);
-        
-        // Promoted node's siblings become siblings of the demoted parent (under promoted node)
-        promotedNodeSiblings.forEach(sibling => {
-            sibling.parent = node;
-            node.children.push(sibling);
-        });
+        return true;
+    }
+
+    async notifyParentRemoved(nodeId, parentId) {
+        try {
+            await this.dotNetRef.invokeMethodAsync('NotifyParentRemoved', nodeId, parentId, JSON.stringify(this.exportTreeStructure()));
+        } catch (error) {
+            this.console.log('ERROR', `Error notifying parent removed`, { error: error.message, nodeId, parentId });
+        }
+    }
+
+    /**
+     * Replace a connection label with an inline editor. Enter or blur saves
+     * (an empty label removes it), Escape cancels.
+     */
+    beginConnectionLabelEdit(label) {
+        const { fromNode: fromId, toNode: toId } = label.dataset;
+        const oldText = this.getConnectionLabel(fromId, toId) || '';
+        
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'connection-label-input';
+        input.value = oldText;
+        label.textContent = '';
+        label.appendChild(input);
+        label.classList.add('editing');
+        
+        let finished = false;
+        const finish = (commit, refocusCanvas) => {
+            if (finished) return;
+            finished = true;
+            
+            const newText = input.value.trim();
+            input.remove();
+            label.classList.remove('editing');
+            label.textContent = oldText;
+            
+            // Keep keyboard shortcuts working after Enter/Escape
+            if (refocusCanvas) this.utils.getViewport(this.canvasId)?.focus({ preventScroll: true });
+            if (commit && newText !== oldText) {
+                this.setConnectionLabel(fromId, toId, newText);
+                this.notifyConnectionLabelChanged(fromId, toId, newText || null);
+            }
+        };
         
-        // Transfer promoted node's original children to the demoted parent
-        promotedNodeChildren.forEach(child => {
-            child.parent = oldParent;
-            oldParent.children.push(child);
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true, true);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                finish(false, true);
+            }
         });
+        // Clicks inside the editor must not start panning
+        input.addEventListener('mousedown', (e) => e.stopPropagation());
+        input.addEventListener('blur', () => finish(true, false));
         
-        // Rebuild all connections: clear old ones, recreate from tree structure, then update positions
-        this.connections.clearAll();
-        this.rebuildAllConnections(this.rootNode);
-        this.recalculateTreeLayout(true); // Skip zoom/pan - user is just restructuring
+        input.focus();
+        input.select();
+        this.console.log('ACTION', `Editing connection label`, { fromId, toId, label: oldText });
+    }
 
-        // Sync TreeService with the promotion
+    async notifyConnectionLabelChanged(fromId, toId, label) {
         try {
-            await this.dotNetRef.invokeMethodAsync('NotifyNodePromoted', node.id);
+            await this.dotNetRef.invokeMethodAsync('NotifyConnectionLabelChanged', fromId, toId, label);
         } catch (error) {
-            this.console.log('ERROR', `Error notifying node promoted`, { 
-                error: error.message, 
-                nodeId: node.id
-            });
+            this.console.log('ERROR', `Error notifying connection label changed`, { error: error.message, fromId, toId });
         }
+    }
 
-        this.console.log('TREE', `Node promoted successfully`, { 
-            nodeId: node.id,
-            nodeName: node.name,
-            newParentName: node.parent.name
-        });
+    getConnectionKey(fromId, toId) {
+        return `${fromId}>${toId}`;
+    }
 
-        return true;
+    getConnectionLabel(fromId, toId) {
+        return this.connectionLabels.get(this.getConnectionKey(fromId, toId)) || null;
     }
 
     /**
-     * Demote a node to become child of its first child
-     * Parent becomes Child, Child becomes Parent
-     * First child's children move down to become demoted node's children
+     * Set the text label shown at the midpoint of a parent/child connection
+     * @param {string} fromId - Parent node GUID
+     * @param {string} toId - Child node GUID
+     * @param {string|null} label - Label text (empty or null removes the label)
+     * @param {boolean} recordHistory - Record the change as an undoable step
+     * @returns {boolean} False if there is no connection between the nodes
+     */
+    setConnectionLabel(fromId, toId, label, recordHistory = true) {
+        if (!this.connections.findConnection(this.findNode(fromId), this.findNode(toId))) return false;
+        
+        const text = (label ?? '').trim() || null;
+        const oldText = this.getConnectionLabel(fromId, toId);
+        if (text === oldText) return true;
+        
+        const apply = (value) => {
+            const key = this.getConnectionKey(fromId, toId);
+            if (value) {
+                this.connectionLabels.set(key, value);
+            } else {
+                this.connectionLabels.delete(key);
+            }
+            const conn = this.connections.findConnection(this.findNode(fromId), this.findNode(toId));
+            if (conn) this.connections.setConnectionLabel(conn, value);
+            return true;
+        };
+        
+        apply(text);
+        if (recordHistory) {
+            this.history.record({
+                label: 'edit connection label',
+                nodeId: toId,
+                undo: () => apply(oldText),
+                redo: () => apply(text)
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Component definition from config.components by componentId
+     */
+    findComponentConfig(componentId) {
+        return (this.config.components || []).find(c => c.componentId === componentId) || null;
+    }
+
+    /**
+     * Clean up a component's output port list: ids are required and unique, labels default to the id
+     * @param {Array<{id: string, label: string}>|undefined} ports - Ports from config.components or a snapshot
+     * @returns {Array<{id: string, label: string}>} Empty for a node with the single default connector
+     */
+    normalizePorts(ports) {
+        const result = [];
+        const seen = new Set();
+        (Array.isArray(ports) ? ports : []).forEach(port => {
+            const id = port?.id ? String(port.id) : '';
+            if (!id || seen.has(id)) return;
+            seen.add(id);
+            result.push({ id, label: port.label ? String(port.label) : id });
+        });
+        return result;
+    }
+
+    /**
+     * Port a child of the given parent hangs from: the requested port if the
+     * parent has it, otherwise the parent's first port (null if it has none)
+     */
+    resolvePortId(parent, portId) {
+        if (!parent || !parent.ports || parent.ports.length === 0) return null;
+        return parent.ports.some(port => port.id === portId) ? portId : parent.ports[0].id;
+    }
+
+    /**
+     * Re-check the ports of a parent's children after the parent changed (promote/demote)
+     */
+    normalizeChildPorts(parent) {
+        parent.children.forEach(child => { child.portId = this.resolvePortId(parent, child.portId); });
+    }
+
+    /**
+     * Remember the ports of the parents' children, so undo/redo can put them back
+     * after normalizeChildPorts reset them
+     * @returns {Map<string, string|null>} Port ID per child node ID
+     */
+    capturePorts(parents) {
+        return new Map(parents.flatMap(parent => parent.children).map(child => [child.id, child.portId]));
+    }
+
+    /**
+     * Put back ports saved with capturePorts
+     * @returns {boolean} Always true, so it can be chained in history commands
+     */
+    restorePorts(ports) {
+        ports.forEach((portId, nodeId) => this.withNode(nodeId, node => { node.portId = portId; }));
+        return true;
+    }
+
+    /**
+     * Replace the single output connector with one labeled connector per port.
+     * Labels sit in a row at the bottom of the node, each above its connector
+     * (beside the node, next to its connector, when the tree is horizontal).
+     */
+    renderPorts(element, ports) {
+        element.classList.add('flowy-node--ported');
+        element.querySelector('.node-connector-out')?.remove();
+        
+        const labels = document.createElement('div');
+        labels.className = 'node-ports';
+        
+        ports.forEach((port, index) => {
+            const label = document.createElement('span');
+            label.className = 'node-port-label';
+            label.dataset.portId = port.id;
+            label.textContent = port.label;
+            labels.appendChild(label);
+            
+            const connector = document.createElement('div');
+            connector.className = 'node-connector node-connector-out node-port';
+            connector.dataset.portId = port.id;
+            connector.title = port.label;
+            connector.style.setProperty('--port-position', `${(index + 0.5) / ports.length * 100}%`);
+            element.appendChild(connector);
+        });
+        
+        element.querySelector('.node-body').after(labels);
+    }
+
+    /**
+     * Swap a node's output ports for another set (the component changed), falling back to
+     * the single output connector when there are none. Children keep their port if the new
+     * set still has it and move to the first port otherwise.
+     */
+    setNodePorts(node, ports) {
+        const element = node.element;
+        element.querySelectorAll('.node-ports, .node-connector-out').forEach(el => el.remove());
+        element.classList.remove('flowy-node--ported');
+        
+        node.ports = ports;
+        if (ports.length > 0) {
+            this.renderPorts(element, ports);
+        } else {
+            const connector = document.createElement('div');
+            connector.className = 'node-connector node-connector-out';
+            element.querySelector('.node-collapse-toggle').before(connector);
+        }
+        
+        this.normalizeChildPorts(node);
+    }
+
+    /**
+     * Update a node's name in its data and title
+     */
+    setNodeName(node, name) {
+        node.name = name;
+        const title = node.element.querySelector('.node-title');
+        if (title && !title.querySelector('.node-title-input')) title.textContent = name;
+        return true;
+    }
+
+    /**
+     * Select a node (visual highlight + notify C#), replacing any multi-selection
+     */
+    async selectNode(nodeData) {
+        const previousNode = this.selectedNode;
+        
+        this.setSelection([nodeData]);
+        
+        // Notify C# (with previous node info)
+        try {
+            await this.dotNetRef.invokeMethodAsync('NotifyNodeSelected', 
+                nodeData.id, 
+                previousNode ? previousNode.id : null
+            );
+        } catch (error) {
+            this.console.log('ERROR', 'Failed to notify node selected', { error: error.message });
+        }
+    }
+
+    /**
+     * Deselect the currently selected node
+     */
+    deselectNode() {
+        if (this.selectedNodes.size === 0) return;
+        
+        const previousNode = this.selectedNode;
+        this.setSelection([]);
+        
+        if (previousNode) {
+            // Notify C# (null node, with previous node info)
+            try {
+                this.dotNetRef.invokeMethodAsync('NotifyNodeSelected', null, previousNode.id);
+            } catch (error) {
+                this.console.log('ERROR', 'Failed to notify node deselected', { error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Add a node to the selection, or remove it if already selected
+     */
+    toggleNodeSelection(nodeData) {
+        const nodes = [...this.selectedNodes];
+        this.setSelection(this.selectedNodes.has(nodeData)
+            ? nodes.filter(n => n !== nodeData)
+            : [...nodes, nodeData]);
+    }
+
+    /**
+     * Replace the selection with the given nodes. The last node becomes the primary selection.
+     * @param {Array<Object>} nodes - Nodes to select (duplicates are ignored)
+     */
+    setSelection(nodes) {
+        const selection = new Set(nodes.filter(Boolean));
+        const unchanged = selection.size === this.selectedNodes.size &&
+            [...selection].every(n => this.selectedNodes.has(n));
+        
+        this.selectedNodes.forEach(n => {
+            if (!selection.has(n)) n.element.classList.remove('flowy-node--selected');
+        });
+        selection.forEach(n => n.element.classList.add('flowy-node--selected'));
+        
+        this.selectedNodes = selection;
+        this.selectedNode = selection.size > 0 ? [...selection].pop() : null;
+        if (selection.size > 0) {
+            this.selectCrossLink(null);
+            this.selectConnection(null, null);
+        }
+        
+        if (!unchanged) {
+            this.notifySelectionChanged();
+        }
+    }
+
+    /**
+     * Select nodes by ID (unknown IDs are ignored)
+     * @returns {number} Number of nodes selected
+     */
+    selectNodes(nodeIds) {
+        const nodes = (nodeIds || []).map(id => this.findNode(id)).filter(Boolean);
+        this.setSelection(nodes);
+        return nodes.length;
+    }
+
+    getSelectedNodeIds() {
+        return [...this.selectedNodes].map(n => n.id);
+    }
+
+    /**
+     * Selected nodes that have no selected ancestor, in tree order.
+     * Group operations act on these so a selected subtree is handled once.
+     */
+    getSelectionRoots() {
+        return this.getTopmostNodes(this.selectedNodes);
+    }
+
+    /**
+     * Nodes from a set that have no ancestor in the same set, in tree order
+     * @param {Set<Object>} nodeSet - Candidate nodes
+     */
+    getTopmostNodes(nodeSet) {
+        const roots = [];
+        const visit = (node) => {
+            if (nodeSet.has(node)) {
+                roots.push(node);
+                return;
+            }
+            node.children.forEach(visit);
+        };
+        if (this.rootNode) visit(this.rootNode);
+        return roots;
+    }
+
+    async notifySelectionChanged() {
+        try {
+            await this.dotNetRef.invokeMethodAsync('NotifySelectionChanged', this.getSelectedNodeIds());
+        } catch (error) {
+            // Silently ignore - component might be disposing
+        }
+    }
+
+    /**
+     * Remove every selected node (with its subtree) as a single undo step
+     * @returns {Promise<number>} Number of subtrees removed
+     */
+    async removeSelectedNodes() {
+        return await this.removeNodes(this.getSelectionRoots());
+    }
+
+    /**
+     * Remove several subtrees as a single undo step
+     * @param {Array<Object>} nodes - Topmost nodes of the subtrees to remove
+     * @returns {Promise<number>} Number of subtrees removed
+     */
+    async removeNodes(nodes) {
+        if (nodes.length === 0) return 0;
+        
+        await this.history.batch('remove selection', () => {
+            nodes.forEach(node => this.removeNode(node.id));
+        });
+        return nodes.length;
+    }
+
+    /**
+     * Resolve the nodes a clipboard operation applies to: the given IDs, or the selection
+     * @returns {Array<Object>} Topmost nodes (descendants of other listed nodes are dropped)
+     */
+    resolveOperationNodes(nodeIds = null) {
+        if (!nodeIds) return this.getSelectionRoots();
+        return this.getTopmostNodes(new Set(nodeIds.map(id => this.findNode(id)).filter(Boolean)));
+    }
+
+    /**
+     * Copy subtrees to the page-wide clipboard (shared by all canvases)
+     * @param {string[]|null} nodeIds - Nodes to copy, or null for the selection
+     * @returns {number} Number of subtrees copied
+     */
+    copyNodes(nodeIds = null) {
+        const nodes = this.resolveOperationNodes(nodeIds);
+        if (nodes.length === 0) return 0;
+        
+        FlowyClipboard.write(this.canvasId, nodes.map(node => this.serializeSubtree(node)));
+        this.console.log('CLIPBOARD', `Copied ${nodes.length} subtree(s)`, { nodeIds: nodes.map(n => n.id) });
+        return nodes.length;
+    }
+
+    /**
+     * Copy subtrees to the clipboard and remove them (one undo step)
+     * @returns {Promise<number>} Number of subtrees cut
+     */
+    async cutNodes(nodeIds = null) {
+        const nodes = this.resolveOperationNodes(nodeIds);
+        if (this.copyNodes(nodes.map(n => n.id)) === 0) return 0;
+        
+        return await this.removeNodes(nodes);
+    }
+
+    /**
+     * Paste the clipboard as children of a target node (default: selected node, then root).
+     * On an empty canvas the first subtree becomes the root.
+     * @param {string|null} targetNodeId - Parent for the pasted subtrees
+     * @returns {Promise<number>} Number of nodes pasted
+     */
+    async pasteNodes(targetNodeId = null) {
+        const subtrees = FlowyClipboard.read();
+        if (subtrees.length === 0) return 0;
+        
+        const target = targetNodeId ? this.findNode(targetNodeId) : (this.selectedNode || this.rootNode);
+        if (targetNodeId && !target) return 0;
+        
+        const pasted = await this.insertSubtrees(subtrees, target, -1, 'paste');
+        this.console.log('CLIPBOARD', `Pasted ${pasted.count} node(s)`, { targetNodeId: target?.id });
+        return pasted.count;
+    }
+
+    /**
+     * Insert copies of subtrees as siblings right after the originals (the root cannot be duplicated)
+     * @param {string[]|null} nodeIds - Nodes to duplicate, or null for the selection
+     * @returns {Promise<number>} Number of nodes created
+     */
+    async duplicateNodes(nodeIds = null) {
+        const nodes = this.resolveOperationNodes(nodeIds).filter(node => node.parent);
+        let count = 0;
+        const copies = [];
+        
+        await this.history.batch('duplicate', async () => {
+            for (const node of nodes) {
+                const index = node.parent.children.indexOf(node) + 1;
+                const result = await this.insertSubtrees([this.serializeSubtree(node)], node.parent, index, 'duplicate', false);
+                count += result.count;
+                copies.push(...result.roots);
+            }
+        });
+        
+        if (copies.length > 0) this.setSelection(copies);
+        this.console.log('CLIPBOARD', `Duplicated ${nodes.length} subtree(s)`, { created: count });
+        return count;
+    }
+
+    /**
+     * Create copies of snapshots under a parent with fresh IDs, validating and notifying
+     * C# node by node. Rejected nodes are skipped together with their descendants.
+     * @param {Array<Object>} subtrees - Snapshots from serializeSubtree()
+     * @param {Object|null} parentNode - Parent node, or null to create the root on an empty canvas
+     * @param {number} index - Insert position for the first subtree (-1 = append)
+     * @param {string} label - History label
+     * @param {boolean} select - Select the inserted subtrees afterwards
+     * @returns {Promise<{count: number, roots: Array<Object>}>}
+     */
+    async insertSubtrees(subtrees, parentNode, index, label, select = true) {
+        let count = 0;
+        const roots = [];
+        
+        if (parentNode?.collapsed) {
+            this.setCollapsed([parentNode], false);
+        }
+        
+        const insert = async (snapshot, parent, position) => {
+            if (parent && parent.canHaveChildren === false) return null;
+            if (!parent && this.rootNode) return null;
+            if (!(await this.isDropAllowed(snapshot.componentId, parent, 'under', this.resolvePortId(parent, snapshot.portId)))) {
+                this.console.log('CLIPBOARD', `Paste rejected by validation`, { name: snapshot.name, target: parent?.name });
+                return null;
+            }
+            
+            const node = this.buildSubtree({ ...snapshot, id: crypto.randomUUID(), children: [] }, parent, position);
+            count++;
+            await this.notifyNodeDropped(node, parent, 'under', true, parent ? parent.children.indexOf(node) : -1);
+            
+            for (const child of snapshot.children) {
+                await insert(child, node, -1);
+            }
+            return node;
+        };
+        
+        await this.history.batch(label, async () => {
+            for (const snapshot of subtrees) {
+                // On an empty canvas the first subtree becomes the root, the rest its children
+                const parent = parentNode || this.rootNode;
+                const node = await insert(snapshot, parent, parent === parentNode && index >= 0 ? index + roots.length : -1);
+                if (!node) continue;
+                
+                roots.push(node);
+                this.recordAddition(node);
+            }
+        });
+        
+        if (roots.length > 0) {
+            this.recalculateTreeLayout();
+            if (select) this.setSelection(roots);
+        }
+        return { count, roots };
+    }
+
+    /**
+     * Move every selected subtree under a new parent as a single undo step.
+     * The dragged node was already validated by drag & drop; the others are
+     * checked locally (no cycles, not locked) and through ValidateDropTarget.
+     * For a 'before'/'after' drop the subtrees are inserted next to the
+     * reference sibling as one consecutive run, in selection order.
+     */
+    async moveSelectionToParent(draggedNode, newParent, dropTarget = null) {
+        const position = dropTarget ? dropTarget.position : 'under';
+        const reference = dropTarget ? dropTarget.node : newParent;
+        const candidates = this.getSelectionRoots();
+        if (!candidates.includes(draggedNode)) candidates.unshift(draggedNode);
+        
+        const movable = [];
+        for (const node of candidates) {
+            if (!node.parent || node === newParent || node === reference) continue;
+            if (position === 'under' && node.parent === newParent && node.portId === this.resolvePortId(newParent, dropTarget?.portId)) continue;
+            if (node.isDraggable === false || this.dragDrop.isDescendant(node, newParent)) continue;
+            if (node.additionalParents.includes(newParent)) continue;
+            
+            if (node !== draggedNode && !(await this.isDropAllowed(node.id, reference, position, dropTarget?.portId ?? null))) continue;
+            movable.push(node);
+        }
+        
+        this.console.log('SELECTION', `Moving ${movable.length} selected node(s)`, {
+            newParentId: newParent.id,
+            position,
+            skipped: candidates.length - movable.length
+        });
+        
+        await this.history.batch('move selection', async () => {
+            let anchor = reference;
+            for (const node of movable) {
+                if (position === 'under') {
+                    // Each node goes after the previous one on the target port
+                    await this.moveNodeToParent(node, newParent, dropTarget && { ...dropTarget, index: -1 });
+                    continue;
+                }
+                
+                // Chain 'after' drops off the previously moved node to keep selection order
+                const index = this.dragDrop.getInsertionIndex(anchor, position, node);
+                await this.moveNodeToParent(node, newParent, { node: anchor, position, parent: newParent, index });
+                if (position === 'after') anchor = node;
+            }
+        });
+    }
+
+    /**
+     * Change the color of several nodes at once
+     * @returns {number} Number of nodes recolored
+     */
+    setNodesColor(nodeIds, color) {
+        const nodes = (nodeIds || []).map(id => this.findNode(id)).filter(Boolean);
+        nodes.forEach(node => this.applyNodeColor(node, color));
+        
+        this.console.log('SELECTION', `Recolored ${nodes.length} node(s)`, { color });
+        return nodes.length;
+    }
+
+    /**
+     * Update a node's color in its data, CSS variable and header
+     */
+    applyNodeColor(node, color) {
+        const sanitizedColor = this.sanitizeColor(color);
+        node.color = sanitizedColor;
+        node.element.style.setProperty('--node-color', sanitizedColor);
+        
+        const header = node.element.querySelector('.node-header');
+        if (header) header.style.background = sanitizedColor;
+        
+        // Connections may be stroked in the parent's or child's color
+        this.connections.updateNodeConnections(node);
+    }
+
+    /**
+     * Update an existing node in place - the element and its listeners are kept.
+     * The layout is only recalculated when the node's rendered height changes.
+     * A new componentId also brings that component's ports.
+     * @param {string} nodeId - GUID of the node
+     * @param {Object} patch - Any of { name, color, componentId, bodyHtml, isDraggable, canHaveChildren }
+     * @returns {boolean} True if the node was found
+     */
+    updateNode(nodeId, patch) {
+        const node = this.findNode(nodeId);
+        if (!node) {
+            this.console.log('TREE', 'Failed to update node: node not found', { nodeId });
+            return false;
+        }
+        
+        const oldHeight = this.utils.getNodeHeight(node.element);
+        patch = patch || {};
+        
+        if (typeof patch.name === 'string') this.setNodeName(node, patch.name);
+        if (typeof patch.color === 'string') this.applyNodeColor(node, patch.color);
+        let portsChanged = false;
+        if (typeof patch.componentId === 'string') {
+            const ports = this.normalizePorts(this.findComponentConfig(patch.componentId)?.ports);
+            portsChanged = JSON.stringify(ports) !== JSON.stringify(node.ports);
+            node.componentId = patch.componentId;
+            node.element.dataset.componentId = patch.componentId;
+            if (portsChanged) {
+                this.setNodePorts(node, ports);
+                this.redrawConnections();
+            }
+        }
+        if (typeof patch.bodyHtml === 'string') {
+            // bodyHtml is rendered by the server, same as in createNode
+            node.bodyHtml = patch.bodyHtml;
+            const body = node.element.querySelector('.node-body-html');
+            if (body) body.innerHTML = patch.bodyHtml;
+        }
+        if (typeof patch.isDraggable === 'boolean') this.setNodeDraggable(nodeId, patch.isDraggable);
+        if (typeof patch.canHaveChildren === 'boolean') this.setNodeCanHaveChildren(nodeId, patch.canHaveChildren);
+        
+        const heightChanged = this.utils.getNodeHeight(node.element) !== oldHeight;
+        this.console.log('TREE', `Updated node: ${node.name}`, { nodeId, fields: Object.keys(patch), heightChanged });
+        if (heightChanged || portsChanged) this.recalculateTreeLayout();
+        return true;
+    }
+
+    /**
+     * Add a new child node from a component
+     * @param {Object} parentNode - Node that receives the child
+     * @param {Object} component - Component data for the new node
+     * @param {boolean} skipNotification - True when the node already exists in C#
+     * @param {Object|null} dropTarget - Drop target from drag & drop ({ node, position, index, portId });
+     *   null appends the child 'under' parentNode, on component.portId (default: the first port)
+     */
+    async addChildToNode(parentNode, component, skipNotification = false, dropTarget = null) {
+        const position = dropTarget ? dropTarget.position : 'under';
+        const reference = dropTarget ? dropTarget.node : parentNode;
+        const portId = this.resolvePortId(parentNode, dropTarget ? dropTarget.portId : component.portId);
+        
+        // Validate drop target before adding (pass componentId instead of node ID)
+        if (this.dotNetRef && !skipNotification && !(await this.isDropAllowed(component.componentId, reference, position, portId))) {
+            this.console.log('DRAG', `Drop rejected by validation`, { 
+                component: component.name, 
+                target: parentNode.name 
+            });
+            return; // Abort the drop
+        }
+        
+        const transformWrapper = document.getElementById(`${this.canvasId}-transform`);
+        if (!transformWrapper) {
+            const error = `Transform wrapper not found: ${this.canvasId}`;
+            this.console.log('ERROR', error, { canvasId: this.canvasId });
+            throw new Error(error);
+        }
+        
+        // Reveal the new child when dropping onto a collapsed node
+        if (!skipNotification && parentNode.collapsed) {
+            this.setCollapsed([parentNode], false);
+        }
+        
+        const childIndex = dropTarget && dropTarget.index >= 0
+            ? Math.min(dropTarget.index, parentNode.children.length)
+            : this.dragDrop.getPortInsertionIndex(parentNode, portId);
+        const initialPosition = this.treeLayout.calculateChildPosition(parentNode, childIndex);
+        
+        const childNode = this.createNode({ ...component, portId }, initialPosition.x, initialPosition.y, parentNode);
+        this.nodes.push(childNode);
+        parentNode.children.splice(childIndex, 0, childNode);
+        transformWrapper.appendChild(childNode.element);
+        
+        this.connections.createConnection(parentNode, childNode);
+        this.recalculateTreeLayout();
+
+        if (!skipNotification) {
+            this.recordAddition(childNode);
+            await this.notifyNodeDropped(childNode, reference, position, true, childIndex);
+        }
+    }
+
+    /**
+     * Ask C# whether a node (existing node ID, or componentId for new nodes) may be dropped on a target.
+     * A failing callback does not block the drop.
+     */
+    async isDropAllowed(nodeIdOrComponentId, targetNode, position = 'under', portId = null) {
+        try {
+            return await this.dotNetRef.invokeMethodAsync(
+                'ValidateDropTarget',
+                nodeIdOrComponentId,
+                targetNode?.id || '',
+                position,
+                portId
+            );
+        } catch (error) {
+            this.console.log('ERROR', `Validation callback failed`, { error: error.message });
+            return true;
+        }
+    }
+
+    removeNode(nodeId) {
+        const node = this.findNode(nodeId);
+        if (!node) return false;
+
+        // Capture the subtree before it is destroyed so undo can rebuild it in place
+        const snapshot = this.serializeSubtree(node);
+        const parentId = node.parent ? node.parent.id : null;
+        const index = node.parent ? node.parent.children.indexOf(node) : 0;
+
+        this.destroySubtree(node);
+        this.recalculateTreeLayout();
+
+        this.history.record({
+            label: 'remove',
+            nodeId,
+            undo: () => this.restoreSubtree(snapshot, parentId, index),
+            redo: () => this.withNode(nodeId, n => this.destroySubtree(n))
+        });
+
+        // Notify C# to sync TreeService
+        if (this.dotNetRef) {
+            this.dotNetRef.invokeMethodAsync('NotifyNodeRemoved', nodeId).catch(error => {
+                this.console.log('ERROR', `Error notifying node removed`, { 
+                    error: error.message, 
+                    nodeId
+                });
+            });
+        }
+
+        return true;
+    }
+
+    /**
+     * Move a node to a new parent, or to another index among its siblings
+     * @param {Object} nodeToMove - Node to move
+     * @param {Object} newParent - Node that receives it
+     * @param {Object|null} dropTarget - Drop target from drag & drop ({ node, position, index, portId });
+     *   null appends the node 'under' newParent, keeping its port if newParent has it
+     */
+    async moveNodeToParent(nodeToMove, newParent, dropTarget = null) {
+        const oldParentId = nodeToMove.parent ? nodeToMove.parent.id : null;
+        const oldIndex = nodeToMove.parent ? nodeToMove.parent.children.indexOf(nodeToMove) : -1;
+        const oldPortId = nodeToMove.portId;
+        const position = dropTarget ? dropTarget.position : 'under';
+        
+        if (newParent.collapsed) {
+            this.setCollapsed([newParent], false);
+        }
+        this.attachToParent(nodeToMove, newParent, dropTarget ? dropTarget.index : -1, dropTarget?.portId ?? nodeToMove.portId);
+        this.recalculateTreeLayout();
+
+        const nodeId = nodeToMove.id;
+        const newParentId = newParent.id;
+        const newIndex = newParent.children.indexOf(nodeToMove);
+        const newPortId = nodeToMove.portId;
+        this.history.record({
+            label: 'move',
+            nodeId,
+            undo: () => this.relocateNode(nodeId, oldParentId, oldIndex, oldPortId),
+            redo: () => this.relocateNode(nodeId, newParentId, newIndex, newPortId)
+        });
+
+        // Notify C# to sync TreeService
+        try {
+            await this.dotNetRef.invokeMethodAsync(
+                'NotifyNodeMoved',
+                nodeToMove.id,
+                newParent.id,
+                position,
+                newIndex,
+                newPortId
+            );
+        } catch (error) {
+            this.console.log('ERROR', `Error notifying node moved`, { 
+                error: error.message, 
+                nodeId: nodeToMove.id,
+                newParentId: newParent.id
+            });
+        }
+    }
+
+    /**
+     * Promote a node to become parent of its current parent
+     * Child becomes Parent, Parent becomes Child
+     */
+    async promoteNode(node) {
+        if (!node.parent) {
+            this.console.log('TREE', `Cannot promote root node`, { nodeId: node.id, nodeName: node.name });
+            return false;
+        }
+
+        const oldParent = node.parent;
+        
+        // Prevent changing the root node position
+        if (!oldParent.parent) {
+            this.console.log('TREE', `Cannot promote node - would replace the root node`, { 
+                nodeId: node.id, 
+                nodeName: node.name,
+                parentName: oldParent.name 
+            });
+            return false;
+        }
+        
+        // Demotion restores the hierarchy but puts the node first among its siblings,
+        // so remember the original index for undo
+        const nodeId = node.id;
+        const oldIndex = oldParent.children.indexOf(node);
+        const portsBefore = this.capturePorts([oldParent.parent, oldParent, node]);
+        
+        this.applyPromotion(node);
+        
+        // In graph mode an additional parent edge can close a loop through the swapped pair
+        if (this.graphMode && this.hasCycle()) {
+            this.applyDemotion(node);
+            this.moveChildToIndex(node.parent, node, oldIndex);
+            this.restorePorts(portsBefore);
+            this.console.log('TREE', `Cannot promote node - would create a cycle`, { nodeId: node.id, nodeName: node.name });
+            return false;
+        }
+        
+        // Rebuild all connections: clear old ones, recreate from tree structure, then update positions
+        this.redrawConnections();
+        this.recalculateTreeLayout(true); // Skip zoom/pan - user is just restructuring
+
+        // The swap resets moved children to their new parent's ports - put the originals back
+        const portsAfter = this.capturePorts([node.parent, node, oldParent]);
+        this.history.record({
+            label: 'promote',
+            nodeId,
+            undo: () => this.withNode(nodeId, n => this.applyDemotion(n) && this.moveChildToIndex(n.parent, n, oldIndex) && this.restorePorts(portsBefore)),
+            redo: () => this.withNode(nodeId, n => this.applyPromotion(n) && this.restorePorts(portsAfter))
+        });
+
+        // Sync TreeService with the promotion (the structure, since moved children may change port)
+        try {
+            await this.dotNetRef.invokeMethodAsync('NotifyNodePromoted', node.id, JSON.stringify(this.exportTreeStructure()));
+        } catch (error) {
+            this.console.log('ERROR', `Error notifying node promoted`, { 
+                error: error.message, 
+                nodeId: node.id
+            });
+        }
+
+        this.console.log('TREE', `Node promoted successfully`, { 
+            nodeId: node.id,
+            nodeName: node.name,
+            newParentName: node.parent.name
+        });
+
+        return true;
+    }
+
+    /**
+     * Demote a node to become child of its first child
+     * Parent becomes Child, Child becomes Parent
+     * First child's children move down to become demoted node's children
      */
     async demoteNode(node) {
         // Prevent demoting the root node
@@ -618,75 +1543,914 @@ export class FlowyInstance {
             return false;
         }
         
-        if (node.children.length === 0) {
-            this.console.log('TREE', `Cannot demote node without children`, { nodeId: node.id, nodeName: node.name });
+        if (node.children.length === 0) {
+            this.console.log('TREE', `Cannot demote node without children`, { nodeId: node.id, nodeName: node.name });
+            return false;
+        }
+
+        const firstChild = node.children[0];
+        const portsBefore = this.capturePorts([node.parent, node, firstChild]);
+
+        this.applyDemotion(node);
+        
+        // In graph mode an additional parent edge can close a loop through the swapped pair
+        if (this.graphMode && this.hasCycle()) {
+            this.applyPromotion(node);
+            this.restorePorts(portsBefore);
+            this.console.log('TREE', `Cannot demote node - would create a cycle`, { nodeId: node.id, nodeName: node.name });
+            return false;
+        }
+        
+        // Rebuild all connections: clear old ones, recreate from tree structure, then update positions
+        this.redrawConnections();
+        this.recalculateTreeLayout(true); // Skip zoom/pan - user is just restructuring
+
+        // Promoting the demoted node restores the original hierarchy exactly;
+        // the ports reset by the swap are put back from the snapshots
+        const nodeId = node.id;
+        const portsAfter = this.capturePorts([firstChild.parent, firstChild, node]);
+        this.history.record({
+            label: 'demote',
+            nodeId,
+            undo: () => this.withNode(nodeId, n => this.applyPromotion(n) && this.restorePorts(portsBefore)),
+            redo: () => this.withNode(nodeId, n => this.applyDemotion(n) && this.restorePorts(portsAfter))
+        });
+
+        // Sync TreeService with the demotion (the structure, since moved children may change port)
+        try {
+            await this.dotNetRef.invokeMethodAsync('NotifyNodeDemoted', node.id, JSON.stringify(this.exportTreeStructure()));
+        } catch (error) {
+            this.console.log('ERROR', `Error notifying node demoted`, { 
+                error: error.message, 
+                nodeId: node.id
+            });
+        }
+
+        this.console.log('TREE', `Node demoted successfully`, { 
+            nodeId: node.id,
+            nodeName: node.name,
+            newParentName: node.parent.name
+        });
+
+        return true;
+    }
+
+    /**
+     * Swap a node with its parent (tree structure only - no connections, layout or notifications).
+     * The parent and the node's siblings become children of the node,
+     * the node's original children move to the demoted parent.
+     * @returns {boolean} False if the node has no grandparent
+     */
+    applyPromotion(node) {
+        const oldParent = node.parent;
+        if (!oldParent || !oldParent.parent) return false;
+        
+        const grandParent = oldParent.parent;
+        
+        // Store the promoted node's existing children - they will become children of the demoted parent
+        const promotedNodeChildren = [...node.children];
+        
+        // Store the promoted node's siblings (other children of oldParent) - they become siblings of demoted parent
+        const promotedNodeSiblings = oldParent.children.filter(child => child.id !== node.id);
+        
+        // Clear old parent's children array
+        oldParent.children = [];
+        
+        // Replace old parent with promoted node in grandparent's children
+        const parentIndex = grandParent.children.indexOf(oldParent);
+        if (parentIndex > -1) {
+            grandParent.children[parentIndex] = node;
+        }
+        node.parent = grandParent;
+        node.portId = oldParent.portId; // takes over the parent's slot, including its port
+        
+        // Clear promoted node's children
+        node.children = [];
+        
+        // Old parent becomes child of promoted node
+        oldParent.parent = node;
+        node.children.push(oldParent);
+        
+        // Promoted node's siblings become siblings of the demoted parent (under promoted node)
+        promotedNodeSiblings.forEach(sibling => {
+            sibling.parent = node;
+            node.children.push(sibling);
+        });
+        
+        // Transfer promoted node's original children to the demoted parent
+        promotedNodeChildren.forEach(child => {
+            child.parent = oldParent;
+            oldParent.children.push(child);
+        });
+        
+        // Children moved between parents with different output ports
+        [grandParent, node, oldParent].forEach(parent => this.normalizeChildPorts(parent));
+        
+        return true;
+    }
+
+    /**
+     * Swap a node with its first child (tree structure only - no connections, layout or notifications).
+     * The node's other children become children of the promoted first child,
+     * the first child's original children move to the demoted node.
+     * @returns {boolean} False if the node is root or has no children
+     */
+    applyDemotion(node) {
+        if (!node.parent || node.children.length === 0) return false;
+        
+        const firstChild = node.children[0];
+        const parent = node.parent;
+        
+        // Store the first child's existing children (grandchildren) - they will move to demoted node
+        const grandChildren = [...firstChild.children];
+        
+        // Store node's OTHER children (excluding firstChild) - they become siblings of promoted child
+        const demotedNodeSiblings = node.children.slice(1);
+        
+        // Clear both nodes' children arrays
+        node.children = [];
+        firstChild.children = [];
+        
+        // Replace node with first child in parent's children
+        const nodeIndex = parent.children.indexOf(node);
+        if (nodeIndex > -1) {
+            parent.children[nodeIndex] = firstChild;
+        }
+        firstChild.parent = parent;
+        firstChild.portId = node.portId; // takes over the node's slot, including its port
+        
+        // Node becomes child of its former first child
+        node.parent = firstChild;
+        firstChild.children.push(node);
+        
+        // Demoted node's other children become siblings of promoted child (under promoted child)
+        demotedNodeSiblings.forEach(sibling => {
+            sibling.parent = firstChild;
+            firstChild.children.push(sibling);
+        });
+        
+        // Transfer first child's children (grandchildren) to demoted node
+        grandChildren.forEach(child => {
+            child.parent = node;
+            node.children.push(child);
+        });
+        
+        // Children moved between parents with different output ports
+        [parent, firstChild, node].forEach(p => this.normalizeChildPorts(p));
+        
+        return true;
+    }
+
+    /**
+     * Detach a node from its current parent and attach it to a new parent.
+     * Connections are updated; layout and notifications are left to the caller.
+     * @param {Object} node - Node to move
+     * @param {Object} newParent - New parent node
+     * @param {number} index - Insert position in the new parent's children (-1 = after the last child on the same port)
+     * @param {string|null} portId - Output port of the new parent (falls back to its first port)
+     */
+    attachToParent(node, newParent, index = -1, portId = null) {
+        if (node.parent) {
+            const oldIndex = node.parent.children.indexOf(node);
+            if (oldIndex > -1) {
+                node.parent.children.splice(oldIndex, 1);
+            }
+            // Reordering under the same parent keeps the edge (and its state)
+            this.connections.removeConnection(node.id, node.parent.id, node.parent === newParent);
+        }
+        
+        node.parent = newParent;
+        node.portId = this.resolvePortId(newParent, portId);
+        if (index < 0) index = this.dragDrop.getPortInsertionIndex(newParent, node.portId);
+        if (index < newParent.children.length) {
+            newParent.children.splice(index, 0, node);
+        } else {
+            newParent.children.push(node);
+        }
+        this.connections.createConnection(newParent, node);
+        
+        this.updateChildConnections(node);
+    }
+
+    /**
+     * Move a node to a parent by ID (used when replaying history)
+     * @returns {boolean} False if either node no longer exists
+     */
+    relocateNode(nodeId, parentId, index, portId = null) {
+        const node = this.findNode(nodeId);
+        const parent = this.findNode(parentId);
+        if (!node || !parent) return false;
+        
+        this.attachToParent(node, parent, index, portId);
+        return true;
+    }
+
+    /**
+     * Move a child to a specific index within its parent's children
+     */
+    moveChildToIndex(parent, child, index) {
+        const currentIndex = parent.children.indexOf(child);
+        if (currentIndex === -1) return false;
+        
+        parent.children.splice(currentIndex, 1);
+        parent.children.splice(Math.min(Math.max(index, 0), parent.children.length), 0, child);
+        return true;
+    }
+
+    /**
+     * Why an additional parent edge (graph mode) is not allowed
+     * @param {Object|null} node - Child node
+     * @param {Object|null} parent - Parent to link
+     * @returns {string|null} Reason the edge is not allowed, or null if it is
+     */
+    getLinkRejectionReason(node, parent) {
+        if (!this.graphMode) return 'graph mode is off';
+        if (!node || !parent) return 'node not found';
+        if (node === parent) return 'cannot link a node to itself';
+        if (parent.canHaveChildren === false) return 'target cannot have children';
+        if (this.utils.getParents(node).includes(parent)) return 'already a parent';
+        if (this.dragDrop.isDescendant(node, parent)) return 'would create a cycle';
+        return null;
+    }
+
+    /**
+     * Add an additional parent edge (structure and connection only - no layout, history or notifications)
+     */
+    linkParent(node, parent) {
+        node.additionalParents.push(parent);
+        parent.additionalChildren.push(node);
+        this.connections.createConnection(parent, node);
+    }
+
+    /**
+     * Remove an additional parent edge (structure and connection only - no layout, history or notifications)
+     */
+    unlinkParent(node, parent) {
+        node.additionalParents = node.additionalParents.filter(p => p !== parent);
+        parent.additionalChildren = parent.additionalChildren.filter(c => c !== node);
+        this.connections.removeConnection(node.id, parent.id);
+    }
+
+    /**
+     * Give a node an additional parent (graph mode). The node stays owned by its
+     * tree parent - it moves, collapses and is removed with that subtree.
+     * @param {string} nodeId - Child node GUID
+     * @param {string} parentId - GUID of the node to add as parent
+     * @returns {boolean} False if graph mode is off or the edge is not allowed (cycle, duplicate, ...)
+     */
+    addParent(nodeId, parentId) {
+        const node = this.findNode(nodeId);
+        const parent = this.findNode(parentId);
+        const reason = this.getLinkRejectionReason(node, parent);
+        if (reason) {
+            this.console.log('TREE', `Cannot add parent: ${reason}`, { nodeId, parentId });
             return false;
         }
+        
+        this.linkParent(node, parent);
+        this.recalculateTreeLayout();
+        
+        this.history.record({
+            label: 'add parent',
+            nodeId,
+            undo: () => this.withNode(nodeId, n => this.withNode(parentId, p => this.unlinkParent(n, p))),
+            redo: () => this.withNode(nodeId, n => this.withNode(parentId, p => this.linkParent(n, p)))
+        });
+        return true;
+    }
 
-        const firstChild = node.children[0];
-        const parent = node.parent;
+    /**
+     * Remove one of a node's parents. Removing the tree parent hands ownership
+     * (and the subtree) to the first additional parent; the only parent of a
+     * node cannot be removed.
+     * @param {string} nodeId - Child node GUID
+     * @param {string} parentId - GUID of the parent to remove
+     * @returns {boolean} False if the edge does not exist or is the node's only parent
+     */
+    removeParent(nodeId, parentId) {
+        const node = this.findNode(nodeId);
+        const parent = this.findNode(parentId);
+        if (!node || !parent || !this.utils.getParents(node).includes(parent)) return false;
+        
+        if (node.parent !== parent) {
+            this.unlinkParent(node, parent);
+            this.recalculateTreeLayout();
+            this.history.record({
+                label: 'remove parent',
+                nodeId,
+                undo: () => this.withNode(nodeId, n => this.withNode(parentId, p => this.linkParent(n, p))),
+                redo: () => this.withNode(nodeId, n => this.withNode(parentId, p => this.unlinkParent(n, p)))
+            });
+            return true;
+        }
         
-        // Store the first child's existing children (grandchildren) - they will move to demoted node
-        const grandChildren = [...firstChild.children];
+        const newOwner = node.additionalParents[0];
+        if (!newOwner) {
+            this.console.log('TREE', `Cannot remove the only parent of a node`, { nodeId, parentId });
+            return false;
+        }
         
-        // Store node's OTHER children (excluding firstChild) - they become siblings of promoted child
-        const demotedNodeSiblings = node.children.slice(1);
+        const newOwnerId = newOwner.id;
+        const oldIndex = parent.children.indexOf(node);
+        const oldPortId = node.portId;
+        const transfer = (index, portId) => this.withNode(nodeId, n => this.withNode(newOwnerId, owner => {
+            this.unlinkParent(n, owner);
+            this.attachToParent(n, owner, index, portId);
+            return true;
+        }));
+        
+        transfer(-1, null);
+        if (newOwner.collapsed) {
+            this.setCollapsed([newOwner], false);
+        } else {
+            this.recalculateTreeLayout();
+        }
         
-        // Clear both nodes' children arrays
-        node.children = [];
-        firstChild.children = [];
+        const newIndex = newOwner.children.indexOf(node);
+        const newPortId = node.portId;
+        this.history.record({
+            label: 'remove parent',
+            nodeId,
+            undo: () => this.withNode(nodeId, n => this.withNode(newOwnerId, owner => {
+                this.relocateNode(nodeId, parentId, oldIndex, oldPortId);
+                this.linkParent(n, owner);
+                return true;
+            })),
+            redo: () => transfer(newIndex, newPortId)
+        });
+        return true;
+    }
+
+    /**
+     * Whether the parent/child edges, including graph-mode links, contain a cycle
+     */
+    hasCycle() {
+        const state = new Map(); // node -> 'visiting' | 'done'
+        const visit = (node) => {
+            state.set(node, 'visiting');
+            for (const child of this.utils.getGraphChildren(node)) {
+                if (state.get(child) === 'visiting' || (!state.has(child) && visit(child))) return true;
+            }
+            state.set(node, 'done');
+            return false;
+        };
+        return this.nodes.some(node => !state.has(node) && visit(node));
+    }
+
+    /**
+     * Check whether a cross-link between two nodes may be created
+     * @returns {string|null} Reason the link is not allowed, or null if it is
+     */
+    getCrossLinkRejectionReason(fromNode, toNode) {
+        if (!fromNode || !toNode) return 'node not found';
+        if (fromNode === toNode) return 'cannot link a node to itself';
+        if (this.crossLinks.some(link => link.fromNode === fromNode && link.toNode === toNode)) return 'already linked';
+        return null;
+    }
+
+    /**
+     * Add a cross-link: a reference edge between any two nodes ("escalates to",
+     * "depends on") that is drawn and exported but does not affect the hierarchy
+     * or the layout.
+     * @param {Object} linkData - { id?, fromId, toId, type? } (a new ID is generated when missing)
+     * @param {boolean} skipNotification - Don't notify C# (the caller already tracks the link)
+     * @param {boolean} recordHistory - Record the addition as an undoable step
+     * @returns {string|null} ID of the new link, or null if it is not allowed
+     */
+    addCrossLink(linkData, skipNotification = false, recordHistory = true) {
+        const fromNode = this.findNode(linkData?.fromId);
+        const toNode = this.findNode(linkData?.toId);
+        const reason = this.getCrossLinkRejectionReason(fromNode, toNode);
+        if (reason || this.crossLinks.some(link => link.id === linkData.id)) {
+            this.console.log('TREE', `Cannot add cross-link: ${reason || 'duplicate ID'}`, linkData);
+            return null;
+        }
         
-        // Update parent relationships
-        if (parent) {
-            const nodeIndex = parent.children.indexOf(node);
-            if (nodeIndex > -1) {
-                parent.children[nodeIndex] = firstChild;
+        const link = {
+            id: linkData.id || crypto.randomUUID(),
+            fromNode,
+            toNode,
+            type: linkData.type || null
+        };
+        this.attachCrossLink(link);
+        this.console.log('TREE', `Cross-link added`, { id: link.id, from: fromNode.name, to: toNode.name, type: link.type });
+        
+        if (recordHistory) {
+            const data = this.toCrossLinkData(link);
+            this.history.record({
+                label: 'add link',
+                nodeId: fromNode.id,
+                undo: () => this.withCrossLink(data.id, l => this.detachCrossLink(l)),
+                redo: () => this.addCrossLink(data, true, false) !== null
+            });
+        }
+        if (!skipNotification) {
+            this.notifyCrossLinkChanged('NotifyCrossLinkAdded', link.id, fromNode.id, toNode.id, link.type);
+        }
+        return link.id;
+    }
+
+    /**
+     * Remove a cross-link
+     * @param {string} linkId - Link ID
+     * @param {boolean} skipNotification - Don't notify C#
+     * @returns {boolean} False if the link does not exist
+     */
+    removeCrossLink(linkId, skipNotification = false) {
+        const link = this.crossLinks.find(l => l.id === linkId);
+        if (!link) return false;
+        
+        const data = this.toCrossLinkData(link);
+        this.detachCrossLink(link);
+        this.history.record({
+            label: 'remove link',
+            nodeId: data.fromId,
+            undo: () => this.addCrossLink(data, true, false) !== null,
+            redo: () => this.withCrossLink(data.id, l => this.detachCrossLink(l))
+        });
+        
+        if (!skipNotification) {
+            this.notifyCrossLinkChanged('NotifyCrossLinkRemoved', linkId);
+        }
+        return true;
+    }
+
+    /**
+     * Add a cross-link to the model and draw it (no history or notifications)
+     */
+    attachCrossLink(link) {
+        this.crossLinks.push(link);
+        this.connections.createCrossLink(link);
+    }
+
+    /**
+     * Remove a cross-link from the model and the canvas (no history or notifications)
+     */
+    detachCrossLink(link) {
+        if (this.selectedCrossLink === link) this.selectCrossLink(null);
+        this.crossLinks = this.crossLinks.filter(l => l !== link);
+        this.connections.removeCrossLink(link.id);
+        return true;
+    }
+
+    withCrossLink(linkId, action) {
+        const link = this.crossLinks.find(l => l.id === linkId);
+        return link ? action(link) : false;
+    }
+
+    toCrossLinkData(link) {
+        return { id: link.id, fromId: link.fromNode.id, toId: link.toNode.id, type: link.type };
+    }
+
+    /**
+     * All cross-links as plain data
+     * @returns {Array<{id: string, fromId: string, toId: string, type: string|null}>}
+     */
+    getCrossLinks() {
+        return this.crossLinks.map(link => this.toCrossLinkData(link));
+    }
+
+    /**
+     * Select a cross-link so Delete removes it (null clears the link selection).
+     * Selecting a link clears the node selection and vice versa.
+     */
+    selectCrossLink(linkId) {
+        const link = this.crossLinks.find(l => l.id === linkId) || null;
+        if (link === this.selectedCrossLink) return;
+        
+        this.selectedCrossLink = link;
+        this.connections.setSelectedCrossLink(link ? link.id : null);
+        if (link) {
+            this.deselectNode();
+            this.selectConnection(null, null);
+        }
+    }
+
+    async notifyCrossLinkChanged(method, ...args) {
+        try {
+            await this.dotNetRef.invokeMethodAsync(method, ...args);
+        } catch (error) {
+            this.console.log('ERROR', `Error notifying ${method}`, { error: error.message });
+        }
+    }
+
+    /**
+     * Capture a node and its descendants as plain data.
+     * The snapshot keeps node IDs so a restored subtree stays in sync with C#.
+     */
+    serializeSubtree(node) {
+        return {
+            id: node.id,
+            name: node.name,
+            componentId: node.componentId,
+            bodyHtml: node.bodyHtml,
+            color: node.color,
+            isDraggable: node.isDraggable !== false,
+            canHaveChildren: node.canHaveChildren !== false,
+            collapsed: node.collapsed === true,
+            ports: node.ports.map(port => ({ ...port })),
+            portId: node.portId,
+            additionalParentIds: node.additionalParents.map(parent => parent.id),
+            additionalChildIds: node.additionalChildren.map(child => child.id),
+            crossLinks: this.crossLinks
+                .filter(link => link.fromNode === node || link.toNode === node)
+                .map(link => this.toCrossLinkData(link)),
+            children: node.children.map(child => this.serializeSubtree(child))
+        };
+    }
+
+    /**
+     * Create DOM nodes and connections for a serialized subtree.
+     * Layout and notifications are left to the caller.
+     * @param {Object} snapshot - Subtree data from serializeSubtree()
+     * @param {Object|null} parentNode - Parent to attach to, or null to create the root
+     * @param {number} index - Insert position in the parent's children (-1 = after the last child on the same port)
+     * @returns {Object} The created node
+     */
+    buildSubtree(snapshot, parentNode, index = -1, container = null) {
+        const transformWrapper = container || document.getElementById(`${this.canvasId}-transform`);
+        
+        let node;
+        if (parentNode) {
+            node = this.createNode(snapshot, parentNode.x, parentNode.y, parentNode);
+            if (index < 0) index = this.dragDrop.getPortInsertionIndex(parentNode, node.portId);
+            if (index < parentNode.children.length) {
+                parentNode.children.splice(index, 0, node);
+            } else {
+                parentNode.children.push(node);
             }
-            firstChild.parent = parent;
+            this.connections.createConnection(parentNode, node);
         } else {
-            // Node was root, first child becomes new root
-            firstChild.parent = null;
-            this.rootNode = firstChild;
+            const rootPosition = this.calculateRootPosition(this.utils.getViewport(this.canvasId));
+            node = this.createNode(snapshot, rootPosition.x, rootPosition.y, null);
+            this.rootNode = node;
+            this.setPlaceholderVisible(false);
+        }
+        
+        this.nodes.push(node);
+        transformWrapper.appendChild(node.element);
+        
+        snapshot.children.forEach(child => this.buildSubtree(child, node, -1, transformWrapper));
+        return node;
+    }
+
+    /**
+     * Replace the canvas content with a tree in the exportTreeStructure() shape.
+     * Every node and connection is built first, then layout and auto-zoom run once.
+     * C# is not notified - the caller already holds the data.
+     * Body HTML comes from a node's BodyHtml when present, otherwise from its component.
+     * Edges other than a node's ParentId become additional parents in graph mode.
+     * @param {Object|string} treeData - { RootNodeId, Nodes: [{ Id, Name, ComponentId, Color, ParentId, ChildrenIds, ... }], Edges: [{ FromId, ToId, Label }], CrossLinks: [{ Id, FromId, ToId, Type }] }
+     * @returns {number} Number of nodes created
+     */
+    loadTree(treeData) {
+        const data = typeof treeData === 'string' ? JSON.parse(treeData) : treeData;
+        const records = new Map((data?.Nodes || []).map(record => [record.Id, record]));
+        
+        // Children by ParentId, for records without ChildrenIds
+        const childrenByParent = new Map();
+        records.forEach(record => {
+            if (!record.ParentId) return;
+            if (!childrenByParent.has(record.ParentId)) childrenByParent.set(record.ParentId, []);
+            childrenByParent.get(record.ParentId).push(record.Id);
+        });
+        
+        const visited = new Set();
+        const toSnapshot = (record) => {
+            visited.add(record.Id);
+            const childIds = Array.isArray(record.ChildrenIds) ? record.ChildrenIds : (childrenByParent.get(record.Id) || []);
+            const children = [];
+            for (const childId of childIds) {
+                const child = records.get(childId);
+                // Skip dangling references and anything already placed (guards against cycles)
+                if (child && !visited.has(childId)) children.push(toSnapshot(child));
+            }
+            return {
+                id: record.Id,
+                name: record.Name,
+                componentId: record.ComponentId,
+                bodyHtml: record.BodyHtml ?? (this.config.components?.find(c => c.componentId === record.ComponentId)?.bodyHtml || ''),
+                color: record.Color,
+                isDraggable: record.IsDraggable !== false,
+                canHaveChildren: record.CanHaveChildren !== false,
+                collapsed: record.IsCollapsed === true,
+                portId: record.PortId ?? null,
+                children
+            };
+        };
+        
+        this.reset();
+        
+        const rootRecord = records.get(data?.RootNodeId) || [...records.values()].find(record => !record.ParentId);
+        if (!rootRecord) return 0;
+        
+        // Labels are picked up when the connections are created
+        (data.Edges || []).forEach(edge => {
+            if (edge.Label) this.connectionLabels.set(this.getConnectionKey(edge.FromId, edge.ToId), edge.Label);
+        });
+        
+        this.console.startTimer('loadTree');
+        const fragment = document.createDocumentFragment();
+        this.buildSubtree(toSnapshot(rootRecord), null, -1, fragment);
+        document.getElementById(`${this.canvasId}-transform`)?.appendChild(fragment);
+        
+        // Edges besides the tree parent become graph-mode links (rejected when graph mode is off)
+        const built = new Map(this.nodes.map(node => [node.id, node]));
+        let skippedEdges = 0;
+        (data.Edges || []).forEach(edge => {
+            const parent = built.get(edge.FromId);
+            const node = built.get(edge.ToId);
+            if (!parent || !node || node.parent === parent) return;
+            if (this.getLinkRejectionReason(node, parent)) {
+                skippedEdges++;
+                return;
+            }
+            this.linkParent(node, parent);
+        });
+        
+        (data.CrossLinks || []).forEach(link => {
+            if (!this.addCrossLink({ id: link.Id, fromId: link.FromId, toId: link.ToId, type: link.Type }, true, false)) skippedEdges++;
+        });
+        
+        this.recalculateTreeLayout();
+        this.console.endTimer('loadTree', `Loaded ${this.nodes.length} nodes`);
+        
+        if (this.nodes.length < records.size) {
+            this.console.log('TREE', `Skipped ${records.size - this.nodes.length} node(s) not reachable from the root`);
+        }
+        if (skippedEdges > 0) {
+            this.console.log('TREE', `Skipped ${skippedEdges} edge(s) or cross-link(s)`, { graphMode: this.graphMode });
+        }
+        return this.nodes.length;
+    }
+
+    /**
+     * Rebuild a serialized subtree under a parent by ID (used when replaying history)
+     * @returns {boolean} False if the parent no longer exists or the root slot is taken
+     */
+    restoreSubtree(snapshot, parentId, index) {
+        const parent = parentId ? this.findNode(parentId) : null;
+        if (parentId && !parent) return false;
+        if (!parentId && this.rootNode) return false;
+        
+        this.buildSubtree(snapshot, parent, index);
+        this.restoreLinks(snapshot);
+        return true;
+    }
+
+    /**
+     * Re-create the graph-mode links and cross-links recorded in a snapshot,
+     * for every node in it whose linked parent, child or link end still exists
+     */
+    restoreLinks(snapshot) {
+        const node = this.findNode(snapshot.id);
+        if (node) {
+            (snapshot.additionalParentIds || []).forEach(parentId => {
+                const parent = this.findNode(parentId);
+                if (parent && !this.getLinkRejectionReason(node, parent)) this.linkParent(node, parent);
+            });
+            (snapshot.additionalChildIds || []).forEach(childId => {
+                const child = this.findNode(childId);
+                if (child && !this.getLinkRejectionReason(child, node)) this.linkParent(child, node);
+            });
+            (snapshot.crossLinks || []).forEach(link => {
+                if (!this.crossLinks.some(existing => existing.id === link.id)) this.addCrossLink(link, true, false);
+            });
+        }
+        snapshot.children.forEach(child => this.restoreLinks(child));
+    }
+
+    /**
+     * Remove a node and all its descendants from the DOM, connections and tree structure.
+     * Layout and notifications are left to the caller.
+     */
+    destroySubtree(node) {
+        // Collect all descendants (including the node itself)
+        const nodesToRemove = [node];
+        const collectDescendants = (n) => {
+            n.children.forEach(child => {
+                nodesToRemove.push(child);
+                collectDescendants(child);
+            });
+        };
+        collectDescendants(node);
+
+        // Remove all nodes (descendants first, then parent)
+        nodesToRemove.forEach(n => {
+            // Clean up event listeners
+            this.dragDrop.cleanupNodeListeners(n.id);
+            
+            // Remove from DOM
+            n.element.remove();
+            
+            // Remove connections, including graph-mode links to nodes outside the subtree
+            [...n.additionalParents].forEach(parent => this.unlinkParent(n, parent));
+            [...n.additionalChildren].forEach(child => this.unlinkParent(child, n));
+            this.connections.removeConnection(n.id);
+            this.crossLinks
+                .filter(link => link.fromNode === n || link.toNode === n)
+                .forEach(link => this.detachCrossLink(link));
+            
+            // Remove from nodes array
+            this.nodes = this.nodes.filter(existing => existing.id !== n.id);
+        });
+
+        if (nodesToRemove.some(n => this.selectedNodes.has(n))) {
+            this.setSelection([...this.selectedNodes].filter(n => !nodesToRemove.includes(n)));
+        }
+
+        // Update tree structure
+        if (node.parent) {
+            node.parent.children = node.parent.children.filter(c => c.id !== node.id);
+        } else if (this.rootNode?.id === node.id) {
+            this.rootNode = null;
+            this.setPlaceholderVisible(true);
         }
         
-        // Node becomes child of its former first child
-        node.parent = firstChild;
-        firstChild.children.push(node);
+        return true;
+    }
+
+    /**
+     * Record the creation of a node (root or child) as an undoable command
+     */
+    recordAddition(node) {
+        const nodeId = node.id;
+        const snapshot = this.serializeSubtree(node);
+        const parentId = node.parent ? node.parent.id : null;
+        const index = node.parent ? node.parent.children.indexOf(node) : 0;
+        
+        this.history.record({
+            label: parentId ? 'add' : 'create root',
+            nodeId,
+            undo: () => this.withNode(nodeId, n => this.destroySubtree(n)),
+            redo: () => this.restoreSubtree(snapshot, parentId, index)
+        });
+    }
+
+    /**
+     * Find a node by ID
+     * @returns {Object|null} The node, or null if it does not exist
+     */
+    findNode(nodeId) {
+        return this.nodes.find(n => n.id === nodeId) || null;
+    }
+
+    /**
+     * Run an action against a node by ID, returning false if the node no longer exists
+     */
+    withNode(nodeId, action) {
+        const node = this.findNode(nodeId);
+        return node ? action(node) : false;
+    }
+
+    /**
+     * Nodes that are not hidden inside a collapsed subtree
+     */
+    getVisibleNodes() {
+        return this.nodes.filter(node => !node.isHidden);
+    }
+
+    /**
+     * Collapse or expand nodes, then re-layout and notify C#.
+     * Nodes without children and nodes already in the requested state are ignored.
+     * @param {Array<Object>} nodes - Nodes to change
+     * @param {boolean} collapsed - True to collapse, false to expand
+     * @returns {number} Number of nodes whose state changed
+     */
+    setCollapsed(nodes, collapsed) {
+        const changed = this.applyCollapsed(nodes, collapsed);
+        if (changed.length === 0) return 0;
+        
+        this.recalculateTreeLayout();
+        this.notifyCollapsedChanged(changed, collapsed);
+        return changed.length;
+    }
+
+    /**
+     * Set the collapsed flag only (no layout or notification)
+     * @returns {Array<Object>} Nodes whose state changed
+     */
+    applyCollapsed(nodes, collapsed) {
+        const changed = nodes.filter(node => node.collapsed !== collapsed && (!collapsed || node.children.length > 0));
+        changed.forEach(node => { node.collapsed = collapsed; });
+        return changed;
+    }
+
+    notifyCollapsedChanged(nodes, collapsed) {
+        if (nodes.length === 0) return;
+        
+        this.console.log('TREE', `${collapsed ? 'Collapsed' : 'Expanded'} ${nodes.length} node(s)`, {
+            nodeIds: nodes.map(n => n.id)
+        });
+        
+        this.dotNetRef.invokeMethodAsync('NotifyCollapsedChanged', nodes.map(n => n.id), collapsed).catch(error => {
+            this.console.log('ERROR', `Error notifying collapsed state`, { error: error.message });
+        });
+    }
+
+    collapseNode(nodeId) {
+        return this.withNode(nodeId, node => this.setCollapsed([node], true) > 0);
+    }
+
+    expandNode(nodeId) {
+        return this.withNode(nodeId, node => this.setCollapsed([node], false) > 0);
+    }
+
+    expandAll() {
+        return this.setCollapsed(this.nodes, false);
+    }
+
+    /**
+     * Show only the given number of levels below the root: nodes at that depth
+     * (and deeper) are collapsed, shallower nodes are expanded.
+     * @param {number} depth - Visible levels below the root (0 = root only)
+     * @returns {number} Number of nodes whose state changed
+     */
+    collapseToDepth(depth) {
+        const toCollapse = [];
+        const toExpand = [];
+        const visit = (node, level) => {
+            (level >= depth ? toCollapse : toExpand).push(node);
+            node.children.forEach(child => visit(child, level + 1));
+        };
+        if (this.rootNode) visit(this.rootNode, 0);
+        
+        // Flip both sets first so the tree is laid out once
+        const expanded = this.applyCollapsed(toExpand, false);
+        const collapsed = this.applyCollapsed(toCollapse, true);
+        if (expanded.length + collapsed.length === 0) return 0;
         
-        // Demoted node's other children become siblings of promoted child (under promoted child)
-        demotedNodeSiblings.forEach(sibling => {
-            sibling.parent = firstChild;
-            firstChild.children.push(sibling);
-        });
+        this.recalculateTreeLayout();
+        this.notifyCollapsedChanged(expanded, false);
+        this.notifyCollapsedChanged(collapsed, true);
+        return expanded.length + collapsed.length;
+    }
+
+    /**
+     * Expand every collapsed ancestor of a node so it becomes visible
+     */
+    revealNode(node) {
+        const collapsedAncestors = [];
+        for (let ancestor = node.parent; ancestor; ancestor = ancestor.parent) {
+            if (ancestor.collapsed) collapsedAncestors.push(ancestor);
+        }
+        this.setCollapsed(collapsedAncestors, false);
+    }
+
+    /**
+     * Sync DOM visibility, toggle buttons, connections and selection with the collapsed flags.
+     * Runs before every layout pass.
+     */
+    applyCollapsedState() {
+        const hiddenNodes = new Set();
+        const visit = (node, hidden) => {
+            node.isHidden = hidden;
+            if (hidden) hiddenNodes.add(node);
+            node.element.classList.toggle('flowy-node--hidden', hidden);
+            node.element.classList.toggle('flowy-node--collapsed', node.collapsed && node.children.length > 0);
+            this.updateCollapseToggle(node);
+            node.children.forEach(child => visit(child, hidden || node.collapsed));
+        };
+        if (this.rootNode) visit(this.rootNode, false);
         
-        // Transfer first child's children (grandchildren) to demoted node
-        grandChildren.forEach(child => {
-            child.parent = node;
-            node.children.push(child);
-        });
+        this.connections.setHiddenNodes(hiddenNodes);
         
-        // Rebuild all connections: clear old ones, recreate from tree structure, then update positions
-        this.connections.clearAll();
-        this.rebuildAllConnections(this.rootNode);
-        this.recalculateTreeLayout(true); // Skip zoom/pan - user is just restructuring
+        // Hidden nodes must not stay selected (Delete would remove nodes the user cannot see)
+        if ([...this.selectedNodes].some(node => hiddenNodes.has(node))) {
+            this.setSelection([...this.selectedNodes].filter(node => !hiddenNodes.has(node)));
+        }
+    }
 
-        // Sync TreeService with the demotion
-        try {
-            await this.dotNetRef.invokeMethodAsync('NotifyNodeDemoted', node.id);
-        } catch (error) {
-            this.console.log('ERROR', `Error notifying node demoted`, { 
-                error: error.message, 
-                nodeId: node.id
-            });
+    /**
+     * Show the toggle only for nodes with children: "−" when expanded, "+N" (hidden descendants) when collapsed
+     */
+    updateCollapseToggle(node) {
+        const toggle = node.element.querySelector('.node-collapse-toggle');
+        if (!toggle) return;
+        
+        toggle.style.display = node.children.length > 0 ? 'flex' : 'none';
+        if (node.collapsed) {
+            toggle.textContent = `+${this.countDescendants(node)}`;
+            toggle.title = 'Expand';
+        } else {
+            toggle.textContent = '−';
+            toggle.title = 'Collapse';
         }
+    }
 
-        this.console.log('TREE', `Node demoted successfully`, { 
-            nodeId: node.id,
-            nodeName: node.name,
-            newParentName: node.parent.name
-        });
+    countDescendants(node) {
+        return node.children.reduce((count, child) => count + 1 + this.countDescendants(child), 0);
+    }
 
-        return true;
+    /**
+     * Replace every drawn connection and cross-link with fresh ones built from the model
+     * (after restructuring or replaying history). Positions are updated by the next layout pass.
+     */
+    redrawConnections() {
+        this.connections.clearAll();
+        this.rebuildAllConnections(this.rootNode);
+        this.crossLinks.forEach(link => this.connections.createCrossLink(link));
+        this.connections.setSelectedCrossLink(this.selectedCrossLink?.id ?? null);
     }
 
     /**
@@ -699,11 +2463,12 @@ export class FlowyInstance {
             this.connections.createConnection(node, child);
             this.rebuildAllConnections(child);
         });
+        node.additionalChildren.forEach(child => this.connections.createConnection(node, child));
     }
 
     updateChildConnections(node) {
         node.children.forEach(child => {
-            this.connections.removeConnection(child.id);
+            this.connections.removeConnection(child.id, node.id, true);
             this.connections.createConnection(node, child);
             this.updateChildConnections(child);
         });
@@ -712,10 +2477,17 @@ export class FlowyInstance {
     recalculateTreeLayout(skipZoomPan = false) {
         if (!this.rootNode) return;
         
+        this.applyCollapsedState();
+        
         // Clear layout cache before recalculation to ensure fresh calculations
         this.treeLayout.clearCache();
         
-        this.treeLayout.calculateSubtreePositions(this.rootNode, this.TREE_CONFIG.rootX, this.TREE_CONFIG.rootY);
+        if (this.graphMode) {
+            this.graphLayout.calculateLayout(this.rootNode, this.TREE_CONFIG.rootX, this.TREE_CONFIG.rootY);
+        } else {
+            this.treeLayout.calculateSubtreePositions(this.rootNode, this.TREE_CONFIG.rootX, this.TREE_CONFIG.rootY);
+        }
+        this.treeLayout.applyOrientation(this.nodes, this.rootNode, this.TREE_CONFIG.rootX, this.TREE_CONFIG.rootY);
         this.treeLayout.updateNodePositions(this.rootNode);
         this.connections.updateAllConnections();
         
@@ -735,9 +2507,9 @@ export class FlowyInstance {
         // Auto Zoom takes priority over Auto Center (zoom includes centering)
         if (this.config.autoZoom) {
             // Delay allows DOM to settle before calculating bounds
-            setTimeout(() => this.zoomPan.zoomToFit(this.nodes, this.TREE_CONFIG), this.LAYOUT_RECALC_DELAY);
+            setTimeout(() => this.zoomPan.zoomToFit(this.getVisibleNodes(), this.TREE_CONFIG), this.LAYOUT_RECALC_DELAY);
         } else if (this.autoCenter) {
-            this.zoomPan.centerViewport(this.nodes);
+            this.zoomPan.centerViewport(this.getVisibleNodes());
         } else {
             this.console.log('LAYOUT', `Manual pan mode active - no auto-center/zoom`, { 
                 nodeCount: this.nodes.length,
@@ -747,14 +2519,19 @@ export class FlowyInstance {
         }
     }
 
-    async notifyNodeDropped(node, targetNode, position, isNewNode) {
+    /**
+     * Tell C# a node was dropped. For 'before'/'after', targetNode is the
+     * reference sibling; index is the node's final index among its siblings (-1 for a root).
+     */
+    async notifyNodeDropped(node, targetNode, position, isNewNode, index = -1) {
         const nodeData = {
             id: node.id,
             name: node.name,
             componentId: node.componentId,
             color: node.color,
             isDraggable: node.isDraggable !== false,
-            canHaveChildren: node.canHaveChildren !== false
+            canHaveChildren: node.canHaveChildren !== false,
+            portId: node.portId
         };
 
         try {
@@ -763,7 +2540,8 @@ export class FlowyInstance {
                 JSON.stringify(nodeData),
                 targetNode?.id || '',
                 position,
-                isNewNode
+                isNewNode,
+                index
             );
         } catch (error) {
             this.console.log('ERROR', `Error notifying node dropped`, { 
@@ -777,16 +2555,29 @@ export class FlowyInstance {
     reset() {
         this.nodes = [];
         this.rootNode = null;
+        this.selectedNode = null;
+        this.selectedNodes = new Set();
+        this.crossLinks = [];
+        this.selectedCrossLink = null;
+        this.selectedConnection = null;
+        this.crossLinkInput.cancel();
+        this.connectionLabels.clear();
+        this.connections.clearConnectionStates();
+        this.connections.setSelectedConnection(null, null);
+        this.tracePlayer.clear();
+        this.connections.stopAllFlows();
         
         const transformWrapper = document.getElementById(`${this.canvasId}-transform`);
         if (transformWrapper) {
             transformWrapper.querySelectorAll('.flow-node').forEach(el => el.remove());
-            
-            const placeholder = transformWrapper.querySelector('.canvas-placeholder');
-            if (placeholder) placeholder.style.display = '';
         }
+        this.setPlaceholderVisible(true);
         
         this.connections.clearAll();
+        this.nodeSearch.clear();
+        
+        // Undo steps refer to nodes that no longer exist
+        this.history.clear();
         
         // Reset zoom and pan to defaults
         if (this.zoomPan) {
@@ -796,11 +2587,278 @@ export class FlowyInstance {
 
     dispose() {
         // Clean up event listeners and resources
+        this.eventCleanupHandlers.forEach(cleanup => cleanup());
+        this.eventCleanupHandlers = [];
         this.zoomPan.cleanup();
         this.dragDrop.cleanup();
+        this.marquee.cleanup();
+        this.keyboard.cleanup();
+        this.contextMenu.cleanup();
+        this.crossLinkInput.cleanup();
         this.reset();
     }
 
+    /**
+     * Setup keyboard shortcuts (undo/redo, clipboard, tree navigation and editing) on the canvas viewport
+     */
+    setupKeyboardShortcuts() {
+        this.keyboard.setup({
+            undo: () => this.undo(),
+            redo: () => this.redo(),
+            navigate: (direction) => this.navigateSelection(direction),
+            promote: () => this.selectedNode && this.promoteNode(this.selectedNode),
+            demote: () => this.selectedNode && this.demoteNode(this.selectedNode),
+            remove: () => {
+                if (this.selectedCrossLink) return this.removeCrossLink(this.selectedCrossLink.id);
+                if (this.selectedConnection) return this.removeSelectedConnection();
+                return this.removeSelectionFromKeyboard();
+            },
+            focus: () => this.selectedNode && this.focusItem(this.selectedNode.id),
+            deselect: () => {
+                this.crossLinkInput.cancel();
+                this.selectCrossLink(null);
+                this.selectConnection(null, null);
+                this.deselectNode();
+            },
+            rename: () => this.selectedNode && this.beginRename(this.selectedNode),
+            copy: () => this.copyNodes(),
+            cut: () => this.cutNodes(),
+            paste: () => this.pasteNodes(),
+            duplicate: () => this.duplicateNodes()
+        });
+    }
+
+    /**
+     * Setup the right-click menu for nodes and empty canvas
+     */
+    setupContextMenu() {
+        this.contextMenu.setup(
+            (e) => {
+                const element = e.target.closest('.flow-node');
+                const node = element ? this.findNode(element.dataset.nodeId) : null;
+                // Right-clicking outside the selection acts on that node alone
+                if (node && !this.selectedNodes.has(node)) this.selectNode(node);
+                return node;
+            },
+            (node) => this.getContextMenuItems(node),
+            (item, node, canvasPoint) => this.runContextMenuAction(item, node, canvasPoint),
+            () => this.zoomPan
+        );
+    }
+
+    /**
+     * Built-in items followed by the items C# defines for this node (or the canvas)
+     * @param {Object|null} node - Right-clicked node, or null for empty canvas
+     * @returns {Promise<Array<Object>>}
+     */
+    async getContextMenuItems(node) {
+        const items = this.config.builtInContextMenuItems === false ? [] : this.getBuiltInMenuItems(node);
+        
+        if (this.dotNetRef) {
+            try {
+                const customItems = await this.dotNetRef.invokeMethodAsync('GetContextMenuItems', node ? node.id : '');
+                if (customItems && customItems.length > 0) {
+                    items.push({ separator: true }, ...customItems);
+                }
+            } catch (error) {
+                this.console.log('ERROR', `Error loading context menu items`, { error: error.message });
+            }
+        }
+        return items;
+    }
+
+    getBuiltInMenuItems(node) {
+        const items = node
+            ? [
+                { id: 'rename', label: 'Rename', icon: '✏️', shortcut: 'F2' },
+                { id: 'copy', label: 'Copy', icon: '📄', shortcut: 'Ctrl+C' },
+                { id: 'paste', label: 'Paste', icon: '📋', shortcut: 'Ctrl+V', enabled: FlowyClipboard.hasContent() && node.canHaveChildren !== false },
+                { id: 'duplicate', label: 'Duplicate', icon: '⧉', shortcut: 'Ctrl+D', enabled: !!node.parent },
+                { separator: true },
+                node.collapsed
+                    ? { id: 'expand', label: 'Expand', icon: '▸' }
+                    : { id: 'collapse', label: 'Collapse', icon: '▾', enabled: node.children.length > 0 },
+                { id: 'focus', label: 'Focus', icon: '🎯', shortcut: 'Enter' },
+                { separator: true },
+                { id: 'delete', label: 'Delete', icon: '🗑️', shortcut: 'Del' }
+            ]
+            : [
+                { id: 'paste', label: 'Paste', icon: '📋', shortcut: 'Ctrl+V', enabled: FlowyClipboard.hasContent() },
+                { id: 'expandAll', label: 'Expand all', icon: '▸', enabled: this.nodes.some(n => n.collapsed) },
+                { id: 'fit', label: 'Fit to screen', icon: '⤢', enabled: this.nodes.length > 0 }
+            ];
+        return items.map(item => item.separator ? item : { ...item, builtIn: true });
+    }
+
+    /**
+     * Report a chosen menu item to C#, then run it if it is built in.
+     * C# is told first so the node still exists when "delete" is reported.
+     * Built-in items act on the selection, which always contains the right-clicked node.
+     */
+    async runContextMenuAction(item, node, canvasPoint) {
+        try {
+            await this.dotNetRef.invokeMethodAsync(
+                'NotifyContextMenuAction',
+                item.id,
+                node ? node.id : null,
+                canvasPoint.x,
+                canvasPoint.y,
+                item.builtIn === true
+            );
+        } catch (error) {
+            this.console.log('ERROR', `Error notifying context menu action`, { error: error.message, itemId: item.id });
+        }
+        
+        if (item.builtIn) {
+            switch (item.id) {
+                case 'rename': this.beginRename(node); break;
+                case 'copy': this.copyNodes(); break;
+                case 'paste': await this.pasteNodes(node ? node.id : this.rootNode?.id); break;
+                case 'duplicate': await this.duplicateNodes(); break;
+                case 'collapse': this.setCollapsed([node], true); break;
+                case 'expand': this.setCollapsed([node], false); break;
+                case 'focus': this.focusItem(node.id); break;
+                case 'delete': await this.removeSelectedNodes(); break;
+                case 'expandAll': this.expandAll(); break;
+                case 'fit': this.fitAllNodesInViewport(); break;
+            }
+        }
+    }
+
+    /**
+     * Move the selection to a neighbouring node. Selects the root if nothing is selected.
+     * @param {string} direction - 'parent', 'firstChild', 'previousSibling' or 'nextSibling'
+     */
+    navigateSelection(direction) {
+        const current = this.selectedNode;
+        if (!current) {
+            if (this.rootNode) this.selectNode(this.rootNode);
+            return;
+        }
+        
+        const siblings = current.parent ? current.parent.children : [current];
+        const index = siblings.indexOf(current);
+        const target = {
+            parent: current.parent,
+            firstChild: current.collapsed ? null : current.children[0],
+            previousSibling: siblings[index - 1],
+            nextSibling: siblings[index + 1]
+        }[direction];
+        
+        if (target) this.selectNode(target);
+    }
+
+    /**
+     * Delete key: remove the selection, then select the parent of the first removed
+     * node so keyboard navigation can continue
+     */
+    async removeSelectionFromKeyboard() {
+        const roots = this.getSelectionRoots();
+        if (roots.length === 0) return;
+        
+        const nextSelection = roots[0].parent;
+        await this.removeSelectedNodes();
+        if (nextSelection && this.nodes.includes(nextSelection)) {
+            this.selectNode(nextSelection);
+        }
+    }
+
+    /**
+     * Revert the most recent tree edit
+     * @returns {Promise<boolean>} True if an edit was undone
+     */
+    async undo() {
+        return await this.replayHistory('undo');
+    }
+
+    /**
+     * Re-apply the most recently undone tree edit
+     * @returns {Promise<boolean>} True if an edit was redone
+     */
+    async redo() {
+        return await this.replayHistory('redo');
+    }
+
+    canUndo() { return this.history.canUndo(); }
+    canRedo() { return this.history.canRedo(); }
+
+    /**
+     * Replay one history step, then rebuild connections/layout and push the
+     * resulting structure to C# so FlowyTreeService matches the canvas again
+     */
+    async replayHistory(direction) {
+        const command = direction === 'undo' ? await this.history.undo() : await this.history.redo();
+        if (!command) return false;
+
+        this.redrawConnections();
+        this.recalculateTreeLayout(true); // Skip zoom/pan - keep the user's viewport while stepping through history
+
+        try {
+            await this.dotNetRef.invokeMethodAsync(
+                'NotifyHistoryReplayed',
+                direction,
+                command.nodeId,
+                JSON.stringify(this.exportTreeStructure())
+            );
+        } catch (error) {
+            this.console.log('ERROR', `Error notifying history replayed`, { 
+                error: error.message, 
+                direction,
+                nodeId: command.nodeId
+            });
+        }
+
+        return true;
+    }
+
+    /**
+     * Build the tree structure in C# FlowyTreeData format.
+     * Edges lists every parent/child edge explicitly: the tree parent edge
+     * (with its port) and, in graph mode, the edges from additional parents,
+     * each with its connection label.
+     * CrossLinks lists the reference links, which are not part of the hierarchy.
+     * @returns {{RootNodeId: string|null, Nodes: Array, Edges: Array, CrossLinks: Array}} Tree data (empty when there is no root)
+     */
+    exportTreeStructure() {
+        const nodes = [];
+        const edges = [];
+        const traverse = (node) => {
+            this.utils.getParents(node).forEach(parent => edges.push({
+                FromId: parent.id,
+                ToId: node.id,
+                PortId: parent === node.parent ? node.portId : null,
+                Label: this.getConnectionLabel(parent.id, node.id)
+            }));
+            nodes.push({
+                Id: node.id,
+                Name: node.name,
+                ComponentId: node.componentId,
+                Color: node.color,
+                ParentId: node.parent ? node.parent.id : null,
+                ChildrenIds: node.children.map(child => child.id),
+                IsDraggable: node.isDraggable !== false,
+                CanHaveChildren: node.canHaveChildren !== false,
+                IsCollapsed: node.collapsed === true,
+                PortId: node.portId
+            });
+            node.children.forEach(child => traverse(child));
+        };
+
+        if (this.rootNode) traverse(this.rootNode);
+
+        return {
+            RootNodeId: this.rootNode ? this.rootNode.id : null,
+            Nodes: nodes,
+            Edges: edges,
+            CrossLinks: this.crossLinks.map(link => ({
+                Id: link.id,
+                FromId: link.fromNode.id,
+                ToId: link.toNode.id,
+                Type: link.type
+            }))
+        };
+    }
+
     addNode(nodeData, skipNotification = false) {
         // Public method for programmatic node addition
         this.console.log('ACTION', 'Adding node programmatically', { 
@@ -826,7 +2884,9 @@ export class FlowyInstance {
             name: nodeData.name,
             componentId: nodeData.componentId,
             bodyHtml: nodeData.bodyHtml,
-            color: nodeData.color
+            color: nodeData.color,
+            collapsed: nodeData.collapsed === true,
+            portId: nodeData.portId ?? null
         };
 
         if (parent) {
@@ -843,11 +2903,181 @@ export class FlowyInstance {
     // Delegated methods to modules
     zoomIn() { this.zoomPan.zoomIn(this.rootNode); }
     zoomOut() { this.zoomPan.zoomOut(this.rootNode); }
-    zoomReset() { this.zoomPan.zoomReset(this.nodes); }
-    zoomToFit() { this.zoomPan.zoomToFit(this.nodes, this.TREE_CONFIG); }
-    centerCanvas() { this.zoomPan.centerViewport(this.nodes); }
-    focusItem(nodeId) { return this.zoomPan.focusItem(nodeId, this.nodes); }
+    zoomReset() { this.zoomPan.zoomReset(this.getVisibleNodes()); }
+    zoomToFit() { this.zoomPan.zoomToFit(this.getVisibleNodes(), this.TREE_CONFIG); }
+    centerCanvas() { this.zoomPan.centerViewport(this.getVisibleNodes()); }
+
+    /**
+     * All nodes in depth-first (pre-order) tree order, starting at the root
+     */
+    getNodesInTreeOrder() {
+        const ordered = [];
+        const visit = (node) => {
+            ordered.push(node);
+            node.children.forEach(visit);
+        };
+        if (this.rootNode) visit(this.rootNode);
+        return ordered;
+    }
+
+    /**
+     * Highlight nodes matching a query and dim the rest, then fly to the first match
+     * @param {string} query - Text to look for (empty clears the search)
+     * @param {Object} options - { includeBody, caseSensitive, matchComponentId, focusFirst }
+     * @returns {number} Number of matches
+     */
+    search(query, options = {}) {
+        const count = this.nodeSearch.run(this.getNodesInTreeOrder(), query, options || {});
+        if (count > 0 && options?.focusFirst !== false) this.searchNext();
+        return count;
+    }
+
+    /**
+     * Fly to the next search match (wraps around)
+     * @returns {string|null} ID of the focused match
+     */
+    searchNext() {
+        const node = this.nodeSearch.next();
+        if (node) this.focusItem(node.id);
+        return node ? node.id : null;
+    }
+
+    /**
+     * Fly to the previous search match (wraps around)
+     * @returns {string|null} ID of the focused match
+     */
+    searchPrevious() {
+        const node = this.nodeSearch.previous();
+        if (node) this.focusItem(node.id);
+        return node ? node.id : null;
+    }
+
+    clearSearch() {
+        this.nodeSearch.clear();
+    }
+
+    /**
+     * Center the viewport on a node, expanding collapsed ancestors first
+     */
+    focusItem(nodeId) {
+        const node = this.findNode(nodeId);
+        if (node) this.revealNode(node);
+        return this.zoomPan.focusItem(nodeId, this.nodes);
+    }
     
+    /**
+     * Put the connection from a parent to a child in a visual state, e.g. while a workflow runs
+     * @param {string} fromId - Parent node GUID
+     * @param {string} toId - Child node GUID
+     * @param {string|null} state - 'active', 'pulse', 'success', 'error', 'disabled', a registered custom state, or null to clear
+     * @returns {boolean} False if there is no connection between the nodes or the state is unknown
+     */
+    setConnectionState(fromId, toId, state) {
+        const fromNode = this.findNode(fromId);
+        const toNode = this.findNode(toId);
+        if (!fromNode || !toNode) return false;
+        return this.connections.setConnectionState(fromNode, toNode, state || null);
+    }
+
+    /**
+     * Set the state of several connections at once
+     * @param {Array<{fromId: string, toId: string, state: string|null}>} updates - Connection states
+     * @returns {number} Number of connections that were updated
+     */
+    setConnectionStates(updates) {
+        return (updates || []).filter(update => this.setConnectionState(update.fromId, update.toId, update.state)).length;
+    }
+
+    /**
+     * Show the runtime status of a node: a corner badge and border color, with an optional progress bar and tooltip
+     * @param {string} nodeId - Node GUID
+     * @param {string|null} status - 'idle', 'queued', 'running', 'success', 'warning', 'error', 'skipped', or null to clear
+     * @param {Object} options - { progress: 0-100, message: tooltip text }
+     * @returns {boolean} False if the node does not exist or the status is unknown
+     */
+    setNodeStatus(nodeId, status, options = {}) {
+        return this.withNode(nodeId, node => this.nodeStatus.apply(node, status || null, options || {}));
+    }
+
+    /**
+     * Set the status of many nodes at once
+     * @param {Array<{nodeId: string, status: string|null, progress: number, message: string}>} updates - Node statuses
+     * @returns {number} Number of nodes that were updated
+     */
+    setNodeStatuses(updates) {
+        const nodesById = new Map(this.nodes.map(node => [node.id, node]));
+        return (updates || []).filter(update => {
+            const node = nodesById.get(update.nodeId);
+            return !!node && this.nodeStatus.apply(node, update.status || null, update);
+        }).length;
+    }
+
+    clearNodeStatuses() {
+        this.nodes.forEach(node => this.nodeStatus.apply(node, null));
+    }
+
+    /**
+     * Add a custom connection state backed by a CSS class
+     * @param {string} state - State name
+     * @param {string} className - CSS class applied to the connection line
+     * @returns {boolean} False if the name or class is empty
+     */
+    registerConnectionState(state, className) {
+        return this.connections.registerConnectionState(state, className);
+    }
+
+    /**
+     * Change how connections are routed and stroked
+     * @param {Object} style - { routing: 'bezier' | 'straight' | 'orthogonal' | 'elbow', stroke, width, dash, arrowhead, cornerRadius }
+     */
+    setEdgeStyle(style) {
+        this.connections.setEdgeStyle(style);
+    }
+
+    /**
+     * Change the direction from parent to child and lay the tree out again
+     * @param {string} orientation - 'top-down', 'bottom-up', 'left-right' or 'right-left'
+     * @returns {boolean} False if the orientation is unknown
+     */
+    setOrientation(orientation) {
+        if (!this.utils.ORIENTATIONS.includes(orientation)) return false;
+        if (orientation === this.TREE_CONFIG.orientation) return true;
+        
+        // Keep the root where it is and grow the tree from there
+        this.TREE_CONFIG.orientation = orientation;
+        if (this.rootNode) {
+            this.TREE_CONFIG.rootX = this.rootNode.x;
+            this.TREE_CONFIG.rootY = this.rootNode.y;
+        }
+        
+        const viewport = this.utils.getViewport(this.canvasId);
+        if (viewport) this.applyOrientationClass(viewport);
+        this.console.log('LAYOUT', `Orientation set to ${orientation}`);
+        this.recalculateTreeLayout();
+        return true;
+    }
+
+    /**
+     * Switch between the simple and the compact tree layout and lay the tree out again
+     * @param {string} mode - 'simple' or 'compact'
+     * @returns {boolean} False if the mode is unknown
+     */
+    setLayoutMode(mode) {
+        if (mode !== 'simple' && mode !== 'compact') return false;
+        if (mode === this.TREE_CONFIG.layoutMode) return true;
+        
+        this.TREE_CONFIG.layoutMode = mode;
+        this.console.log('LAYOUT', `Layout mode set to ${mode}`);
+        this.recalculateTreeLayout();
+        return true;
+    }
+
+    // Connector placement (CSS) follows the orientation class on the viewport
+    applyOrientationClass(viewport) {
+        this.utils.ORIENTATIONS.forEach(o => viewport.classList.remove(`flowy-orientation-${o}`));
+        viewport.classList.add(`flowy-orientation-${this.TREE_CONFIG.orientation}`);
+    }
+
     setAutoZoom(enabled) {
         const oldValue = this.config.autoZoom;
         this.config.autoZoom = enabled;
@@ -870,7 +3100,7 @@ export class FlowyInstance {
     fitAllNodesInViewport() {
         this.console.log('ACTION', `Fit all nodes in viewport (one-time)`);
         if (this.nodes.length > 0) {
-            this.zoomPan.zoomToFit(this.nodes, this.TREE_CONFIG);
+            this.zoomPan.zoomToFit(this.getVisibleNodes(), this.TREE_CONFIG);
         }
     }
     
@@ -1035,7 +3265,6 @@ export class FlowyInstance {
         return await this.connections.flowDroplets(
             startNodeId, 
             endNodeId, 
-            this.nodes, 
             duration, 
             dropletCount, 
             dropletDelay,
@@ -1043,6 +3272,98 @@ export class FlowyInstance {
             easing
         );
     }
+
+    /**
+     * Start a droplet flow that can be stopped, paused and resumed
+     * @param {string} startNodeId - GUID of starting node
+     * @param {string} endNodeId - GUID of destination node
+     * @param {Object} options - { duration, dropletCount, dropletDelay, dropletDistance, easing, loop, rate }
+     * @returns {string|null} Flow ID, or null if there is no path between the nodes
+     */
+    startFlow(startNodeId, endNodeId, options = {}) {
+        return this.connections.startFlow(startNodeId, endNodeId, options)?.id ?? null;
+    }
+
+    /**
+     * Send droplets from a node to all its descendants (or, with gather, from all leaves to the node)
+     * @param {string} nodeId - GUID of the node
+     * @param {Object} options - Flow options plus { gather, maxDepth, componentIds }
+     * @returns {Promise<boolean>} True when every branch finished, false if there was nothing to flow to or the flow was stopped
+     */
+    async broadcastFlow(nodeId, options = {}) {
+        const flow = this.connections.startBroadcastFlow(nodeId, options);
+        return flow ? await flow.done : false;
+    }
+
+    /**
+     * Start a broadcast or gather flow that can be stopped, paused and resumed
+     * @returns {string|null} Flow ID, or null if the node has no (matching) descendants
+     */
+    startBroadcastFlow(nodeId, options = {}) {
+        return this.connections.startBroadcastFlow(nodeId, options)?.id ?? null;
+    }
+
+    stopFlow(flowId) {
+        return this.connections.stopFlow(flowId);
+    }
+
+    pauseFlow(flowId) {
+        return this.connections.pauseFlow(flowId);
+    }
+
+    resumeFlow(flowId) {
+        return this.connections.resumeFlow(flowId);
+    }
+
+    /**
+     * Load an execution trace to replay: highlights and droplets follow the visits in timestamp order
+     * @param {Array<Object>} trace - Visits: { nodeId, timestamp, status }
+     * @param {Object} options - { speed, maxTravelTime, droplet }
+     * @returns {number} Number of visits loaded
+     */
+    loadTrace(trace, options = {}) {
+        return this.tracePlayer.load(trace, options);
+    }
+
+    playTrace() {
+        return this.tracePlayer.play();
+    }
+
+    pauseTrace() {
+        return this.tracePlayer.pause();
+    }
+
+    /**
+     * Pause the trace and move to the next (1) or previous (-1) visit
+     * @returns {string|null} Node ID of the visit moved to
+     */
+    stepTrace(direction = 1) {
+        return this.tracePlayer.step(direction);
+    }
+
+    /**
+     * Move the trace cursor to a time in ms since the first visit
+     */
+    seekTrace(time) {
+        return this.tracePlayer.seek(time);
+    }
+
+    setTraceSpeed(speed) {
+        return this.tracePlayer.setSpeed(speed);
+    }
+
+    clearTrace() {
+        this.tracePlayer.clear();
+    }
+
+    async notifyTraceProgress(progress) {
+        try {
+            await this.dotNetRef.invokeMethodAsync('NotifyTraceProgress', progress.state, progress.time, progress.duration,
+                progress.index, progress.count, progress.nodeId, progress.status);
+        } catch (error) {
+            // Silently ignore - component might be disposing
+        }
+    }
     
     async notifyZoomChanged(zoomLevel) {
         try {
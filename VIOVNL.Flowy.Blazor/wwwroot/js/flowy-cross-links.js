@@ -0,0 +1,174 @@
+/**
+ * VIOVNL.Flowy.Blazor - Interactive Hierarchical Tree Builder
+ * Copyright (C) 2025 VIOVNL
+ * 
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * For commercial licensing, visit: https://viov.nl
+ */
+
+
+// Flowy Blazor Component - Cross-Link Interaction
+
+/**
+ * Mouse interaction for cross-links (reference edges between any two nodes).
+ *
+ * Dragging from a node's link handle draws a dashed preview to the cursor and
+ * highlights the node under it; releasing on another node creates the link.
+ * Clicking a link selects it, mousedown on empty canvas clears the selection.
+ * The links themselves are drawn by FlowyConnections and owned by FlowyInstance.
+ *
+ * @example
+ * const crossLinks = new FlowyCrossLinks(canvasId, utils, treeConfig, console);
+ * crossLinks.setup({
+ *     getZoomPan: () => zoomPan,
+ *     getSvg: () => connections.getOrCreateSvg(),
+ *     findNode: (id) => instance.findNode(id),
+ *     onCreate: (fromNode, toNode) => instance.addCrossLink({ fromId: fromNode.id, toId: toNode.id }),
+ *     onSelect: (linkId) => instance.selectCrossLink(linkId)
+ * }, true);
+ */
+export class FlowyCrossLinks {
+    /**
+     * Creates a new cross-link interaction handler
+     * @param {string} canvasId - The canvas grid element ID
+     * @param {FlowyUtils} utils - Utility functions instance
+     * @param {Object} treeConfig - Tree layout configuration
+     * @param {FlowyConsole} console - Debug console instance
+     */
+    constructor(canvasId, utils, treeConfig, console) {
+        this.canvasId = canvasId;
+        this.utils = utils;
+        this.TREE_CONFIG = treeConfig;
+        this.console = console;
+
+        this.sourceNode = null; // node the current link drag started from
+        this.hoveredNode = null;
+        this.preview = null;
+
+        // Event listener cleanup
+        this.eventCleanupHandlers = [];
+    }
+
+    /**
+     * Wires link creation and selection to the canvas
+     * @param {Object} callbacks - { getZoomPan, getSvg, findNode, onCreate(fromNode, toNode), onSelect(linkId | null) }
+     * @param {boolean} enableHandles - Whether dragging from node link handles creates links
+     */
+    setup(callbacks, enableHandles) {
+        const viewport = this.utils.getViewport(this.canvasId);
+        const transformWrapper = document.getElementById(`${this.canvasId}-transform`);
+        if (!viewport || !transformWrapper) return;
+        this.callbacks = callbacks;
+
+        // Registered on the transform wrapper so it runs before (and can stop) panning on the viewport
+        const mousedownHandler = (e) => {
+            if (e.button !== 0) return;
+            
+            const link = e.target.closest('.cross-link');
+            if (link) {
+                e.stopPropagation();
+                callbacks.onSelect(link.dataset.linkId);
+                return;
+            }
+            
+            const handle = enableHandles && e.target.closest('.node-link-handle');
+            const nodeElement = handle && handle.closest('.flow-node');
+            if (!nodeElement) return;
+            
+            e.preventDefault();
+            e.stopPropagation();
+            this.sourceNode = callbacks.findNode(nodeElement.dataset.nodeId);
+            this.console.log('CROSSLINK', `Link drag started`, { fromId: this.sourceNode?.id });
+        };
+
+        const mousemoveHandler = (e) => {
+            if (!this.sourceNode) return;
+            
+            const nodeElement = e.target.closest?.('.flow-node');
+            const node = nodeElement ? callbacks.findNode(nodeElement.dataset.nodeId) : null;
+            this.setHoveredNode(node && node !== this.sourceNode ? node : null);
+            this.showPreview(this.toCanvasPoint(viewport, e));
+        };
+
+        const mouseupHandler = () => {
+            if (!this.sourceNode) return;
+            
+            const fromNode = this.sourceNode;
+            const toNode = this.hoveredNode;
+            this.cancel();
+            if (toNode) callbacks.onCreate(fromNode, toNode);
+        };
+
+        // Mousedown on empty canvas (not consumed by nodes or links) clears the link selection
+        const viewportMousedownHandler = (e) => {
+            if (!e.target.closest('.flow-node')) callbacks.onSelect(null);
+        };
+
+        transformWrapper.addEventListener('mousedown', mousedownHandler);
+        viewport.addEventListener('mousedown', viewportMousedownHandler);
+        document.addEventListener('mousemove', mousemoveHandler);
+        document.addEventListener('mouseup', mouseupHandler);
+        this.eventCleanupHandlers.push(() => transformWrapper.removeEventListener('mousedown', mousedownHandler));
+        this.eventCleanupHandlers.push(() => viewport.removeEventListener('mousedown', viewportMousedownHandler));
+        this.eventCleanupHandlers.push(() => document.removeEventListener('mousemove', mousemoveHandler));
+        this.eventCleanupHandlers.push(() => document.removeEventListener('mouseup', mouseupHandler));
+    }
+
+    toCanvasPoint(viewport, e) {
+        const bounds = viewport.getBoundingClientRect();
+        const { panX, panY, zoomLevel } = this.callbacks.getZoomPan();
+        return this.utils.viewportToCanvas(e.clientX - bounds.left, e.clientY - bounds.top, panX, panY, zoomLevel);
+    }
+
+    setHoveredNode(node) {
+        if (node === this.hoveredNode) return;
+        this.hoveredNode?.element.classList.remove('flowy-node--link-target');
+        node?.element.classList.add('flowy-node--link-target');
+        this.hoveredNode = node;
+    }
+
+    /**
+     * Dashed line from the side of the source node nearest to the cursor
+     */
+    showPreview(point) {
+        if (!this.preview) {
+            this.preview = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            this.preview.classList.add('cross-link-preview');
+            this.callbacks.getSvg().appendChild(this.preview);
+        }
+        
+        const element = this.sourceNode.element;
+        const left = parseFloat(element.style.left);
+        const startX = point.x < left + this.TREE_CONFIG.nodeWidth / 2 ? left : left + this.TREE_CONFIG.nodeWidth;
+        const startY = parseFloat(element.style.top) + (element.offsetHeight || this.TREE_CONFIG.nodeHeight) / 2;
+        this.preview.setAttribute('d', `M ${startX} ${startY} L ${point.x} ${point.y}`);
+    }
+
+    /**
+     * Abort a link drag in progress
+     */
+    cancel() {
+        this.setHoveredNode(null);
+        this.preview?.remove();
+        this.preview = null;
+        this.sourceNode = null;
+    }
+
+    cleanup() {
+        this.eventCleanupHandlers.forEach(cleanup => cleanup());
+        this.eventCleanupHandlers = [];
+        this.cancel();
+    }
+}
@@ -26,6 +26,7 @@
  * This module handles:
  * - Component dragging from toolbox to canvas
  * - Node repositioning within the tree
+ * - Sibling reordering via before/after drop zones
  * - Drop target validation and highlighting
  * - Visual feedback (ghost elements)
  * 
@@ -63,10 +64,13 @@ export class FlowyDragDrop {
         this.isDragging = false;
         this.isDraggingNode = false;
         this.currentHoveredNode = null;
+        this.currentDropTarget = null; // { node, position, parent, index } - where the current drag would land
+        this.insertionIndicator = null;
         
         // Performance constants
         this.HOVER_CHECK_INTERVAL = 50; // ms - limits hover checks to 20fps (prevents excessive DOM queries during drag)
         this.DRAG_START_THRESHOLD = 5; // pixels - prevents accidental drags from clicks, improves UX
+        this.SIBLING_ZONE_RATIO = 0.25; // outer quarter of a node's width drops before/after it instead of under
         
         // Event listener cleanup
         this.nodeEventCleanupHandlers = new Map();
@@ -82,12 +86,12 @@ export class FlowyDragDrop {
      * 3. mouseup: Attempts drop, creates root if no target, resets state
      * 
      * @param {Function} createRootNodeCallback - Called when dropping on empty canvas
-     * @param {Function} addChildToNodeCallback - Called when dropping on existing node
+     * @param {Function} addChildToNodeCallback - Called with (parent, component, dropTarget) when dropping on or beside an existing node
      * @param {Function} getZoomPan - Returns current zoom/pan state for coordinate transforms
      * @example
      * dragDrop.setupComponentDragging(
      *   (component) => this.createRootNode(component),
-     *   (parent, component) => this.addChildToNode(parent, component),
+     *   (parent, component, dropTarget) => this.addChildToNode(parent, component, false, dropTarget),
      *   () => ({ panX: this.panX, panY: this.panY, zoomLevel: this.zoomLevel })
      * );
      */
@@ -180,7 +184,7 @@ export class FlowyDragDrop {
      * 
      * @param {HTMLElement} element - The node DOM element
      * @param {Object} nodeData - Node data with id, name, parent, children
-     * @param {Function} moveNodeToParentCallback - Called to execute the move operation
+     * @param {Function} moveNodeToParentCallback - Called with (node, newParent, dropTarget) to execute the move
      */
     setupNodeDragging(element, nodeData, moveNodeToParentCallback) {
         const mousedownHandler = (e) => {
@@ -190,8 +194,11 @@ export class FlowyDragDrop {
                 return;
             }
             
-            // Prevent dragging from arrow buttons
-            if (e.target.closest('.arrow-btn')) return;
+            // Only the primary button drags (right-click opens the context menu)
+            if (e.button !== 0) return;
+            
+            // Prevent dragging from arrow buttons, the collapse toggle, the title editor and the link handle
+            if (e.target.closest('.arrow-btn, .node-collapse-toggle, .node-title-input, .node-link-handle')) return;
             
             // Check if node is draggable
             if (nodeData.isDraggable === false) {
@@ -416,110 +423,220 @@ export class FlowyDragDrop {
     }
 
     highlightHoveredNode(mouseX, mouseY, panX, panY, zoomLevel) {
-        const hoveredNode = this.utils.getNodeAtPosition(mouseX, mouseY, this.canvasId, this.getAllNodes(), panX, panY, zoomLevel);
-        
-        this.clearAllHighlights();
-        
-        // Only highlight if the node can have children
-        if (hoveredNode && hoveredNode.canHaveChildren !== false) {
-            this.highlightNodeConnector(hoveredNode);
-        }
+        const target = this.getDropTargetAtPosition(mouseX, mouseY, panX, panY, zoomLevel);
         
-        // Only set as valid drop target if it can have children
-        this.currentHoveredNode = (hoveredNode && hoveredNode.canHaveChildren !== false) ? hoveredNode : null;
+        // Components have no position in the tree yet, so only structural rules apply
+        this.setDropTarget(target && !this.getDropRejectionReason(target, null) ? target : null);
     }
 
     /**
      * Synchronous highlight for mousemove - no C# validation
      */
     highlightHoveredNodeForDragSync(mouseX, mouseY, draggedNodeData) {
-        const hoveredNode = this.getValidDropTargetNodeSync(mouseX, mouseY, draggedNodeData);
-        
-        this.clearAllHighlights();
-        
-        if (hoveredNode) {
-            this.highlightNodeConnector(hoveredNode);
-        }
-        
-        this.currentHoveredNode = hoveredNode;
+        this.setDropTarget(this.getValidDropTargetSync(mouseX, mouseY, draggedNodeData));
     }
 
     /**
      * Async highlight with validation for final drop
      */
     async highlightHoveredNodeForDrag(mouseX, mouseY, draggedNodeData) {
-        const hoveredNode = await this.getValidDropTargetNode(mouseX, mouseY, draggedNodeData);
-        
+        this.setDropTarget(await this.getValidDropTarget(mouseX, mouseY, draggedNodeData));
+    }
+
+    /**
+     * Stores the current drop target and shows its visual feedback:
+     * the output connector for 'under', the insertion indicator for 'before'/'after'
+     */
+    setDropTarget(target) {
         this.clearAllHighlights();
         
-        if (hoveredNode) {
-            this.highlightNodeConnector(hoveredNode);
+        if (target) {
+            if (target.position === 'under') {
+                this.highlightNodeConnector(target.node, target.portId);
+            } else {
+                this.showInsertionIndicator(target);
+            }
         }
         
-        this.currentHoveredNode = hoveredNode;
+        this.currentDropTarget = target;
+        this.currentHoveredNode = target ? target.node : null;
+    }
+
+    /**
+     * Finds the node and drop zone under the cursor.
+     * 
+     * Drop zones:
+     * - Centre of a node: 'under' (appended as its last child)
+     * - Outer SIBLING_ZONE_RATIO of a node's width, or the gap beside it
+     *   (up to half the horizontal spacing): 'before'/'after' it as a sibling.
+     *   In a left-right or right-left tree siblings are stacked vertically, so
+     *   these are the top and bottom of the node and the gaps above and below it.
+     * 
+     * The root has no siblings, so it only offers the 'under' zone.
+     * On a node with several output ports the 'under' zone is split evenly
+     * between the ports; sibling drops take the port of the reference node.
+     * 
+     * @returns {{node: Object, position: string, parent: Object, index: number, portId: string|null}|null}
+     *   node is the reference node, parent the node that receives the drop,
+     *   index the position among parent's children once the drop is done and
+     *   portId the parent's output port (null for nodes without ports)
+     */
+    getDropTargetAtPosition(mouseX, mouseY, panX, panY, zoomLevel) {
+        const viewport = this.utils.getViewport(this.canvasId);
+        if (!viewport) return null;
+        
+        const rect = viewport.getBoundingClientRect();
+        const point = this.utils.viewportToCanvas(mouseX - rect.left, mouseY - rect.top, panX, panY, zoomLevel);
+        const horizontal = this.utils.isHorizontalOrientation();
+        const gap = this.TREE_CONFIG.horizontalSpacing / 2;
+        const nodes = this.getAllNodes();
+        
+        // Siblings sit side by side across the tree: along x when top-down or
+        // bottom-up, along y when the tree runs left-right or right-left
+        const cross = horizontal ? point.y : point.x;
+        const along = horizontal ? point.x : point.y;
+        
+        let zone = null;
+        for (const node of nodes) {
+            const nodeWidth = this.TREE_CONFIG.nodeWidth;
+            const nodeHeight = this.utils.getNodeHeight(node.element);
+            const breadth = horizontal ? nodeHeight : nodeWidth;
+            const depth = horizontal ? nodeWidth : nodeHeight;
+            const alongOffset = along - (horizontal ? node.x : node.y);
+            if (alongOffset < 0 || alongOffset > depth) continue;
+            
+            const offset = cross - (horizontal ? node.y : node.x);
+            if (offset >= 0 && offset <= breadth) {
+                // A node's own area wins over a neighbour's gap
+                const sideZone = node.parent ? breadth * this.SIBLING_ZONE_RATIO : 0;
+                const position = offset < sideZone ? 'before' : offset > breadth - sideZone ? 'after' : 'under';
+                zone = { node, position };
+                if (position === 'under') {
+                    // Stretch the centre zone over the full edge to pick a port
+                    zone.portId = this.utils.getPortAtOffset(node.element, (offset - sideZone) / (breadth - 2 * sideZone) * breadth);
+                }
+                break;
+            }
+            if (!zone && node.parent && offset >= -gap && offset <= breadth + gap) {
+                zone = { node, position: offset < 0 ? 'before' : 'after' };
+            }
+        }
+        if (!zone) return null;
+        
+        const parent = zone.position === 'under' ? zone.node : zone.node.parent;
+        const portId = zone.position === 'under' ? zone.portId : zone.node.portId;
+        const index = zone.position === 'under'
+            ? this.getPortInsertionIndex(parent, portId, this.draggedNode)
+            : this.getInsertionIndex(zone.node, zone.position, this.draggedNode);
+        return { node: zone.node, position: zone.position, parent, index, portId: portId ?? null };
+    }
+
+    /**
+     * Index among the reference node's siblings at which a node dropped
+     * 'before'/'after' it ends up. The moving node is left out of the count
+     * because it is detached from its old position first.
+     * @param {Object} reference - Sibling to insert next to
+     * @param {string} position - 'before' or 'after'
+     * @param {Object|null} movingNode - Existing node being moved, if any
+     * @returns {number}
+     */
+    getInsertionIndex(reference, position, movingNode = null) {
+        const siblings = reference.parent.children.filter(child => child !== movingNode);
+        const referenceIndex = siblings.indexOf(reference);
+        return position === 'before' ? referenceIndex : referenceIndex + 1;
+    }
+
+    /**
+     * Index at which a node dropped 'under' a parent ends up: after the last
+     * child on the same or an earlier port, so children stay grouped by port.
+     * Without ports this is the end of the list.
+     * @param {Object} parent - Node that receives the drop
+     * @param {string|null} portId - Output port of the parent
+     * @param {Object|null} movingNode - Existing node being moved, if any
+     * @returns {number}
+     */
+    getPortInsertionIndex(parent, portId, movingNode = null) {
+        const siblings = parent.children.filter(child => child !== movingNode);
+        const ports = parent.ports || [];
+        if (ports.length === 0) return siblings.length;
+        
+        const portIndex = (id) => Math.max(ports.findIndex(port => port.id === id), 0);
+        const targetPort = portIndex(portId);
+        let index = 0;
+        siblings.forEach((child, i) => {
+            if (portIndex(child.portId) <= targetPort) index = i + 1;
+        });
+        return index;
+    }
+
+    /**
+     * Client-side drop rules shared by hover feedback and the final drop
+     * 
+     * Validation rules:
+     * 1. Cannot drop onto or next to self
+     * 2. Cannot drop into own subtree (would create cycle)
+     * 3. Cannot drop under the current parent and port, or back into the same slot (no-op)
+     * 4. Receiving parent must accept children (canHaveChildren)
+     * 5. Cannot drop under an additional parent of the node (graph mode - the edge already exists)
+     * 
+     * @param {Object} target - Drop target from getDropTargetAtPosition
+     * @param {Object|null} draggedNodeData - Node being moved, or null for a new component
+     * @returns {string|null} Reason the drop is not allowed, or null if it is
+     */
+    getDropRejectionReason(target, draggedNodeData) {
+        const { node, position, parent, index } = target;
+        
+        if (parent.canHaveChildren === false) return 'target cannot have children';
+        if (!draggedNodeData) return null;
+        
+        if (node.id === draggedNodeData.id) return 'cannot drop onto self';
+        if (parent.id === draggedNodeData.id || this.isDescendant(draggedNodeData, parent)) return 'cannot drop onto descendant';
+        if (draggedNodeData.additionalParents?.includes(parent)) return 'already linked to target';
+        if (draggedNodeData.parent && draggedNodeData.parent.id === parent.id) {
+            const samePort = (draggedNodeData.portId ?? null) === target.portId;
+            if (position === 'under' && samePort) return 'already child of target';
+            if (samePort && draggedNodeData.parent.children.indexOf(draggedNodeData) === index) return 'already at this position';
+        }
+        return null;
     }
 
     /**
      * Synchronous validation for mousemove - no C# callback
      */
-    getValidDropTargetNodeSync(mouseX, mouseY, draggedNodeData) {
-        const nodeAtPosition = this.utils.getNodeAtPosition(mouseX, mouseY, this.canvasId, this.getAllNodes(), 
-            this.getZoomPan().panX, this.getZoomPan().panY, this.getZoomPan().zoomLevel);
-        if (!nodeAtPosition) return null;
-        
-        // Basic client-side validation
-        if (nodeAtPosition.id === draggedNodeData.id) return null;
-        if (this.isDescendant(draggedNodeData, nodeAtPosition)) return null;
-        if (draggedNodeData.parent && draggedNodeData.parent.id === nodeAtPosition.id) return null;
-        if (nodeAtPosition.canHaveChildren === false) return null;
-        
-        return nodeAtPosition;
+    getValidDropTargetSync(mouseX, mouseY, draggedNodeData) {
+        const { panX, panY, zoomLevel } = this.getZoomPan();
+        const target = this.getDropTargetAtPosition(mouseX, mouseY, panX, panY, zoomLevel);
+        if (!target) return null;
+        
+        return this.getDropRejectionReason(target, draggedNodeData) ? null : target;
     }
 
     /**
      * Async validation with C# callback for final drop
      * 
-     * Validation rules:
-     * 1. Cannot drop onto self
-     * 2. Cannot drop onto own descendant (would create cycle)
-     * 3. Cannot drop onto current parent (no-op)
-     * 4. Cannot drop onto node that cannot have children (canHaveChildren=false)
-     * 5. Custom C# validation via ValidateDropTarget callback
+     * Applies the client-side rules (see getDropRejectionReason), then custom
+     * C# validation via ValidateDropTarget with the real position: 'under' the
+     * target, or 'before'/'after' it as a sibling.
      * 
      * @param {number} mouseX - Mouse X coordinate in viewport
      * @param {number} mouseY - Mouse Y coordinate in viewport
      * @param {Object} draggedNodeData - The node being dragged
-     * @returns {Object|null} Valid drop target node or null
+     * @returns {Object|null} Valid drop target or null
      */
-    async getValidDropTargetNode(mouseX, mouseY, draggedNodeData) {
-        const nodeAtPosition = this.utils.getNodeAtPosition(mouseX, mouseY, this.canvasId, this.getAllNodes(), 
-            this.getZoomPan().panX, this.getZoomPan().panY, this.getZoomPan().zoomLevel);
-        if (!nodeAtPosition) {
+    async getValidDropTarget(mouseX, mouseY, draggedNodeData) {
+        const { panX, panY, zoomLevel } = this.getZoomPan();
+        const target = this.getDropTargetAtPosition(mouseX, mouseY, panX, panY, zoomLevel);
+        if (!target) {
             this.console.log('DRAG', `No node at position`, { x: mouseX, y: mouseY });
             return null;
         }
         
-        if (nodeAtPosition.id === draggedNodeData.id) {
-            this.console.log('DRAG', `Drop validation failed: cannot drop onto self`, { node: draggedNodeData.name });
-            return null;
-        }
-        if (this.isDescendant(draggedNodeData, nodeAtPosition)) {
-            this.console.log('DRAG', `Drop validation failed: cannot drop onto descendant`, { 
+        const reason = this.getDropRejectionReason(target, draggedNodeData);
+        if (reason) {
+            this.console.log('DRAG', `Drop validation failed: ${reason}`, { 
                 dragged: draggedNodeData.name, 
-                target: nodeAtPosition.name 
-            });
-            return null;
-        }
-        if (draggedNodeData.parent && draggedNodeData.parent.id === nodeAtPosition.id) {
-            this.console.log('DRAG', `Drop validation failed: already child of target`, { 
-                node: draggedNodeData.name, 
-                parent: nodeAtPosition.name 
-            });
-            return null;
-        }
-        if (nodeAtPosition.canHaveChildren === false) {
-            this.console.log('DRAG', `Drop validation failed: target cannot have children`, { 
-                target: nodeAtPosition.name 
+                target: target.node.name,
+                position: target.position
             });
             return null;
         }
@@ -530,14 +647,16 @@ export class FlowyDragDrop {
                 const isValid = await this.dotNetRef.invokeMethodAsync(
                     'ValidateDropTarget',
                     draggedNodeData.id,
-                    nodeAtPosition.id,
-                    'under' // Position is always 'under' for drop target validation
+                    target.node.id,
+                    target.position,
+                    target.portId
                 );
                 
                 if (!isValid) {
                     this.console.log('DRAG', `Drop validation failed: custom validation rejected`, { 
                         dragged: draggedNodeData.name, 
-                        target: nodeAtPosition.name 
+                        target: target.node.name,
+                        position: target.position
                     });
                     return null;
                 }
@@ -549,26 +668,33 @@ export class FlowyDragDrop {
         
         this.console.log('DRAG', `Valid drop target found`, { 
             dragged: draggedNodeData.name, 
-            target: nodeAtPosition.name 
+            target: target.node.name,
+            position: target.position,
+            index: target.index
         });
-        return nodeAtPosition;
+        return target;
     }
 
     /**
      * Check if a node is a descendant of another node (prevents circular references).
      * 
-     * Walks up the parent chain from 'node' checking if 'ancestor' is encountered.
-     * This prevents invalid drops that would create cycles in the tree.
+     * Walks up every parent edge from 'node' - the tree parent and, in graph mode,
+     * the additional parents - checking if 'ancestor' is encountered.
+     * This prevents invalid drops and links that would create cycles.
      * 
      * @param {Object} ancestor - Potential ancestor node
      * @param {Object} node - Node to check
      * @returns {boolean} True if node is a descendant of ancestor
      */
     isDescendant(ancestor, node) {
-        let current = node.parent;
-        while (current) {
+        const visited = new Set();
+        const pending = this.utils.getParents(node);
+        while (pending.length > 0) {
+            const current = pending.pop();
             if (current.id === ancestor.id) return true;
-            current = current.parent;
+            if (visited.has(current)) continue;
+            visited.add(current);
+            pending.push(...this.utils.getParents(current));
         }
         return false;
     }
@@ -577,22 +703,70 @@ export class FlowyDragDrop {
         document.querySelectorAll('.node-connector-out').forEach(connector => {
             connector.classList.remove('drop-target-active');
         });
+        if (this.insertionIndicator) {
+            this.insertionIndicator.remove();
+            this.insertionIndicator = null;
+        }
     }
 
-    highlightNodeConnector(node) {
-        const connector = node.element.querySelector('.node-connector-out');
+    highlightNodeConnector(node, portId = null) {
+        const connector = [...node.element.querySelectorAll('.node-connector-out')]
+            .find(c => !portId || c.dataset.portId === portId);
         if (connector) {
             connector.classList.add('drop-target-active');
         }
     }
 
+    /**
+     * Draws a vertical bar (horizontal in a left-right or right-left tree) in the
+     * gap where a 'before'/'after' drop will insert.
+     * The bar sits halfway to the neighbouring sibling (or half the spacing if
+     * there is none) and lives in the transform wrapper so it follows zoom/pan.
+     */
+    showInsertionIndicator(target) {
+        const transformWrapper = document.getElementById(`${this.canvasId}-transform`);
+        if (!transformWrapper) return;
+        
+        const { node, position } = target;
+        const horizontal = this.utils.isHorizontalOrientation();
+        // Start and extent of a node across the siblings
+        const start = (n) => horizontal ? n.y : n.x;
+        const breadth = (n) => horizontal ? this.utils.getNodeHeight(n.element) : this.TREE_CONFIG.nodeWidth;
+        const siblings = node.parent.children;
+        const neighbour = siblings[siblings.indexOf(node) + (position === 'before' ? -1 : 1)];
+        
+        let offset;
+        if (position === 'before') {
+            offset = neighbour ? (start(neighbour) + breadth(neighbour) + start(node)) / 2 : start(node) - this.TREE_CONFIG.horizontalSpacing / 2;
+        } else {
+            offset = neighbour ? (start(node) + breadth(node) + start(neighbour)) / 2 : start(node) + breadth(node) + this.TREE_CONFIG.horizontalSpacing / 2;
+        }
+        
+        this.insertionIndicator = document.createElement('div');
+        this.insertionIndicator.className = 'flowy-insertion-indicator';
+        if (horizontal) {
+            // Siblings are stacked: draw a horizontal bar between them
+            this.insertionIndicator.classList.add('flowy-insertion-indicator--horizontal');
+            this.insertionIndicator.style.left = `${node.x}px`;
+            this.insertionIndicator.style.top = `${offset}px`;
+            this.insertionIndicator.style.width = `${this.TREE_CONFIG.nodeWidth}px`;
+        } else {
+            this.insertionIndicator.style.left = `${offset}px`;
+            this.insertionIndicator.style.top = `${node.y}px`;
+            this.insertionIndicator.style.height = `${this.utils.getNodeHeight(node.element)}px`;
+        }
+        transformWrapper.appendChild(this.insertionIndicator);
+    }
+
     async handleDrop(mouseX, mouseY, addChildToNodeCallback) {
-        if (this.currentHoveredNode) {
+        if (this.currentDropTarget) {
             this.console.log('DRAG', `Executing component drop`, { 
                 component: this.draggedComponent.name,
-                parent: this.currentHoveredNode.name 
+                parent: this.currentDropTarget.parent.name,
+                position: this.currentDropTarget.position,
+                index: this.currentDropTarget.index
             });
-            await addChildToNodeCallback(this.currentHoveredNode, this.draggedComponent);
+            await addChildToNodeCallback(this.currentDropTarget.parent, this.draggedComponent, this.currentDropTarget);
         } else {
             this.console.log('DRAG', `Component drop skipped: no valid target`);
         }
@@ -600,15 +774,17 @@ export class FlowyDragDrop {
 
     async handleNodeDrop(mouseX, mouseY, draggedNodeData, moveNodeToParentCallback) {
         // Re-validate with C# callback before final drop
-        const validTarget = await this.getValidDropTargetNode(mouseX, mouseY, draggedNodeData);
+        const validTarget = await this.getValidDropTarget(mouseX, mouseY, draggedNodeData);
         
         if (validTarget) {
             this.console.log('DRAG', `Executing node drop`, { 
                 node: draggedNodeData.name,
-                newParent: validTarget.name,
-                oldParent: draggedNodeData.parent?.name || 'root'
+                newParent: validTarget.parent.name,
+                oldParent: draggedNodeData.parent?.name || 'root',
+                position: validTarget.position,
+                index: validTarget.index
             });
-            await moveNodeToParentCallback(draggedNodeData, validTarget);
+            await moveNodeToParentCallback(draggedNodeData, validTarget.parent, validTarget);
         } else {
             this.console.log('DRAG', `Node drop rejected: validation failed`);
         }
@@ -640,6 +816,7 @@ export class FlowyDragDrop {
         this.draggedComponent = null;
         this.isDragging = false;
         this.currentHoveredNode = null;
+        this.currentDropTarget = null;
     }
 
     resetNodeDragState() {
@@ -663,6 +840,7 @@ export class FlowyDragDrop {
         this.draggedNode = null;
         this.isDraggingNode = false;
         this.currentHoveredNode = null;
+        this.currentDropTarget = null;
         this.dragStartPos = null;
         this.moveNodeCallback = null;
     }
@@ -0,0 +1,126 @@
+/**
+ * VIOVNL.Flowy.Blazor - Interactive Hierarchical Tree Builder
+ * Copyright (C) 2025 VIOVNL
+ * 
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * For commercial licensing, visit: https://viov.nl
+ */
+
+
+// Flowy Blazor Component - Droplet Flow Handle
+
+/**
+ * A running droplet flow that can be paused, resumed and stopped.
+ *
+ * The flow keeps its own clock: time stands still while it is paused, so
+ * droplets freeze in place and pending spawn delays wait. Stopping removes
+ * every droplet the flow still owns and resolves `done` with false;
+ * a flow that runs to the end resolves it with true.
+ *
+ * @example
+ * const flow = new FlowyFlow(crypto.randomUUID(), options);
+ * const start = flow.now();
+ * await flow.wait(150);    // 150ms of unpaused time
+ * flow.pause();
+ * flow.resume();
+ * flow.stop();             // removes droplets, resolves flow.done with false
+ */
+export class FlowyFlow {
+    /**
+     * Creates a new flow handle
+     * @param {string} id - Flow identifier returned to callers
+     * @param {Object} options - Normalized flow options
+     */
+    constructor(id, options) {
+        this.id = id;
+        this.options = options;
+        this.state = 'running'; // 'running' | 'paused' | 'stopped' | 'completed'
+        this.droplets = new Set(); // droplet elements currently on the canvas
+        this.pausedAt = null;
+        this.pausedTotal = 0; // ms spent paused, excluded from now()
+        this.done = new Promise(resolve => { this.resolveDone = resolve; });
+    }
+
+    get isStopped() {
+        return this.state === 'stopped';
+    }
+
+    get isFinished() {
+        return this.state === 'stopped' || this.state === 'completed';
+    }
+
+    // Flow time in ms - does not advance while paused
+    now() {
+        return (this.pausedAt ?? performance.now()) - this.pausedTotal;
+    }
+
+    pause() {
+        if (this.state !== 'running') return false;
+        this.state = 'paused';
+        this.pausedAt = performance.now();
+        return true;
+    }
+
+    resume() {
+        if (this.state !== 'paused') return false;
+        this.pausedTotal += performance.now() - this.pausedAt;
+        this.pausedAt = null;
+        this.state = 'running';
+        return true;
+    }
+
+    stop() {
+        if (this.isFinished) return false;
+        this.state = 'stopped';
+        this.droplets.forEach(droplet => droplet.remove());
+        this.droplets.clear();
+        this.resolveDone(false);
+        return true;
+    }
+
+    // Called when every droplet has arrived (ignored after stop)
+    complete() {
+        if (this.isFinished) return;
+        this.state = 'completed';
+        this.resolveDone(true);
+    }
+
+    addDroplet(droplet) {
+        this.droplets.add(droplet);
+    }
+
+    removeDroplet(droplet) {
+        this.droplets.delete(droplet);
+        droplet.remove();
+    }
+
+    /**
+     * Wait for an amount of flow time (resolves early when the flow stops)
+     * @param {number} ms - Unpaused milliseconds to wait
+     */
+    wait(ms) {
+        const start = this.now();
+        return new Promise(resolve => {
+            const tick = () => {
+                if (this.isStopped || this.now() - start >= ms) {
+                    resolve();
+                } else {
+                    requestAnimationFrame(tick);
+                }
+            };
+            tick();
+        });
+    }
+}
@@ -0,0 +1,296 @@
+/**
+ * VIOVNL.Flowy.Blazor - Interactive Hierarchical Tree Builder
+ * Copyright (C) 2025 VIOVNL
+ * 
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * For commercial licensing, visit: https://viov.nl
+ */
+
+
+// Flowy Blazor Component - Graph (DAG) Layout
+import { FlowyTreeLayout } from './flowy-tree-layout.js';
+
+/**
+ * Layered (Sugiyama-style) layout for graph mode, where a node can have
+ * several parents and the subtree-width tree layout no longer applies.
+ *
+ * Steps:
+ * 1. Layering - every node sits one layer below its lowest parent (longest path)
+ * 2. Dummy nodes - edges spanning several layers get a placeholder per crossed
+ *    layer, so the edge keeps a free channel
+ * 3. Ordering - barycenter sweeps (down, then up) reduce edge crossings,
+ *    starting from the tree order so siblings and ports keep their order
+ * 4. Coordinates - nodes move towards the average x of their neighbours
+ *    without overlapping, and the root is placed at rootX
+ *
+ * Collapsed nodes behave as in the tree layout: their tree descendants are
+ * hidden and parked on them. Like the tree layout, the graph is laid out
+ * top-down and turned into the configured orientation afterwards.
+ *
+ * @example
+ * const layout = new FlowyGraphLayout(TREE_CONFIG, utils, console);
+ * layout.calculateLayout(rootNode, TREE_CONFIG.rootX, TREE_CONFIG.rootY);
+ * layout.updateNodePositions(rootNode);
+ */
+export class FlowyGraphLayout extends FlowyTreeLayout {
+    /**
+     * Creates a new graph layout manager
+     * @param {Object} treeConfig - Tree configuration with spacing and dimensions
+     * @param {FlowyUtils} utils - Utility functions instance
+     * @param {FlowyConsole} console - Debug console instance
+     */
+    constructor(treeConfig, utils, console) {
+        super(treeConfig, utils, console);
+        this.CROSSING_SWEEPS = 4; // down+up barycenter passes for crossing reduction
+        this.POSITION_SWEEPS = 4; // down+up passes for x coordinate alignment
+        this.DUMMY_WIDTH = 20; // horizontal slot reserved for an edge crossing a layer
+    }
+
+    /**
+     * Children that take part in graph layout: visible tree children in port order,
+     * then the children linked through an additional parent edge
+     */
+    getGraphLayoutChildren(node) {
+        const linked = (node.additionalChildren || []).filter(child => !child.isHidden);
+        return [...this.getLayoutChildren(node), ...linked];
+    }
+
+    /**
+     * Position every visible node reachable from the root
+     * @param {Object} rootNode - Root node (placed at rootX, rootY)
+     * @param {number} rootX - Horizontal position of the root
+     * @param {number} rootY - Vertical position of the root
+     */
+    calculateLayout(rootNode, rootX, rootY) {
+        const nodes = this.collectNodes(rootNode);
+        const layers = this.buildLayers(nodes, this.assignLayers(nodes));
+        
+        this.reduceCrossings(layers);
+        this.assignCoordinates(layers);
+        
+        // Place the layers top-down and move the whole graph so the root sits at rootX
+        const offsetX = rootX - layers[0][0].x;
+        let y = rootY;
+        layers.forEach(layer => {
+            let spacing = 0;
+            layer.forEach(item => {
+                if (!item.node) return;
+                item.node.x = item.x + offsetX;
+                item.node.y = y;
+                spacing = Math.max(spacing, this.calculateVerticalSpacing(item.node));
+            });
+            y += spacing || this.calculateVerticalSpacing(null);
+        });
+        
+        nodes.filter(node => node.collapsed).forEach(node => this.stackHiddenDescendants(node));
+        
+        this.console.log('LAYOUT', `Graph layout calculated`, {
+            nodeCount: nodes.length,
+            layerCount: layers.length
+        });
+    }
+
+    /**
+     * Visible nodes in depth-first tree order (the starting order within each layer)
+     */
+    collectNodes(rootNode) {
+        const nodes = [];
+        const visited = new Set();
+        const visit = (node) => {
+            if (visited.has(node)) return;
+            visited.add(node);
+            nodes.push(node);
+            this.getGraphLayoutChildren(node).forEach(visit);
+        };
+        visit(rootNode);
+        return nodes;
+    }
+
+    /**
+     * Longest-path layering: a node goes one layer below its lowest parent
+     * @returns {Map<Object, number>} Layer index per node
+     */
+    assignLayers(nodes) {
+        const inDegree = new Map(nodes.map(node => [node, 0]));
+        nodes.forEach(node => this.getGraphLayoutChildren(node).forEach(child => {
+            inDegree.set(child, inDegree.get(child) + 1);
+        }));
+        
+        const layerOf = new Map(nodes.map(node => [node, 0]));
+        const queue = nodes.filter(node => inDegree.get(node) === 0);
+        let placed = 0;
+        while (queue.length > 0) {
+            const node = queue.shift();
+            placed++;
+            this.getGraphLayoutChildren(node).forEach(child => {
+                layerOf.set(child, Math.max(layerOf.get(child), layerOf.get(node) + 1));
+                inDegree.set(child, inDegree.get(child) - 1);
+                if (inDegree.get(child) === 0) queue.push(child);
+            });
+        }
+        
+        if (placed < nodes.length) {
+            // Cycles are rejected when edges are added - this only happens with corrupted data
+            this.console.log('ERROR', `Cycle detected in graph - ${nodes.length - placed} node(s) kept on their parent's layer`);
+        }
+        return layerOf;
+    }
+
+    /**
+     * Group nodes into layers and connect them, inserting a dummy item for
+     * every layer an edge passes through
+     * @returns {Array<Array<Object>>} Layers of items { node, width, up, down, rank, x }
+     */
+    buildLayers(nodes, layerOf) {
+        const layers = [];
+        const items = new Map();
+        const addItem = (layer, item) => {
+            while (layers.length <= layer) layers.push([]);
+            layers[layer].push(item);
+            return item;
+        };
+        
+        nodes.forEach((node, rank) => {
+            items.set(node, addItem(layerOf.get(node), { node, width: this.getNodeBreadth(node), up: [], down: [], rank, x: 0 }));
+        });
+        
+        nodes.forEach(node => this.getGraphLayoutChildren(node).forEach(child => {
+            let upper = items.get(node);
+            const target = items.get(child);
+            for (let layer = layerOf.get(node) + 1; layer < layerOf.get(child); layer++) {
+                // Dummies start next to the node the edge leads to
+                const dummy = addItem(layer, { node: null, width: this.DUMMY_WIDTH, up: [upper], down: [], rank: target.rank - 0.5, x: 0 });
+                upper.down.push(dummy);
+                upper = dummy;
+            }
+            upper.down.push(target);
+            target.up.push(upper);
+        }));
+        
+        layers.forEach(layer => layer.sort((a, b) => a.rank - b.rank));
+        return layers;
+    }
+
+    /**
+     * Reorder each layer by the barycenter of its neighbours in the layer above
+     * (downward sweep) and below (upward sweep), keeping the order with the
+     * fewest crossings
+     */
+    reduceCrossings(layers) {
+        const orderBy = (layer, neighbours) => {
+            const index = new Map();
+            layer.forEach((item, i) => {
+                const linked = neighbours(item);
+                index.set(item, linked.length > 0
+                    ? linked.reduce((sum, other) => sum + other.index, 0) / linked.length
+                    : i);
+            });
+            // Array.prototype.sort is stable, so ties keep the tree order
+            layer.sort((a, b) => index.get(a) - index.get(b));
+            layer.forEach((item, i) => { item.index = i; });
+        };
+        
+        layers.forEach(layer => layer.forEach((item, i) => { item.index = i; }));
+        let best = layers.map(layer => [...layer]);
+        let bestCrossings = this.countCrossings(layers);
+        
+        for (let sweep = 0; sweep < this.CROSSING_SWEEPS && bestCrossings > 0; sweep++) {
+            for (let l = 1; l < layers.length; l++) orderBy(layers[l], item => item.up);
+            for (let l = layers.length - 2; l >= 0; l--) orderBy(layers[l], item => item.down);
+            
+            const crossings = this.countCrossings(layers);
+            if (crossings < bestCrossings) {
+                bestCrossings = crossings;
+                best = layers.map(layer => [...layer]);
+            }
+        }
+        
+        best.forEach((layer, l) => {
+            layers[l] = layer;
+            layer.forEach((item, i) => { item.index = i; });
+        });
+    }
+
+    /**
+     * Number of edge crossings between neighbouring layers
+     */
+    countCrossings(layers) {
+        let crossings = 0;
+        for (let l = 0; l < layers.length - 1; l++) {
+            const edges = [];
+            layers[l].forEach(item => item.down.forEach(other => edges.push([item.index, other.index])));
+            for (let i = 0; i < edges.length; i++) {
+                for (let j = i + 1; j < edges.length; j++) {
+                    if ((edges[i][0] - edges[j][0]) * (edges[i][1] - edges[j][1]) < 0) crossings++;
+                }
+            }
+        }
+        return crossings;
+    }
+
+    /**
+     * Horizontal positions: pack each layer, then repeatedly pull items towards
+     * the average x of their neighbours above (down pass) and below (up pass)
+     */
+    assignCoordinates(layers) {
+        layers.forEach(layer => {
+            let x = 0;
+            layer.forEach((item, i) => {
+                if (i > 0) x += this.getSeparation(layer[i - 1], item);
+                item.x = x;
+            });
+        });
+        
+        const align = (layer, neighbours) => {
+            const desired = layer.map(item => {
+                const linked = neighbours(item);
+                return linked.length > 0 ? linked.reduce((sum, other) => sum + other.x, 0) / linked.length : item.x;
+            });
+            this.placeInOrder(layer, desired);
+        };
+        
+        for (let sweep = 0; sweep < this.POSITION_SWEEPS; sweep++) {
+            for (let l = 1; l < layers.length; l++) align(layers[l], item => item.up);
+            for (let l = layers.length - 2; l >= 0; l--) align(layers[l], item => item.down);
+        }
+    }
+
+    /**
+     * Move the items of a layer as close as possible to their desired x while keeping
+     * their order and minimum separation: the average of a left-to-right and a
+     * right-to-left packing, so neither side is favoured
+     */
+    placeInOrder(layer, desired) {
+        const fromLeft = [];
+        layer.forEach((item, i) => {
+            fromLeft[i] = i === 0 ? desired[i] : Math.max(desired[i], fromLeft[i - 1] + this.getSeparation(layer[i - 1], item));
+        });
+        
+        const fromRight = [];
+        for (let i = layer.length - 1; i >= 0; i--) {
+            fromRight[i] = i === layer.length - 1 ? desired[i] : Math.min(desired[i], fromRight[i + 1] - this.getSeparation(layer[i], layer[i + 1]));
+        }
+        
+        layer.forEach((item, i) => { item.x = (fromLeft[i] + fromRight[i]) / 2; });
+    }
+
+    /**
+     * Minimum distance between the centers of two neighbouring items
+     */
+    getSeparation(left, right) {
+        const gap = left.node && right.node ? this.TREE_CONFIG.horizontalSpacing : this.TREE_CONFIG.horizontalSpacing / 2;
+        return (left.width + right.width) / 2 + gap;
+    }
+}
@@ -0,0 +1,205 @@
+/**
+ * VIOVNL.Flowy.Blazor - Interactive Hierarchical Tree Builder
+ * Copyright (C) 2025 VIOVNL
+ * 
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * For commercial licensing, visit: https://viov.nl
+ */
+
+// Flowy Blazor Component - Undo/Redo History
+
+/**
+ * Command stack for undoable tree edits.
+ *
+ * Each recorded command carries its own inverse:
+ * - undo(): restores the tree to the state before the edit
+ * - redo(): re-applies the edit on top of the restored state
+ *
+ * Commands look nodes up by id when replayed, so they stay valid even if
+ * node objects are recreated (e.g. a removed subtree restored by undo).
+ *
+ * @example
+ * history.record({
+ *   label: 'move',
+ *   nodeId,
+ *   undo: () => this.relocateNode(nodeId, oldParentId, oldIndex),
+ *   redo: () => this.relocateNode(nodeId, newParentId, newIndex)
+ * });
+ */
+export class FlowyHistory {
+    /**
+     * Creates a new history stack
+     * @param {FlowyConsole} console - Debug console instance
+     * @param {number} limit - Maximum number of undo steps to keep
+     */
+    constructor(console, limit = 100) {
+        this.console = console;
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isReplaying = false; // True while undo/redo runs - mutations must not record themselves
+        this.pendingBatch = null; // Commands collected by batch() - recorded as one step when it finishes
+        this.onChangedCallback = null;
+    }
+
+    setChangedCallback(callback) {
+        this.onChangedCallback = callback;
+    }
+
+    /**
+     * Records a new command. Clears the redo stack (new branch of history).
+     * Ignored while a command is being replayed.
+     * @param {{label: string, nodeId: string, undo: Function, redo: Function}} command
+     */
+    record(command) {
+        if (this.isReplaying) return;
+        if (this.pendingBatch) {
+            this.pendingBatch.push(command);
+            return;
+        }
+
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+
+        this.console.log('HISTORY', `Recorded: ${command.label}`, {
+            nodeId: command.nodeId,
+            undoDepth: this.undoStack.length
+        });
+        this.notifyChanged();
+    }
+
+    /**
+     * Runs an action and records every command it produces as a single undo step
+     * (e.g. deleting or moving a multi-node selection). Batches may be nested.
+     * @param {string} label - Label for the combined command
+     * @param {Function} action - Sync or async function performing the edits
+     * @returns {Promise<*>} The action's result
+     */
+    async batch(label, action) {
+        if (this.isReplaying) return await action();
+
+        const outerBatch = this.pendingBatch;
+        const commands = [];
+        this.pendingBatch = commands;
+        try {
+            return await action();
+        } finally {
+            this.pendingBatch = outerBatch;
+            if (commands.length === 1) {
+                this.record(commands[0]);
+            } else if (commands.length > 1) {
+                this.record({
+                    label,
+                    nodeId: commands[0].nodeId,
+                    // Undo in reverse order so each step sees the state it was recorded against
+                    undo: async () => {
+                        for (const command of [...commands].reverse()) {
+                            if (await command.undo() === false) return false;
+                        }
+                        return true;
+                    },
+                    redo: async () => {
+                        for (const command of commands) {
+                            if (await command.redo() === false) return false;
+                        }
+                        return true;
+                    }
+                });
+            }
+        }
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0 && !this.isReplaying;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0 && !this.isReplaying;
+    }
+
+    /**
+     * Reverts the most recent command
+     * @returns {Promise<Object|null>} The reverted command, or null if nothing was undone
+     */
+    async undo() {
+        if (!this.canUndo()) return null;
+
+        const command = this.undoStack.pop();
+        const replayed = await this.replay(command, 'undo');
+        if (replayed) this.redoStack.push(command);
+        this.notifyChanged();
+        return replayed ? command : null;
+    }
+
+    /**
+     * Re-applies the most recently undone command
+     * @returns {Promise<Object|null>} The re-applied command, or null if nothing was redone
+     */
+    async redo() {
+        if (!this.canRedo()) return null;
+
+        const command = this.redoStack.pop();
+        const replayed = await this.replay(command, 'redo');
+        if (replayed) this.undoStack.push(command);
+        this.notifyChanged();
+        return replayed ? command : null;
+    }
+
+    /**
+     * Runs one direction of a command. If it fails (e.g. a referenced node was
+     * removed from C#), the history no longer matches the tree and is discarded.
+     */
+    async replay(command, direction) {
+        this.isReplaying = true;
+        try {
+            const result = await command[direction]();
+            if (result === false) {
+                throw new Error('Command could not be applied to the current tree');
+            }
+            this.console.log('HISTORY', `${direction === 'undo' ? 'Undid' : 'Redid'}: ${command.label}`, {
+                nodeId: command.nodeId,
+                undoDepth: this.undoStack.length,
+                redoDepth: this.redoStack.length
+            });
+            return true;
+        } catch (error) {
+            this.console.log('ERROR', `History ${direction} failed - clearing history`, {
+                label: command.label,
+                error: error.message
+            });
+            this.undoStack = [];
+            this.redoStack = [];
+            return false;
+        } finally {
+            this.isReplaying = false;
+        }
+    }
+
+    clear() {
+        if (this.undoStack.length === 0 && this.redoStack.length === 0) return;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.notifyChanged();
+    }
+
+    notifyChanged() {
+        if (this.onChangedCallback) {
+            this.onChangedCallback(this.canUndo(), this.canRedo());
+        }
+    }
+}
@@ -20,6 +20,7 @@
 
 // Flowy Blazor Component - JavaScript Interop Entry Point
 import { FlowyInstance } from './flowy-core.js';
+import { FlowyClipboard } from './flowy-clipboard.js';
 
 /** @type {Map<string, FlowyInstance>} */
 const instances = new Map();
@@ -151,6 +152,131 @@ export const FlowyInterop = {
         return false;
     },
 
+    /**
+     * Starts a droplet flow and returns its ID right away
+     * @param {string} canvasId - Canvas identifier
+     * @param {string} startNodeId - GUID of starting node
+     * @param {string} endNodeId - GUID of destination node
+     * @param {Object} options - { duration, dropletCount, dropletDelay, dropletDistance, easing, loop, rate, droplet }
+     * @returns {string|null} Flow ID, or null if no path was found
+     */
+    startFlow(canvasId, startNodeId, endNodeId, options) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.startFlow(startNodeId, endNodeId, options);
+        return null;
+    },
+
+    /**
+     * Sends droplets from a node to all its descendants, splitting at every fork
+     * (or with options.gather, from every leaf up to the node)
+     * @param {string} canvasId - Canvas identifier
+     * @param {string} nodeId - GUID of the node
+     * @param {Object} options - Flow options plus { gather, maxDepth, componentIds }
+     * @returns {Promise<boolean>} True when every branch finished
+     */
+    async broadcastFlow(canvasId, nodeId, options) {
+        const instance = instances.get(canvasId);
+        if (instance) return await instance.broadcastFlow(nodeId, options);
+        return false;
+    },
+
+    /**
+     * Starts a broadcast or gather flow and returns its ID right away
+     * @param {string} canvasId - Canvas identifier
+     * @param {string} nodeId - GUID of the node
+     * @param {Object} options - Flow options plus { gather, maxDepth, componentIds }
+     * @returns {string|null} Flow ID, or null if the node has no (matching) descendants
+     */
+    startBroadcastFlow(canvasId, nodeId, options) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.startBroadcastFlow(nodeId, options);
+        return null;
+    },
+
+    /**
+     * Stops a flow and removes its droplets
+     * @param {string} canvasId - Canvas identifier
+     * @param {string} flowId - Flow ID returned by startFlow
+     * @returns {boolean} False if the flow is not running or paused
+     */
+    stopFlow(canvasId, flowId) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.stopFlow(flowId);
+        return false;
+    },
+
+    pauseFlow(canvasId, flowId) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.pauseFlow(flowId);
+        return false;
+    },
+
+    resumeFlow(canvasId, flowId) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.resumeFlow(flowId);
+        return false;
+    },
+
+    /**
+     * Loads an execution trace for playback
+     * @param {string} canvasId - Canvas identifier
+     * @param {Array<Object>} trace - Visits: { nodeId, timestamp, status }
+     * @param {Object} options - { speed, maxTravelTime, droplet }
+     * @returns {number} Number of visits loaded
+     */
+    loadTrace(canvasId, trace, options) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.loadTrace(trace, options);
+        return 0;
+    },
+
+    playTrace(canvasId) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.playTrace();
+        return false;
+    },
+
+    pauseTrace(canvasId) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.pauseTrace();
+        return false;
+    },
+
+    /**
+     * Pauses the trace and moves to the next or previous visit
+     * @param {string} canvasId - Canvas identifier
+     * @param {number} direction - 1 for the next visit, -1 for the previous one
+     * @returns {string|null} Node ID of the visit moved to
+     */
+    stepTrace(canvasId, direction) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.stepTrace(direction);
+        return null;
+    },
+
+    /**
+     * Moves the trace cursor
+     * @param {string} canvasId - Canvas identifier
+     * @param {number} time - ms since the first visit
+     * @returns {boolean} False if no trace is loaded
+     */
+    seekTrace(canvasId, time) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.seekTrace(time);
+        return false;
+    },
+
+    setTraceSpeed(canvasId, speed) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.setTraceSpeed(speed);
+        return false;
+    },
+
+    clearTrace(canvasId) {
+        const instance = instances.get(canvasId);
+        if (instance) instance.clearTrace();
+    },
+
     addNode(canvasId, nodeData, skipNotification = false) {
         const instance = instances.get(canvasId);
         if (instance?.console) {
@@ -176,34 +302,383 @@ export const FlowyInterop = {
         const instance = instances.get(canvasId);
         if (!instance || !instance.rootNode) return null;
 
-        // Build complete tree structure matching C# FlowyTreeData format
-        const buildNodeStructure = (node) => {
-            return {
-                Id: node.id,
-                Name: node.name,
-                ComponentId: node.componentId,
-                Color: node.color,
-                ParentId: node.parent ? node.parent.id : null,
-                ChildrenIds: node.children.map(child => child.id),
-                IsDraggable: node.isDraggable !== false,
-                CanHaveChildren: true
-            };
-        };
-
-        const nodes = [];
-        const traverse = (node) => {
-            nodes.push(buildNodeStructure(node));
-            node.children.forEach(child => traverse(child));
-        };
-
-        traverse(instance.rootNode);
-
-        const treeData = {
-            RootNodeId: instance.rootNode.id,
-            Nodes: nodes
-        };
-
-        return JSON.stringify(treeData);
+        // Complete tree structure matching C# FlowyTreeData format
+        return JSON.stringify(instance.exportTreeStructure());
+    },
+
+    /**
+     * Replaces the canvas content with a whole tree in one call (single layout pass)
+     * @param {string} canvasId - Canvas identifier
+     * @param {string} treeDataJson - Tree in the exportTreeStructure() shape
+     * @returns {number} Number of nodes created
+     */
+    loadTree(canvasId, treeDataJson) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.loadTree(treeDataJson);
+        return 0;
+    },
+
+    /**
+     * Reverts the most recent tree edit (add, remove, move, promote, demote)
+     * @param {string} canvasId - Canvas identifier
+     * @returns {Promise<boolean>} True if an edit was undone
+     */
+    async undo(canvasId) {
+        const instance = instances.get(canvasId);
+        if (instance) return await instance.undo();
+        return false;
+    },
+
+    /**
+     * Re-applies the most recently undone tree edit
+     * @param {string} canvasId - Canvas identifier
+     * @returns {Promise<boolean>} True if an edit was redone
+     */
+    async redo(canvasId) {
+        const instance = instances.get(canvasId);
+        if (instance) return await instance.redo();
+        return false;
+    },
+
+    canUndo(canvasId) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.canUndo();
+        return false;
+    },
+
+    canRedo(canvasId) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.canRedo();
+        return false;
+    },
+
+    /**
+     * Replaces the selection with the given nodes
+     * @param {string} canvasId - Canvas identifier
+     * @param {string[]} nodeIds - GUIDs of nodes to select
+     * @returns {number} Number of nodes selected
+     */
+    selectNodes(canvasId, nodeIds) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.selectNodes(nodeIds);
+        return 0;
+    },
+
+    clearSelection(canvasId) {
+        const instance = instances.get(canvasId);
+        if (instance) instance.deselectNode();
+    },
+
+    getSelectedNodeIds(canvasId) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.getSelectedNodeIds();
+        return [];
+    },
+
+    /**
+     * Removes all selected nodes (and their subtrees) as one undo step
+     * @param {string} canvasId - Canvas identifier
+     * @returns {Promise<number>} Number of subtrees removed
+     */
+    async removeSelectedNodes(canvasId) {
+        const instance = instances.get(canvasId);
+        if (instance) return await instance.removeSelectedNodes();
+        return 0;
+    },
+
+    /**
+     * Highlights nodes whose name, componentId (or body text) contains the query and dims the rest
+     * @param {string} canvasId - Canvas identifier
+     * @param {string} query - Text to look for (empty clears the search)
+     * @param {Object} options - { includeBody, caseSensitive, matchComponentId, focusFirst }
+     * @returns {number} Number of matches
+     */
+    search(canvasId, query, options) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.search(query, options);
+        return 0;
+    },
+
+    searchNext(canvasId) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.searchNext();
+        return null;
+    },
+
+    searchPrevious(canvasId) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.searchPrevious();
+        return null;
+    },
+
+    clearSearch(canvasId) {
+        const instance = instances.get(canvasId);
+        if (instance) instance.clearSearch();
+    },
+
+    /**
+     * Changes a node's name, color, componentId, bodyHtml or flags without recreating it
+     * @param {string} canvasId - Canvas identifier
+     * @param {string} nodeId - Node GUID
+     * @param {Object} patch - Fields to change; omitted fields are left as they are
+     * @returns {boolean} True if the node was found
+     */
+    updateNode(canvasId, nodeId, patch) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.updateNode(nodeId, patch);
+        return false;
+    },
+
+    /**
+     * Adds an extra parent edge to a node (graph mode only)
+     * @param {string} canvasId - Canvas identifier
+     * @param {string} nodeId - Child node GUID
+     * @param {string} parentId - GUID of the node to add as parent
+     * @returns {boolean} False if graph mode is off or the edge would duplicate an edge or create a cycle
+     */
+    addParent(canvasId, nodeId, parentId) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.addParent(nodeId, parentId);
+        return false;
+    },
+
+    /**
+     * Removes a parent edge; removing the tree parent hands the node to its first additional parent
+     * @param {string} canvasId - Canvas identifier
+     * @param {string} nodeId - Child node GUID
+     * @param {string} parentId - GUID of the parent to remove
+     * @returns {boolean} False if the edge does not exist or is the node's only parent
+     */
+    removeParent(canvasId, nodeId, parentId) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.removeParent(nodeId, parentId);
+        return false;
+    },
+
+    /**
+     * Puts a parent/child connection in a visual state
+     * @param {string} canvasId - Canvas identifier
+     * @param {string} fromId - Parent node GUID
+     * @param {string} toId - Child node GUID
+     * @param {string|null} state - State name, or null to clear
+     * @returns {boolean} False if there is no connection between the nodes or the state is unknown
+     */
+    setConnectionState(canvasId, fromId, toId, state) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.setConnectionState(fromId, toId, state);
+        return false;
+    },
+
+    /**
+     * Sets the state of several connections at once
+     * @param {string} canvasId - Canvas identifier
+     * @param {Array<{fromId: string, toId: string, state: string|null}>} updates - Connection states
+     * @returns {number} Number of connections that were updated
+     */
+    setConnectionStates(canvasId, updates) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.setConnectionStates(updates);
+        return 0;
+    },
+
+    /**
+     * Sets the runtime status of a node (corner badge, border color, optional progress bar and tooltip)
+     * @param {string} canvasId - Canvas identifier
+     * @param {string} nodeId - Node GUID
+     * @param {string|null} status - 'idle', 'queued', 'running', 'success', 'warning', 'error', 'skipped', or null to clear
+     * @param {Object} options - { progress: 0-100, message: tooltip text }
+     * @returns {boolean} False if the node does not exist or the status is unknown
+     */
+    setNodeStatus(canvasId, nodeId, status, options) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.setNodeStatus(nodeId, status, options);
+        return false;
+    },
+
+    /**
+     * Sets the status of many nodes in one call
+     * @param {string} canvasId - Canvas identifier
+     * @param {Array<{nodeId: string, status: string|null, progress: number, message: string}>} updates - Node statuses
+     * @returns {number} Number of nodes that were updated
+     */
+    setNodeStatuses(canvasId, updates) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.setNodeStatuses(updates);
+        return 0;
+    },
+
+    clearNodeStatuses(canvasId) {
+        const instance = instances.get(canvasId);
+        if (instance) instance.clearNodeStatuses();
+    },
+
+    /**
+     * Adds a custom connection state backed by a CSS class
+     * @param {string} canvasId - Canvas identifier
+     * @param {string} state - State name
+     * @param {string} className - CSS class applied to the connection line
+     * @returns {boolean} False if the name or class is empty
+     */
+    registerConnectionState(canvasId, state, className) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.registerConnectionState(state, className);
+        return false;
+    },
+
+    /**
+     * Changes how connections are routed and stroked
+     * @param {string} canvasId - Canvas identifier
+     * @param {Object} style - { routing: 'bezier' | 'straight' | 'orthogonal' | 'elbow', stroke: 'parent' | 'child' | CSS color, width, dash, arrowhead, cornerRadius }
+     */
+    setEdgeStyle(canvasId, style) {
+        const instance = instances.get(canvasId);
+        if (instance) instance.setEdgeStyle(style);
+    },
+
+    /**
+     * Changes the direction from parent to child and lays the tree out again
+     * @param {string} canvasId - Canvas identifier
+     * @param {string} orientation - 'top-down' | 'bottom-up' | 'left-right' | 'right-left'
+     * @returns {boolean} False if the orientation is unknown or the canvas does not exist
+     */
+    setOrientation(canvasId, orientation) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.setOrientation(orientation);
+        return false;
+    },
+
+    /**
+     * Switches between the simple and the compact (contour-merging) tree layout
+     * @param {string} canvasId - Canvas identifier
+     * @param {string} mode - 'simple' | 'compact'
+     * @returns {boolean} False if the mode is unknown or the canvas does not exist
+     */
+    setLayoutMode(canvasId, mode) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.setLayoutMode(mode);
+        return false;
+    },
+
+    /**
+     * Sets the text label shown at the midpoint of a parent/child connection
+     * @param {string} canvasId - Canvas identifier
+     * @param {string} fromId - Parent node GUID
+     * @param {string} toId - Child node GUID
+     * @param {string|null} label - Label text (empty or null removes the label)
+     * @returns {boolean} False if there is no connection between the nodes
+     */
+    setConnectionLabel(canvasId, fromId, toId, label) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.setConnectionLabel(fromId, toId, label);
+        return false;
+    },
+
+    /**
+     * Adds a cross-link (reference edge outside the hierarchy) between two nodes
+     * @param {string} canvasId - Canvas identifier
+     * @param {Object} link - { id?, fromId, toId, type? }
+     * @param {boolean} skipNotification - Don't call NotifyCrossLinkAdded
+     * @returns {string|null} ID of the link, or null for a missing node, a self-link or a duplicate
+     */
+    addCrossLink(canvasId, link, skipNotification = false) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.addCrossLink(link, skipNotification);
+        return null;
+    },
+
+    /**
+     * Removes a cross-link
+     * @param {string} canvasId - Canvas identifier
+     * @param {string} linkId - Link ID
+     * @param {boolean} skipNotification - Don't call NotifyCrossLinkRemoved
+     * @returns {boolean} False if the link does not exist
+     */
+    removeCrossLink(canvasId, linkId, skipNotification = false) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.removeCrossLink(linkId, skipNotification);
+        return false;
+    },
+
+    getCrossLinks(canvasId) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.getCrossLinks();
+        return [];
+    },
+
+    setNodesColor(canvasId, nodeIds, color) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.setNodesColor(nodeIds, color);
+        return 0;
+    },
+
+    collapseNode(canvasId, nodeId) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.collapseNode(nodeId);
+        return false;
+    },
+
+    expandNode(canvasId, nodeId) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.expandNode(nodeId);
+        return false;
+    },
+
+    expandAll(canvasId) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.expandAll();
+        return 0;
+    },
+
+    /**
+     * Shows only the given number of levels below the root, collapsing deeper nodes
+     * @param {string} canvasId - Canvas identifier
+     * @param {number} depth - Visible levels below the root (0 = root only)
+     * @returns {number} Number of nodes whose collapsed state changed
+     */
+    collapseToDepth(canvasId, depth) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.collapseToDepth(depth);
+        return 0;
+    },
+
+    /**
+     * Copies subtrees to the clipboard shared by all canvases on the page
+     * @param {string} canvasId - Canvas identifier
+     * @param {string[]|null} nodeIds - Nodes to copy, or null for the current selection
+     * @returns {number} Number of subtrees copied
+     */
+    copyNodes(canvasId, nodeIds = null) {
+        const instance = instances.get(canvasId);
+        if (instance) return instance.copyNodes(nodeIds);
+        return 0;
+    },
+
+    async cutNodes(canvasId, nodeIds = null) {
+        const instance = instances.get(canvasId);
+        if (instance) return await instance.cutNodes(nodeIds);
+        return 0;
+    },
+
+    /**
+     * Pastes the clipboard as children of a node (fresh IDs, validated node by node)
+     * @param {string} canvasId - Canvas identifier
+     * @param {string|null} targetNodeId - Parent node, or null for the selected node (then the root)
+     * @returns {Promise<number>} Number of nodes pasted
+     */
+    async pasteNodes(canvasId, targetNodeId = null) {
+        const instance = instances.get(canvasId);
+        if (instance) return await instance.pasteNodes(targetNodeId);
+        return 0;
+    },
+
+    async duplicateNodes(canvasId, nodeIds = null) {
+        const instance = instances.get(canvasId);
+        if (instance) return await instance.duplicateNodes(nodeIds);
+        return 0;
+    },
+
+    hasClipboardContent() {
+        return FlowyClipboard.hasContent();
     },
 
     dispose(canvasId) {
@@ -0,0 +1,160 @@
+/**
+ * VIOVNL.Flowy.Blazor - Interactive Hierarchical Tree Builder
+ * Copyright (C) 2025 VIOVNL
+ * 
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * For commercial licensing, visit: https://viov.nl
+ */
+
+
+// Flowy Blazor Component - Keyboard Shortcuts
+
+/**
+ * Keyboard shortcuts scoped to a single canvas.
+ *
+ * Listens on the canvas viewport instead of the document, so several canvases
+ * on one page stay independent - shortcuts apply to the canvas that has focus.
+ * Keys typed into inputs inside node bodies are left alone.
+ *
+ * Bindings:
+ * - Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z, Ctrl/Cmd+Y: undo / redo
+ * - Ctrl/Cmd+C, X, V, D: copy / cut / paste / duplicate subtrees
+ * - Arrow Up / Down: select parent / first child
+ * - Arrow Left / Right: select previous / next sibling
+ * - Alt+Up / Alt+Down: promote / demote the selected node
+ * - Delete / Backspace: remove the selected node(s)
+ * - Enter: focus (center) the selected node
+ * - F2: rename the selected node
+ * - Escape: clear the selection
+ *
+ * Arrow keys follow the tree orientation: the key pointing at the parent
+ * selects it, e.g. Left / Right for parent / child in a left-right tree.
+ *
+ * @example
+ * const keyboard = new FlowyKeyboard(canvasId, utils, console);
+ * keyboard.setup({ undo, redo, copy, cut, paste, duplicate, navigate, promote, demote, remove, focus, deselect, rename });
+ */
+export class FlowyKeyboard {
+    /**
+     * Creates a new keyboard shortcut handler
+     * @param {string} canvasId - The canvas grid element ID
+     * @param {FlowyUtils} utils - Utility functions instance
+     * @param {FlowyConsole} console - Debug console instance
+     */
+    constructor(canvasId, utils, console) {
+        this.canvasId = canvasId;
+        this.utils = utils;
+        this.console = console;
+
+        // Arrow key to tree direction, per orientation
+        this.NAVIGATION_KEYS = {
+            'top-down': { ArrowUp: 'parent', ArrowDown: 'firstChild', ArrowLeft: 'previousSibling', ArrowRight: 'nextSibling' },
+            'bottom-up': { ArrowDown: 'parent', ArrowUp: 'firstChild', ArrowLeft: 'previousSibling', ArrowRight: 'nextSibling' },
+            'left-right': { ArrowLeft: 'parent', ArrowRight: 'firstChild', ArrowUp: 'previousSibling', ArrowDown: 'nextSibling' },
+            'right-left': { ArrowRight: 'parent', ArrowLeft: 'firstChild', ArrowUp: 'previousSibling', ArrowDown: 'nextSibling' }
+        };
+
+        // Event listener cleanup
+        this.eventCleanupHandlers = [];
+    }
+
+    /**
+     * Wires shortcuts to the viewport
+     * @param {Object} actions - Callbacks: undo, redo, copy, cut, paste, duplicate, navigate(direction),
+     *                           promote, demote, remove, focus, deselect, rename
+     */
+    setup(actions) {
+        const viewport = this.utils.getViewport(this.canvasId);
+        if (!viewport) return;
+
+        // Panning and node dragging call preventDefault() on mousedown, which also blocks
+        // the browser's focus handling - focus explicitly in the capture phase instead
+        // (but never steal focus from a text field, e.g. the inline title editor)
+        const focusHandler = (e) => {
+            if (e.target.closest('input, textarea, [contenteditable="true"]')) return;
+            viewport.focus({ preventScroll: true });
+        };
+
+        const keydownHandler = (e) => {
+            // Leave editing keys to text inputs inside node bodies
+            if (e.target.closest('input, textarea, [contenteditable="true"]')) return;
+
+            const action = this.resolveAction(e);
+            if (!action || !actions[action.name]) return;
+
+            e.preventDefault();
+            this.console.log('KEYBOARD', `Shortcut: ${action.name}`, { key: e.key, argument: action.argument });
+            actions[action.name](action.argument);
+        };
+
+        viewport.addEventListener('mousedown', focusHandler, true);
+        viewport.addEventListener('keydown', keydownHandler);
+        this.eventCleanupHandlers.push(() => viewport.removeEventListener('mousedown', focusHandler, true));
+        this.eventCleanupHandlers.push(() => viewport.removeEventListener('keydown', keydownHandler));
+    }
+
+    /**
+     * Map a keydown event to an action name (and optional argument)
+     * @returns {{name: string, argument?: string}|null}
+     */
+    resolveAction(e) {
+        const ctrl = e.ctrlKey || e.metaKey;
+
+        if (ctrl) {
+            if (e.altKey) return null;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) return { name: 'undo' };
+            if ((key === 'z' && e.shiftKey) || key === 'y') return { name: 'redo' };
+            if (e.shiftKey) return null;
+            if (key === 'c') return { name: 'copy' };
+            if (key === 'x') return { name: 'cut' };
+            if (key === 'v') return { name: 'paste' };
+            if (key === 'd') return { name: 'duplicate' };
+            return null;
+        }
+
+        const navigationKeys = this.NAVIGATION_KEYS[this.utils.TREE_CONFIG.orientation] || this.NAVIGATION_KEYS['top-down'];
+
+        if (e.altKey) {
+            // Alt + the key towards the parent promotes, towards the children demotes
+            if (navigationKeys[e.key] === 'parent') return { name: 'promote' };
+            if (navigationKeys[e.key] === 'firstChild') return { name: 'demote' };
+            return null;
+        }
+
+        if (navigationKeys[e.key] && !e.shiftKey) {
+            return { name: 'navigate', argument: navigationKeys[e.key] };
+        }
+
+        switch (e.key) {
+            case 'Delete':
+            case 'Backspace':
+                return { name: 'remove' };
+            case 'Enter':
+                return { name: 'focus' };
+            case 'Escape':
+                return { name: 'deselect' };
+            case 'F2':
+                return { name: 'rename' };
+            default:
+                return null;
+        }
+    }
+
+    cleanup() {
+        this.eventCleanupHandlers.forEach(cleanup => cleanup());
+        this.eventCleanupHandlers = [];
+    }
+}
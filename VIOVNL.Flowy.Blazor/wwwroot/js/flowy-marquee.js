@@ -0,0 +1,183 @@
+/**
+ * VIOVNL.Flowy.Blazor - Interactive Hierarchical Tree Builder
+ * Copyright (C) 2025 VIOVNL
+ * 
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * For commercial licensing, visit: https://viov.nl
+ */
+
+
+// Flowy Blazor Component - Marquee Selection
+
+/**
+ * Rubber-band (marquee) selection on empty canvas.
+ *
+ * Shift+drag on empty canvas draws a selection rectangle; every node it
+ * touches is selected on release. Holding Ctrl/Cmd as well adds to the
+ * current selection instead of replacing it. Plain drag keeps panning -
+ * FlowyZoomPan asks isMarqueeGesture() before starting a pan.
+ *
+ * @example
+ * const marquee = new FlowyMarquee(canvasId, utils, treeConfig, console);
+ * marquee.setup(() => zoomPan, () => nodes, (hits, additive) => select(hits, additive));
+ */
+export class FlowyMarquee {
+    /**
+     * Creates a new marquee selection handler
+     * @param {string} canvasId - The canvas grid element ID
+     * @param {FlowyUtils} utils - Utility functions instance
+     * @param {Object} treeConfig - Tree layout configuration
+     * @param {FlowyConsole} console - Debug console instance
+     */
+    constructor(canvasId, utils, treeConfig, console) {
+        this.canvasId = canvasId;
+        this.utils = utils;
+        this.TREE_CONFIG = treeConfig;
+        this.console = console;
+
+        this.isSelecting = false;
+        this.startX = 0;
+        this.startY = 0;
+        this.additive = false;
+        this.overlay = null;
+
+        this.MIN_MARQUEE_SIZE = 4; // pixels - smaller rectangles are treated as a click, not a selection
+
+        // Event listener cleanup
+        this.eventCleanupHandlers = [];
+    }
+
+    /**
+     * Whether a mousedown should start a marquee rather than a pan
+     * @param {MouseEvent} e - The mousedown event
+     */
+    isMarqueeGesture(e) {
+        return e.button === 0 &&
+            e.shiftKey &&
+            !e.target.closest('.flow-node') &&
+            !e.target.closest('.component-item');
+    }
+
+    /**
+     * Wires the marquee to the viewport
+     * @param {Function} getZoomPan - Returns the FlowyZoomPan instance (pan, zoom, space state)
+     * @param {Function} getNodes - Returns all canvas nodes
+     * @param {Function} onSelect - Called with (hitNodes, additive) when the marquee is released
+     */
+    setup(getZoomPan, getNodes, onSelect) {
+        const viewport = this.utils.getViewport(this.canvasId);
+        if (!viewport) return;
+
+        const mousedownHandler = (e) => {
+            if (getZoomPan().spacePressed || !this.isMarqueeGesture(e)) return;
+
+            e.preventDefault();
+            const point = this.toViewportPoint(viewport, e);
+            this.isSelecting = true;
+            this.startX = point.x;
+            this.startY = point.y;
+            this.additive = e.ctrlKey || e.metaKey;
+            this.showOverlay(viewport, this.startX, this.startY, 0, 0);
+        };
+
+        const mousemoveHandler = (e) => {
+            if (!this.isSelecting) return;
+            const rect = this.getRect(this.toViewportPoint(viewport, e));
+            this.showOverlay(viewport, rect.x, rect.y, rect.width, rect.height);
+        };
+
+        const mouseupHandler = (e) => {
+            if (!this.isSelecting) return;
+            this.isSelecting = false;
+            this.hideOverlay();
+
+            const rect = this.getRect(this.toViewportPoint(viewport, e));
+            if (rect.width < this.MIN_MARQUEE_SIZE && rect.height < this.MIN_MARQUEE_SIZE) return;
+
+            const hits = this.findNodesInRect(rect, getZoomPan(), getNodes());
+            this.console.log('SELECTION', `Marquee selected ${hits.length} node(s)`, {
+                additive: this.additive,
+                nodeIds: hits.map(n => n.id)
+            });
+            onSelect(hits, this.additive);
+        };
+
+        viewport.addEventListener('mousedown', mousedownHandler);
+        document.addEventListener('mousemove', mousemoveHandler);
+        document.addEventListener('mouseup', mouseupHandler);
+        this.eventCleanupHandlers.push(() => viewport.removeEventListener('mousedown', mousedownHandler));
+        this.eventCleanupHandlers.push(() => document.removeEventListener('mousemove', mousemoveHandler));
+        this.eventCleanupHandlers.push(() => document.removeEventListener('mouseup', mouseupHandler));
+    }
+
+    toViewportPoint(viewport, e) {
+        const bounds = viewport.getBoundingClientRect();
+        return { x: e.clientX - bounds.left, y: e.clientY - bounds.top };
+    }
+
+    // Normalized rectangle (viewport coordinates) between the drag start and the current point
+    getRect(point) {
+        return {
+            x: Math.min(this.startX, point.x),
+            y: Math.min(this.startY, point.y),
+            width: Math.abs(point.x - this.startX),
+            height: Math.abs(point.y - this.startY)
+        };
+    }
+
+    /**
+     * Find nodes intersecting a viewport-space rectangle
+     */
+    findNodesInRect(rect, zoomPan, nodes) {
+        const topLeft = this.utils.viewportToCanvas(rect.x, rect.y, zoomPan.panX, zoomPan.panY, zoomPan.zoomLevel);
+        const bottomRight = this.utils.viewportToCanvas(
+            rect.x + rect.width, rect.y + rect.height, zoomPan.panX, zoomPan.panY, zoomPan.zoomLevel
+        );
+
+        return nodes.filter(node => {
+            const nodeHeight = this.utils.getNodeHeight(node.element);
+            return node.x < bottomRight.x &&
+                node.x + this.TREE_CONFIG.nodeWidth > topLeft.x &&
+                node.y < bottomRight.y &&
+                node.y + nodeHeight > topLeft.y;
+        });
+    }
+
+    showOverlay(viewport, x, y, width, height) {
+        if (!this.overlay) {
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'flowy-marquee';
+            viewport.appendChild(this.overlay);
+        }
+        this.overlay.style.left = `${x}px`;
+        this.overlay.style.top = `${y}px`;
+        this.overlay.style.width = `${width}px`;
+        this.overlay.style.height = `${height}px`;
+    }
+
+    hideOverlay() {
+        if (this.overlay) {
+            this.overlay.remove();
+            this.overlay = null;
+        }
+    }
+
+    cleanup() {
+        this.eventCleanupHandlers.forEach(cleanup => cleanup());
+        this.eventCleanupHandlers = [];
+        this.isSelecting = false;
+        this.hideOverlay();
+    }
+}
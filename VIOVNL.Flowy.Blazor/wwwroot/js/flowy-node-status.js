@@ -0,0 +1,115 @@
+/**
+ * VIOVNL.Flowy.Blazor - Interactive Hierarchical Tree Builder
+ * Copyright (C) 2025 VIOVNL
+ * 
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * For commercial licensing, visit: https://viov.nl
+ */
+
+// Flowy Blazor Component - Node Status
+
+/**
+ * Runtime status visuals for nodes, e.g. while a workflow executes.
+ *
+ * A status adds a corner badge and a border color to the node
+ * (`flowy-node--status-<status>`), optionally with a progress bar along the
+ * bottom edge and a tooltip message on the badge. The status is kept on the
+ * node data (`node.status`); it is visual only and is not exported.
+ *
+ * @example
+ * const nodeStatus = new FlowyNodeStatus(console);
+ * nodeStatus.apply(node, 'running', { progress: 40, message: 'Fetching orders' });
+ * nodeStatus.apply(node, 'success');
+ * nodeStatus.apply(node, null); // clears the status
+ */
+export class FlowyNodeStatus {
+    /**
+     * Creates a new node status renderer
+     * @param {FlowyConsole} console - Debug console instance
+     */
+    constructor(console) {
+        this.console = console;
+
+        // Status -> badge glyph (running shows a CSS spinner instead)
+        this.STATUS_GLYPHS = new Map([
+            ['idle', ''],
+            ['queued', '…'],
+            ['running', ''],
+            ['success', '✓'],
+            ['warning', '!'],
+            ['error', '✕'],
+            ['skipped', '↷']
+        ]);
+    }
+
+    /**
+     * Sets or clears the status of a node
+     * @param {Object} node - Node data
+     * @param {string|null} status - 'idle', 'queued', 'running', 'success', 'warning', 'error', 'skipped', or null to clear
+     * @param {Object} options - { progress: 0-100 (null hides the bar), message: tooltip text }
+     * @returns {boolean} False if the status is unknown
+     */
+    apply(node, status, options = {}) {
+        if (status && !this.STATUS_GLYPHS.has(status)) {
+            this.console.log('ERROR', `Unknown node status "${status}"`, { nodeId: node.id });
+            return false;
+        }
+
+        // Update in place so the progress transition and the running spinner keep going
+        const element = node.element;
+        const previous = node.status?.status;
+        if (previous && previous !== status) element.classList.remove(`flowy-node--status-${previous}`);
+
+        if (!status) {
+            element.classList.remove('flowy-node--status');
+            element.querySelector('.node-status-badge')?.remove();
+            element.querySelector('.node-status-progress')?.remove();
+            node.status = null;
+            return true;
+        }
+
+        const progress = typeof options?.progress === 'number' && Number.isFinite(options.progress)
+            ? Math.min(Math.max(options.progress, 0), 100)
+            : null;
+        const message = options?.message || null;
+        node.status = { status, progress, message };
+        element.classList.add('flowy-node--status', `flowy-node--status-${status}`);
+
+        let badge = element.querySelector('.node-status-badge');
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'node-status-badge';
+            badge.setAttribute('role', 'status');
+            element.appendChild(badge);
+        }
+        badge.textContent = this.STATUS_GLYPHS.get(status);
+        badge.title = message || status;
+        badge.setAttribute('aria-label', message ? `${status}: ${message}` : status);
+
+        let bar = element.querySelector('.node-status-progress');
+        if (progress === null) {
+            bar?.remove();
+        } else {
+            if (!bar) {
+                bar = document.createElement('div');
+                bar.className = 'node-status-progress';
+                bar.innerHTML = '<div class="node-status-progress-bar"></div>';
+                element.appendChild(bar);
+            }
+            bar.firstChild.style.width = `${progress}%`;
+        }
+        return true;
+    }
+}
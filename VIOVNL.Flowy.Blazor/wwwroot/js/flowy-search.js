@@ -0,0 +1,135 @@
+/**
+ * VIOVNL.Flowy.Blazor - Interactive Hierarchical Tree Builder
+ * Copyright (C) 2025 VIOVNL
+ * 
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * For commercial licensing, visit: https://viov.nl
+ */
+
+
+
+// Flowy Blazor Component - Node Search
+
+/**
+ * Finds nodes by name, componentId and (optionally) body text.
+ *
+ * Matches are highlighted and every other node is dimmed until the search is
+ * cleared. next()/previous() step through the matches in tree order and return
+ * the node to fly to - the caller focuses it (FlowyZoomPan.focusItem), which
+ * also expands collapsed ancestors of hidden matches.
+ *
+ * @example
+ * const search = new FlowySearch(canvasId, console);
+ * const count = search.run(nodesInTreeOrder, 'sales', { includeBody: true });
+ * const node = search.next();
+ */
+export class FlowySearch {
+    /**
+     * Creates a new node search
+     * @param {string} canvasId - The canvas grid element ID
+     * @param {FlowyConsole} console - Debug console instance
+     */
+    constructor(canvasId, console) {
+        this.canvasId = canvasId;
+        this.console = console;
+
+        this.query = '';
+        this.matches = [];
+        this.currentIndex = -1;
+    }
+
+    /**
+     * Highlights the nodes matching a query and dims the rest.
+     * An empty query clears the search.
+     * @param {Array<Object>} nodes - Nodes to search, in navigation order
+     * @param {string} query - Text to look for
+     * @param {Object} options - { includeBody: false, caseSensitive: false, matchComponentId: true }
+     * @returns {number} Number of matches
+     */
+    run(nodes, query, options = {}) {
+        this.clear();
+        
+        this.query = (query || '').trim();
+        if (!this.query) return 0;
+        
+        const normalize = (text) => options.caseSensitive ? (text || '') : (text || '').toLowerCase();
+        const needle = normalize(this.query);
+        
+        this.matches = nodes.filter(node => {
+            if (normalize(node.name).includes(needle)) return true;
+            if (options.matchComponentId !== false && normalize(node.componentId).includes(needle)) return true;
+            if (options.includeBody) {
+                const body = node.element.querySelector('.node-body-html');
+                return normalize(body?.textContent).includes(needle);
+            }
+            return false;
+        });
+        
+        this.matches.forEach(node => node.element.classList.add('flowy-node--search-match'));
+        document.getElementById(this.canvasId)?.classList.add('flowy-searching');
+        
+        this.console.log('SEARCH', `Found ${this.matches.length} match(es) for "${this.query}"`, {
+            nodeIds: this.matches.map(n => n.id)
+        });
+        return this.matches.length;
+    }
+
+    /**
+     * Moves to the next match, wrapping around at the end
+     * @returns {Object|null} The match to focus, or null if there are none
+     */
+    next() {
+        return this.step(1);
+    }
+
+    /**
+     * Moves to the previous match, wrapping around at the start
+     * @returns {Object|null} The match to focus, or null if there are none
+     */
+    previous() {
+        return this.step(-1);
+    }
+
+    step(direction) {
+        const current = this.matches[this.currentIndex];
+        current?.element.classList.remove('flowy-node--search-current');
+        
+        // Drop matches whose node was removed since the search ran
+        this.matches = this.matches.filter(node => node.element.isConnected);
+        if (this.matches.length === 0) return null;
+        this.currentIndex = current ? this.matches.indexOf(current) : -1;
+        
+        const count = this.matches.length;
+        this.currentIndex = this.currentIndex < 0
+            ? (direction > 0 ? 0 : count - 1)
+            : (this.currentIndex + direction + count) % count;
+        
+        const node = this.matches[this.currentIndex];
+        node.element.classList.add('flowy-node--search-current');
+        return node;
+    }
+
+    /**
+     * Removes highlighting and dimming
+     */
+    clear() {
+        this.matches.forEach(node => node.element.classList.remove('flowy-node--search-match', 'flowy-node--search-current'));
+        document.getElementById(this.canvasId)?.classList.remove('flowy-searching');
+        
+        this.query = '';
+        this.matches = [];
+        this.currentIndex = -1;
+    }
+}
@@ -0,0 +1,318 @@
+/**
+ * VIOVNL.Flowy.Blazor - Interactive Hierarchical Tree Builder
+ * Copyright (C) 2025 VIOVNL
+ * 
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ * 
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ * 
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see <https://www.gnu.org/licenses/>.
+ * 
+ * For commercial licensing, visit: https://viov.nl
+ */
+
+// Flowy Blazor Component - Trace Player
+
+/**
+ * Replays a recorded execution trace - a list of node visits with timestamps
+ * and statuses - on the canvas.
+ *
+ * The player keeps a cursor in trace time (ms since the first visit). While
+ * playing, the cursor advances at `speed` times real time; every visit it
+ * passes highlights its node with the visit's status and sends a droplet
+ * toward the next visited node, timed to arrive with that visit. Seeking
+ * rebuilds the highlights up to the new time without droplets.
+ *
+ * Progress is reported through `onProgress` on every visit and state change,
+ * and every PROGRESS_INTERVAL ms while playing.
+ *
+ * @example
+ * const player = new FlowyTracePlayer(canvasId, connections, console);
+ * player.findNode = (id) => core.findNode(id);
+ * player.onProgress = (progress) => notify(progress);
+ * player.load([{ nodeId, timestamp: '2025-01-01T10:00:00Z', status: 'success' }, ...], { speed: 2 });
+ * player.play();
+ * player.seek(1500);
+ */
+export class FlowyTracePlayer {
+    /**
+     * Creates a new trace player
+     * @param {string} canvasId - The canvas grid element ID
+     * @param {FlowyConnections} connections - Connections instance that animates the droplets
+     * @param {FlowyConsole} console - Debug console instance
+     */
+    constructor(canvasId, connections, console) {
+        this.canvasId = canvasId;
+        this.connections = connections;
+        this.console = console;
+
+        // Set by the owner
+        this.findNode = () => null;
+        this.onProgress = () => {};
+
+        this.PROGRESS_INTERVAL = 250;
+        this.entries = [];      // { nodeId, time, status } sorted by time
+        this.options = null;
+        this.time = 0;          // cursor in trace time (ms)
+        this.index = 0;         // number of entries applied
+        this.state = 'idle';    // 'idle' | 'playing' | 'paused' | 'ended'
+        this.speed = 1;
+        this.highlighted = new Set(); // node elements carrying trace classes
+        this.flows = new Set(); // droplet flows started by the player
+        this.frame = null;
+        this.lastFrameAt = 0;
+        this.lastProgressAt = 0;
+    }
+
+    get duration() {
+        return this.entries.length > 0 ? this.entries[this.entries.length - 1].time : 0;
+    }
+
+    /**
+     * Loads a trace, replacing the current one. The cursor starts before the first visit.
+     * @param {Array<Object>} trace - Visits: { nodeId, timestamp, status }. Timestamps are
+     *   ms numbers or date strings; visits are played in timestamp order
+     * @param {Object} options - { speed: 1, maxTravelTime: 2000, droplet }
+     *   maxTravelTime caps how long a droplet takes between two visits (ms, real time)
+     * @returns {number} Number of visits loaded
+     */
+    load(trace, options = {}) {
+        this.clear();
+
+        const traceOptions = options || {};
+        const toMs = (timestamp) => typeof timestamp === 'number' ? timestamp : Date.parse(timestamp);
+        const visits = (trace || [])
+            .map(entry => ({ nodeId: entry.nodeId, timestamp: toMs(entry.timestamp), status: entry.status || null }))
+            .filter(entry => entry.nodeId && Number.isFinite(entry.timestamp))
+            .sort((a, b) => a.timestamp - b.timestamp);
+        const start = visits.length > 0 ? visits[0].timestamp : 0;
+
+        this.entries = visits.map(({ nodeId, timestamp, status }) => ({ nodeId, time: timestamp - start, status }));
+        this.options = {
+            maxTravelTime: typeof traceOptions.maxTravelTime === 'number' && traceOptions.maxTravelTime >= 0 ? traceOptions.maxTravelTime : 2000,
+            // One color for the whole trace, so its droplets stand apart from other flows
+            droplet: { ...traceOptions.droplet, color: traceOptions.droplet?.color || this.connections.pickDropletColor() }
+        };
+        this.setSpeed(traceOptions.speed ?? 1);
+        this.state = 'paused';
+
+        this.console.log('TRACE', `Loaded trace with ${this.entries.length} visit(s)`, { duration: this.duration });
+        this.reportProgress();
+        return this.entries.length;
+    }
+
+    /**
+     * Plays from the cursor (from the start when the trace has ended)
+     * @returns {boolean} False if no trace is loaded
+     */
+    play() {
+        if (this.entries.length === 0) return false;
+        if (this.state === 'playing') return true;
+        if (this.state === 'ended') this.seek(0);
+
+        this.state = 'playing';
+        this.flows.forEach(flow => this.connections.resumeFlow(flow.id));
+        this.lastFrameAt = performance.now();
+        this.frame = requestAnimationFrame(() => this.tick());
+        this.reportProgress();
+        return true;
+    }
+
+    /**
+     * Pauses playback; droplets on their way freeze in place
+     * @returns {boolean} False if the trace was not playing
+     */
+    pause() {
+        if (this.state !== 'playing') return false;
+        this.halt('paused');
+        this.flows.forEach(flow => this.connections.pauseFlow(flow.id));
+        this.reportProgress();
+        return true;
+    }
+
+    /**
+     * Pauses and moves to the next (or previous) visit. Like seek, a step only moves
+     * the highlights: droplets still on their way are removed and none is sent.
+     * @param {number} direction - 1 for the next visit, -1 for the previous one
+     * @returns {string|null} Node ID of the visit moved to, or null at either end of the trace
+     */
+    step(direction = 1) {
+        if (this.entries.length === 0) return null;
+        if (this.state === 'playing') this.pause();
+
+        if (direction < 0) {
+            if (this.index <= 1) return null;
+            this.rewind(this.index - 1);
+            this.state = 'paused';
+            this.reportProgress();
+            return this.entries[this.index - 1].nodeId;
+        }
+
+        // One visit at a time, also when several share a timestamp
+        if (this.index >= this.entries.length) return null;
+        const entry = this.entries[this.index];
+        this.stopDroplets();
+        this.time = entry.time;
+        this.highlight(entry);
+        this.index++;
+        if (this.index >= this.entries.length) this.state = 'ended';
+        this.reportProgress();
+        return entry.nodeId;
+    }
+
+    /**
+     * Moves the cursor to a point in trace time, rebuilding the highlights up to it
+     * @param {number} time - ms since the first visit (clamped to the trace)
+     * @returns {boolean} False if no trace is loaded
+     */
+    seek(time) {
+        if (this.entries.length === 0) return false;
+
+        this.rewind(0);
+        this.time = Math.min(Math.max(Number(time) || 0, 0), this.duration);
+        this.applyEntries(false);
+
+        if (this.state !== 'playing') this.state = this.index >= this.entries.length ? 'ended' : 'paused';
+        else this.lastFrameAt = performance.now();
+        this.reportProgress();
+        return true;
+    }
+
+    /**
+     * Sets the playback speed multiplier (e.g. 0.5 for half speed, 10 for ten times faster)
+     * @param {number} speed - Multiplier greater than 0
+     * @returns {boolean} False if the speed is not a positive number
+     */
+    setSpeed(speed) {
+        if (typeof speed !== 'number' || !(speed > 0)) return false;
+        this.speed = speed;
+        return true;
+    }
+
+    /**
+     * Stops playback and removes the trace with its highlights and droplets
+     */
+    clear() {
+        this.halt('idle');
+        this.stopDroplets();
+        this.clearHighlights();
+        this.entries = [];
+        this.options = null;
+        this.time = 0;
+        this.index = 0;
+    }
+
+    // Back to the moment right after the first `count` visits, without droplets
+    rewind(count) {
+        this.stopDroplets();
+        this.clearHighlights();
+        this.entries.slice(0, count).forEach(entry => this.highlight(entry));
+        this.index = count;
+        this.time = count > 0 ? this.entries[count - 1].time : 0;
+    }
+
+    tick() {
+        if (this.state !== 'playing') return;
+
+        const now = performance.now();
+        this.time = Math.min(this.time + (now - this.lastFrameAt) * this.speed, this.duration);
+        this.lastFrameAt = now;
+
+        const applied = this.applyEntries(true);
+        if (this.index >= this.entries.length) {
+            this.halt('ended');
+            this.console.log('TRACE', `Trace ended`);
+            this.reportProgress();
+            return;
+        }
+        if (applied > 0 || now - this.lastProgressAt >= this.PROGRESS_INTERVAL) this.reportProgress();
+        this.frame = requestAnimationFrame(() => this.tick());
+    }
+
+    halt(state) {
+        if (this.frame !== null) cancelAnimationFrame(this.frame);
+        this.frame = null;
+        this.state = state;
+    }
+
+    /**
+     * Applies every visit up to the cursor
+     * @param {boolean} animate - Send a droplet from the last applied visit toward the next one
+     * @returns {number} Number of visits applied
+     */
+    applyEntries(animate) {
+        let applied = 0;
+        while (this.index < this.entries.length && this.entries[this.index].time <= this.time) {
+            this.highlight(this.entries[this.index]);
+            this.index++;
+            applied++;
+        }
+        if (animate && applied > 0 && this.index < this.entries.length) {
+            this.sendDroplet(this.entries[this.index - 1], this.entries[this.index]);
+        }
+        return applied;
+    }
+
+    highlight(entry) {
+        const node = this.findNode(entry.nodeId);
+        if (!node) return;
+
+        this.highlighted.forEach(element => element.classList.remove('flowy-node--trace-current'));
+        node.element.classList.add('flowy-node--trace', 'flowy-node--trace-current');
+        if (entry.status) node.element.dataset.traceStatus = entry.status;
+        else delete node.element.dataset.traceStatus;
+        this.highlighted.add(node.element);
+    }
+
+    clearHighlights() {
+        this.highlighted.forEach(element => {
+            element.classList.remove('flowy-node--trace', 'flowy-node--trace-current');
+            delete element.dataset.traceStatus;
+        });
+        this.highlighted.clear();
+    }
+
+    // Droplet from one visit to the next, arriving when the next visit is applied (or after maxTravelTime)
+    sendDroplet(from, to) {
+        if (from.nodeId === to.nodeId) return;
+        const travelTime = Math.min((to.time - from.time) / this.speed, this.options.maxTravelTime);
+        const path = this.connections.findPath(from.nodeId, to.nodeId, this.connections.getAllNodes());
+        if (!path || path.length < 2 || travelTime < 50) return;
+
+        const flow = this.connections.startFlow(from.nodeId, to.nodeId, {
+            duration: travelTime / (path.length - 1),
+            dropletCount: 1,
+            easing: 'linear',
+            droplet: this.options.droplet
+        });
+        if (!flow) return;
+        this.flows.add(flow);
+        flow.done.then(() => this.flows.delete(flow));
+    }
+
+    stopDroplets() {
+        this.flows.forEach(flow => this.connections.stopFlow(flow.id));
+        this.flows.clear();
+    }
+
+    reportProgress() {
+        this.lastProgressAt = performance.now();
+        const current = this.index > 0 ? this.entries[this.index - 1] : null;
+        this.onProgress({
+            state: this.state,
+            time: this.time,
+            duration: this.duration,
+            index: this.index,
+            count: this.entries.length,
+            nodeId: current?.nodeId ?? null,
+            status: current?.status ?? null
+        });
+    }
+}
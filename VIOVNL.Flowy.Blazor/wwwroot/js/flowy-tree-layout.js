@@ -21,18 +21,34 @@
 // Flowy Blazor Component - Tree Layout Management
 
 /**
- * Manages hierarchical tree layout calculations and positioning
+ * Manages hierarchical tree layout calculations and positioning.
+ *
+ * Layout is calculated top-down - x spreads the siblings, y grows with depth -
+ * and applyOrientation() then turns the result into the configured
+ * orientation (TREE_CONFIG.orientation). Sizes are measured along those
+ * layout axes: a node's "width" is its extent across the siblings (its height
+ * when the tree runs left-right or right-left).
+ *
+ * Two layout modes (TREE_CONFIG.layoutMode):
+ * - 'simple': every subtree gets a slot as wide as its widest level, so
+ *   sibling subtrees never share horizontal space
+ * - 'compact': Reingold-Tilford contour merging - subtrees are pushed
+ *   together level by level until they would overlap, so a deep narrow
+ *   branch can tuck under a wide shallow neighbour
  */
 export class FlowyTreeLayout {
     /**
      * Creates a new tree layout manager
      * @param {Object} treeConfig - Tree configuration with spacing and dimensions
+     * @param {FlowyUtils} utils - Utility functions instance
      * @param {FlowyConsole} console - Debug console instance
      */
-    constructor(treeConfig, console) {
+    constructor(treeConfig, utils, console) {
         this.TREE_CONFIG = treeConfig;
+        this.utils = utils;
         this.console = console;
         this.widthCache = new Map();
+        this.compactOffsets = new Map(); // node ID -> child center offsets (compact mode)
     }
 
     /**
@@ -41,6 +57,7 @@ export class FlowyTreeLayout {
      */
     clearCache() {
         this.widthCache.clear();
+        this.compactOffsets.clear();
     }
 
     /**
@@ -52,13 +69,71 @@ export class FlowyTreeLayout {
     }
 
     /**
-     * Calculate vertical spacing based on parent node height
-     * Uses a minimum base spacing plus the parent's actual height
+     * Extent of a node across the siblings - its width, or its height in a horizontal orientation
+     */
+    getNodeBreadth(node) {
+        return this.utils.isHorizontalOrientation() ? this.getNodeHeight(node?.element) : this.TREE_CONFIG.nodeWidth;
+    }
+
+    /**
+     * Extent of a node from parent to child - its height, or its width in a horizontal orientation
+     */
+    getNodeDepth(node) {
+        return this.utils.isHorizontalOrientation() ? this.TREE_CONFIG.nodeWidth : this.getNodeHeight(node?.element);
+    }
+
+    /**
+     * Calculate the spacing from a parent to its children along the layout's depth axis
+     * Uses a minimum base spacing plus the parent's actual height (width when horizontal)
      */
     calculateVerticalSpacing(parentNode) {
         const baseSpacing = 80; // Minimum gap between nodes
-        const parentHeight = this.getNodeHeight(parentNode?.element);
-        return parentHeight + baseSpacing;
+        return this.getNodeDepth(parentNode) + baseSpacing;
+    }
+
+    /**
+     * Children that take part in layout - a collapsed node occupies a single slot
+     * @param {Object} node - Tree node
+     * @returns {Array<Object>} Visible children (empty when collapsed)
+     */
+    getLayoutChildren(node) {
+        if (node.collapsed) return [];
+        if (!node.ports || node.ports.length < 2) return node.children;
+        
+        // Group children by output port, in port order (stable within a port)
+        const portIndex = (child) => Math.max(node.ports.findIndex(port => port.id === child.portId), 0);
+        return [...node.children].sort((a, b) => portIndex(a) - portIndex(b));
+    }
+
+    /**
+     * Horizontal gap between two neighbouring children - wider where the output port changes
+     */
+    getChildGap(node, left, right) {
+        const portChanges = right && node.ports?.length > 1 && left.portId !== right.portId;
+        return this.TREE_CONFIG.horizontalSpacing + (portChanges ? this.TREE_CONFIG.portGroupSpacing : 0);
+    }
+
+    /**
+     * Total width of a row of child subtrees including the gaps between them
+     */
+    getChildrenWidth(node, children, childWidths) {
+        return childWidths.reduce((sum, w, index) => 
+            sum + w + (index < children.length - 1 ? this.getChildGap(node, children[index], children[index + 1]) : 0), 0);
+    }
+
+    /**
+     * Park the hidden descendants of a collapsed node on the node itself, so bounds
+     * calculations and expand transitions start from the collapsed slot
+     */
+    stackHiddenDescendants(node) {
+        const stack = (parent) => {
+            parent.children.forEach(child => {
+                child.x = node.x;
+                child.y = node.y;
+                stack(child);
+            });
+        };
+        stack(node);
     }
 
     /**
@@ -77,21 +152,22 @@ export class FlowyTreeLayout {
         }
         
         const totalChildren = parentNode.children.length + 1;
-        const totalWidth = (totalChildren - 1) * (this.TREE_CONFIG.nodeWidth + this.TREE_CONFIG.horizontalSpacing);
-        const startX = parentNode.x - totalWidth / 2;
-        const x = startX + childIndex * (this.TREE_CONFIG.nodeWidth + this.TREE_CONFIG.horizontalSpacing);
-        const verticalSpacing = this.calculateVerticalSpacing(parentNode);
-        const y = parentNode.y + verticalSpacing;
+        const slot = this.getNodeBreadth(parentNode) + this.TREE_CONFIG.horizontalSpacing;
+        const offset = childIndex * slot - (totalChildren - 1) * slot / 2;
+        const spacing = this.calculateVerticalSpacing(parentNode) * (this.utils.isReversedOrientation() ? -1 : 1);
         
-        return { x, y };
+        return this.utils.isHorizontalOrientation()
+            ? { x: parentNode.x + spacing, y: parentNode.y + offset }
+            : { x: parentNode.x + offset, y: parentNode.y + spacing };
     }
 
     /**
      * Recursively calculate positions for entire subtree using two-pass algorithm.
+     * Dispatches to calculateCompactPositions() in compact layout mode.
      * 
-     * Algorithm (based on Reingold-Tilford tree drawing):
+     * Simple algorithm (subtree slots, no contour merging):
      * Pass 1: Calculate subtree widths bottom-up (post-order traversal)
-     *   - Leaf nodes: width = nodeWidth
+     *   - Leaf nodes (and collapsed nodes): width = nodeWidth
      *   - Parent nodes: width = sum(child widths) + spacing
      * Pass 2: Position nodes top-down (pre-order traversal)
      *   - Calculate total width needed for children
@@ -109,31 +185,36 @@ export class FlowyTreeLayout {
      * @returns {Object} Object with width property (total subtree width)
      */
     calculateSubtreePositions(node, centerX, y) {
+        if (this.TREE_CONFIG.layoutMode === 'compact') {
+            return this.calculateCompactPositions(node, centerX, y);
+        }
+        
         node.x = centerX;
         node.y = y;
         
-        if (node.children.length === 0) {
-            return { width: this.TREE_CONFIG.nodeWidth };
+        const children = this.getLayoutChildren(node);
+        if (children.length === 0) {
+            this.stackHiddenDescendants(node);
+            return { width: this.getNodeBreadth(node) };
         }
         
         // First pass: calculate widths only (no positioning yet)
-        const childWidths = node.children.map(child => 
+        const childWidths = children.map(child => 
             this.calculateSubtreeWidth(child)
         );
         
-        const totalWidth = childWidths.reduce((sum, w) => sum + w, 0) + 
-                          (node.children.length - 1) * this.TREE_CONFIG.horizontalSpacing;
+        const totalWidth = this.getChildrenWidth(node, children, childWidths);
         
         // Second pass: position children based on calculated widths and dynamic vertical spacing
         const verticalSpacing = this.calculateVerticalSpacing(node);
         let currentX = centerX - totalWidth / 2;
-        node.children.forEach((child, index) => {
+        children.forEach((child, index) => {
             const childCenterX = currentX + childWidths[index] / 2;
             this.positionSubtree(child, childCenterX, y + verticalSpacing);
-            currentX += childWidths[index] + this.TREE_CONFIG.horizontalSpacing;
+            currentX += childWidths[index] + this.getChildGap(node, child, children[index + 1]);
         });
         
-        return { width: Math.max(totalWidth, this.TREE_CONFIG.nodeWidth) };
+        return { width: Math.max(totalWidth, this.getNodeBreadth(node)) };
     }
 
     /**
@@ -152,13 +233,13 @@ export class FlowyTreeLayout {
         }
         
         let width;
-        if (node.children.length === 0) {
-            width = this.TREE_CONFIG.nodeWidth;
+        const children = this.getLayoutChildren(node);
+        if (children.length === 0) {
+            width = this.getNodeBreadth(node);
         } else {
-            const childWidths = node.children.map(child => this.calculateSubtreeWidth(child));
-            const totalWidth = childWidths.reduce((sum, w) => sum + w, 0) + 
-                              (node.children.length - 1) * this.TREE_CONFIG.horizontalSpacing;
-            width = Math.max(totalWidth, this.TREE_CONFIG.nodeWidth);
+            const childWidths = children.map(child => this.calculateSubtreeWidth(child));
+            const totalWidth = this.getChildrenWidth(node, children, childWidths);
+            width = Math.max(totalWidth, this.getNodeBreadth(node));
         }
         
         // Cache the result
@@ -170,19 +251,161 @@ export class FlowyTreeLayout {
         node.x = centerX;
         node.y = y;
         
-        if (node.children.length === 0) return;
+        const children = this.getLayoutChildren(node);
+        if (children.length === 0) {
+            this.stackHiddenDescendants(node);
+            return;
+        }
         
-        const childWidths = node.children.map(child => this.calculateSubtreeWidth(child));
-        const totalWidth = childWidths.reduce((sum, w) => sum + w, 0) + 
-                          (node.children.length - 1) * this.TREE_CONFIG.horizontalSpacing;
+        const childWidths = children.map(child => this.calculateSubtreeWidth(child));
+        const totalWidth = this.getChildrenWidth(node, children, childWidths);
         
         const verticalSpacing = this.calculateVerticalSpacing(node);
         let currentX = centerX - totalWidth / 2;
-        node.children.forEach((child, index) => {
+        children.forEach((child, index) => {
             const childCenterX = currentX + childWidths[index] / 2;
             this.positionSubtree(child, childCenterX, y + verticalSpacing);
-            currentX += childWidths[index] + this.TREE_CONFIG.horizontalSpacing;
+            currentX += childWidths[index] + this.getChildGap(node, child, children[index + 1]);
+        });
+    }
+
+    /**
+     * Compact layout (Reingold-Tilford with contour merging).
+     * 
+     * Pass 1 (post-order, measureCompactSubtree): every subtree is described by
+     * its contour - the leftmost and rightmost extent of each level, relative to
+     * the subtree root's center. Children are placed left to right; each one
+     * is shifted just far enough that no level overlaps the levels of its
+     * left siblings that share the same vertical band. The parent is then
+     * centered over its first and last child.
+     * Pass 2 (pre-order, placeCompactSubtree): apply the relative offsets.
+     * 
+     * @param {Object} node - Root node of subtree
+     * @param {number} centerX - Horizontal center position for this node
+     * @param {number} y - Vertical position for this node
+     * @returns {Object} Object with width property (total subtree width)
+     */
+    calculateCompactPositions(node, centerX, y) {
+        const contour = this.measureCompactSubtree(node, y);
+        this.placeCompactSubtree(node, centerX);
+        
+        const left = Math.min(...contour.map(level => level.left));
+        const right = Math.max(...contour.map(level => level.right));
+        return { width: right - left };
+    }
+
+    /**
+     * Set vertical positions and child offsets of a subtree (compact mode)
+     * @returns {Array<{top: number, bottom: number, left: number, right: number}>}
+     *   Contour per level, horizontal extents relative to the node's center
+     */
+    measureCompactSubtree(node, y) {
+        node.y = y;
+        const halfBreadth = this.getNodeBreadth(node) / 2;
+        const own = { top: y, bottom: y + this.getNodeDepth(node), left: -halfBreadth, right: halfBreadth };
+        
+        const children = this.getLayoutChildren(node);
+        if (children.length === 0) return [own];
+        
+        const childY = y + this.calculateVerticalSpacing(node);
+        const offsets = [];
+        let forest = [];
+        children.forEach((child, index) => {
+            const contour = this.measureCompactSubtree(child, childY);
+            const offset = index === 0
+                ? 0
+                : this.getContourSeparation(forest, contour, this.getChildGap(node, children[index - 1], child));
+            offsets.push(offset);
+            forest = this.mergeContours(forest, contour, offset);
+        });
+        
+        // Center the parent over its first and last child
+        const middle = (offsets[0] + offsets[offsets.length - 1]) / 2;
+        this.compactOffsets.set(node.id, offsets.map(offset => offset - middle));
+        return [own, ...forest.map(level => ({ ...level, left: level.left - middle, right: level.right - middle }))];
+    }
+
+    /**
+     * Smallest shift of the right contour that keeps every level at least gap
+     * away from the left contour's levels in the same vertical band
+     */
+    getContourSeparation(leftContour, rightContour, gap) {
+        let separation = -Infinity;
+        leftContour.forEach(a => {
+            rightContour.forEach(b => {
+                if (a.top < b.bottom && b.top < a.bottom) {
+                    separation = Math.max(separation, a.right - b.left + gap);
+                }
+            });
+        });
+        return separation;
+    }
+
+    /**
+     * Merge a contour shifted by offset into another, level by level
+     */
+    mergeContours(contour, addition, offset) {
+        const levels = Math.max(contour.length, addition.length);
+        const merged = [];
+        for (let i = 0; i < levels; i++) {
+            const a = contour[i];
+            const b = addition[i] && { ...addition[i], left: addition[i].left + offset, right: addition[i].right + offset };
+            merged.push(!a ? b : !b ? a : {
+                top: Math.min(a.top, b.top),
+                bottom: Math.max(a.bottom, b.bottom),
+                left: Math.min(a.left, b.left),
+                right: Math.max(a.right, b.right)
+            });
+        }
+        return merged;
+    }
+
+    placeCompactSubtree(node, centerX) {
+        node.x = centerX;
+        
+        const children = this.getLayoutChildren(node);
+        if (children.length === 0) {
+            this.stackHiddenDescendants(node);
+            return;
+        }
+        
+        const offsets = this.compactOffsets.get(node.id);
+        children.forEach((child, index) => this.placeCompactSubtree(child, centerX + offsets[index]));
+    }
+
+    /**
+     * Turn a top-down layout into the configured orientation. The root stays at (rootX, rootY);
+     * depth runs up (bottom-up), right (left-right) or left (right-left) from it, and nodes
+     * facing their parent line up on the edge towards it.
+     * @param {Array<Object>} nodes - Every node, including hidden ones
+     * @param {Object} rootNode - Root node
+     * @param {number} rootX - Horizontal position of the root
+     * @param {number} rootY - Vertical position of the root
+     */
+    applyOrientation(nodes, rootNode, rootX, rootY) {
+        const orientation = this.TREE_CONFIG.orientation;
+        if (!orientation || orientation === 'top-down') return;
+        
+        const horizontal = this.utils.isHorizontalOrientation();
+        const reversed = this.utils.isReversedOrientation();
+        const rootDepth = this.getNodeDepth(rootNode);
+        const rootBreadth = this.getNodeBreadth(rootNode);
+        
+        nodes.filter(node => !node.isHidden).forEach(node => {
+            const depthOffset = node.y - rootY;
+            const crossOffset = node.x - rootX;
+            // Mirror around the root so the edges facing the parent line up
+            const along = reversed ? rootDepth - depthOffset - this.getNodeDepth(node) : depthOffset;
+            if (horizontal) {
+                // Center nodes of different heights on the same line
+                node.x = rootX + along;
+                node.y = rootY + crossOffset - (this.getNodeBreadth(node) - rootBreadth) / 2;
+            } else {
+                node.x = rootX + crossOffset;
+                node.y = rootY + along;
+            }
         });
+        nodes.filter(node => node.collapsed && !node.isHidden).forEach(node => this.stackHiddenDescendants(node));
     }
 
     updateNodePositions(node) {
@@ -32,6 +32,22 @@ export class FlowyUtils {
     constructor(config, treeConfig) {
         this.config = config;
         this.TREE_CONFIG = treeConfig;
+        this.ORIENTATIONS = ['top-down', 'bottom-up', 'left-right', 'right-left'];
+    }
+
+    // Valid tree orientation (falls back to top-down)
+    normalizeOrientation(orientation) {
+        return this.ORIENTATIONS.includes(orientation) ? orientation : 'top-down';
+    }
+
+    // Children are placed beside their parent (left-right, right-left) instead of below or above it
+    isHorizontalOrientation() {
+        return this.TREE_CONFIG.orientation === 'left-right' || this.TREE_CONFIG.orientation === 'right-left';
+    }
+
+    // Children are placed above (bottom-up) or left of (right-left) their parent
+    isReversedOrientation() {
+        return this.TREE_CONFIG.orientation === 'bottom-up' || this.TREE_CONFIG.orientation === 'right-left';
     }
 
     // Get viewport element
@@ -54,6 +70,40 @@ export class FlowyUtils {
         return nodeElement.offsetHeight || this.TREE_CONFIG.nodeHeight;
     }
 
+    // Length of the edge the output connectors sit on: the bottom (or top) edge,
+    // or the right (or left) edge when the tree is laid out horizontally
+    getPortEdgeLength(nodeElement) {
+        return this.isHorizontalOrientation() ? this.getNodeHeight(nodeElement) : this.TREE_CONFIG.nodeWidth;
+    }
+
+    // Offset of an output port along the output edge, from the node's left (or top) edge.
+    // Ports share the edge in equal slots; unknown ports (and nodes without ports) use the center.
+    getPortOffset(nodeElement, portId) {
+        const ports = nodeElement ? [...nodeElement.querySelectorAll('.node-port')] : [];
+        const index = ports.findIndex(port => port.dataset.portId === portId);
+        const edgeLength = this.getPortEdgeLength(nodeElement);
+        if (index < 0) return edgeLength / 2;
+        return edgeLength * (index + 0.5) / ports.length;
+    }
+
+    // Output port whose slot contains an offset along the output edge (null if the node has no ports)
+    getPortAtOffset(nodeElement, offset) {
+        const ports = nodeElement ? [...nodeElement.querySelectorAll('.node-port')] : [];
+        if (ports.length === 0) return null;
+        const index = Math.floor(offset / this.getPortEdgeLength(nodeElement) * ports.length);
+        return ports[Math.min(Math.max(index, 0), ports.length - 1)].dataset.portId;
+    }
+
+    // All parents of a node: the owning tree parent first, then parents linked in graph mode
+    getParents(node) {
+        return [...(node.parent ? [node.parent] : []), ...(node.additionalParents || [])];
+    }
+
+    // All children of a node: its tree children first, then children linked in graph mode
+    getGraphChildren(node) {
+        return [...node.children, ...(node.additionalChildren || [])];
+    }
+
     // Calculate bounds of all nodes
     calculateNodesBounds(nodes) {
         if (!nodes || nodes.length === 0) {
@@ -158,6 +158,11 @@ export class FlowyZoomPan {
                 return;
             }
             
+            // Shift+drag on empty canvas draws a selection marquee instead of panning
+            if (!this.spacePressed && this.isMarqueeGesture && this.isMarqueeGesture(e)) {
+                return;
+            }
+            
             const clickedOnNode = e.target.closest('.flow-node');
             const clickedOnComponent = e.target.closest('.component-item');
             
@@ -352,6 +357,10 @@ export class FlowyZoomPan {
     setCenterViewportCallback(callback) {
         this.triggerCenterViewport = callback;
     }
+    
+    setMarqueeGestureCallback(callback) {
+        this.isMarqueeGesture = callback;
+    }
 
     // Smooth animation system
     startSmoothAnimation() {